@@ -1,16 +1,68 @@
+import { evaluateKeyframes, EASINGS } from './Keyframes.js';
+import { SeededRandom } from './SeededRandom.js';
+import { silentFeatures } from '../core/audio/AudioAnalysis.js';
+import { PlaybackClock } from '../core/PlaybackClock.js';
+import { coerceValue, serializeValue, createParameterControl } from './ParameterSchema.js';
+
+const KEYFRAME_TOLERANCE = 1e-3; // Keyframes closer than this (seconds) are the same keyframe
+const DEFAULT_FRAME_DURATION = 1 / 60;
+
 /**
  * BaseAnimation - Abstract base class for all animations
  * 
  * This class provides the common interface and functionality that all animations should implement.
- * When creating a new animation, extend this class and implement the required methods.
+ * When creating a new animation, extend this class, implement the required methods and
+ * declare the parameters in a static `parameters` object (see ParameterSchema.js).
  */
 export class BaseAnimation {
+    // Speed lives in this.speed, but is declared like any other parameter
+    static parameters = {
+        speed: {
+            type: 'range',
+            label: 'Speed',
+            default: 1.0,
+            min: 0.1,
+            max: 3.0,
+            step: 0.1,
+            animatable: false,
+            description: 'Playback speed of this animation'
+        }
+    };
+
+    /**
+     * Every declared parameter of this class and the classes it extends
+     * @returns {Object} Parameter definitions by key, base class parameters first
+     */
+    static getParameterSchema() {
+        const schemas = [];
+        for (let type = this; type !== Function.prototype; type = Object.getPrototypeOf(type)) {
+            if (Object.prototype.hasOwnProperty.call(type, 'parameters')) {
+                schemas.unshift(type.parameters);
+            }
+        }
+        return Object.assign({}, ...schemas);
+    }
+
     constructor(name = 'Untitled Animation') {
         this.name = name;
-        this.startTime = Date.now();
-        this.isPlaying = true;
         this.speed = 1.0;
         this.parameters = {};
+        this.keyframes = {};
+        this.renderTime = null;
+        this.loopDuration = null;
+        
+        // Use this.rng instead of Math.random() so previews and exports match
+        this.seed = 1;
+        this.rng = new SeededRandom(this.seed);
+        
+        this.audioSource = null;
+        this.timeSource = null;
+        // Keeps time for an animation that isn't in a layer or scene, e.g. one rendered on its own
+        this.standaloneClock = new PlaybackClock();
+        
+        Object.entries(this.constructor.getParameterSchema()).forEach(([key, definition]) => {
+            this.setParameter(key, cloneValue(definition.default));
+        });
     }
 
     /**
@@ -18,21 +70,88 @@ export class BaseAnimation {
      * Override this method to set up any initial state
      */
     init() {
-        this.startTime = Date.now();
+        // Override in subclasses; called when the animation is added to a layer or scene
     }
 
     /**
-     * Main render method called every frame
-     * Override this method to implement your animation logic
+     * Render the frame at the current preview time
+     * The app renders through renderAtTime(); this is for animations used on their own
      * 
      * @param {CanvasRenderingContext2D} ctx - The canvas context
      * @param {number} width - Canvas width
      * @param {number} height - Canvas height
      */
     render(ctx, width, height) {
-        // Calculate current time for animations
-        const time = this.getCurrentTime();
-        this.renderFrame(ctx, width, height, time);
+        this.renderAtTime(ctx, width, height, this.getCurrentTime());
+    }
+
+    /**
+     * Render a frame with keyframed parameters evaluated at its time
+     * The preview and every export render through this method
+     * 
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {number} time - Time in seconds for this frame
+     * @param {number} scale - Output pixels per canvas pixel
+     * @param {number} frameDuration - Seconds this frame is shown for; beats and onsets
+     *     within that time are flagged
+     */
+    renderAtTime(ctx, width, height, time, scale = 1, frameDuration = DEFAULT_FRAME_DURATION) {
+        this.renderTime = time;
+        // Every frame starts the random sequence over, whatever order frames render in
+        this.rng.reset();
+        this.renderFrame(ctx, width, height, time, scale, this.getAudioFeatures(time, frameDuration));
+    }
+
+    /**
+     * Set where audio features come from
+     * @param {AudioTrack|null} source - Object with getFeatures(time, frameDuration), or null for silence
+     */
+    setAudioSource(source) {
+        this.audioSource = source;
+    }
+
+    /**
+     * Set where the preview time comes from
+     * @param {Layer|null} source - Object with getCurrentTime() in this animation's time, or null
+     */
+    setTimeSource(source) {
+        this.timeSource = source;
+    }
+
+    /**
+     * Get audio features for a frame
+     * @param {number} time - Time in seconds
+     * @param {number} frameDuration - Length of the frame in seconds
+     * @returns {Object} Features, see silentFeatures() in AudioAnalysis.js
+     */
+    getAudioFeatures(time, frameDuration = DEFAULT_FRAME_DURATION) {
+        return this.audioSource ? this.audioSource.getFeatures(time, frameDuration) : silentFeatures();
+    }
+
+    /**
+     * Set the seed for this.rng
+     * The random sequence restarts on every frame, so values from this.rng stay put
+     * over time; use this.rng.noise1D/2D/3D with time for smooth change, or
+     * createRandom() for values that change at set moments
+     * 
+     * @param {number} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+    }
+
+    /**
+     * Create a generator derived from the seed and some keys, e.g. a particle index
+     * or Math.floor(time * 4) for values that change four times a second
+     * 
+     * @param {...(number|string)} keys - Values that select the sequence
+     * @returns {SeededRandom} Independent generator
+     */
+    createRandom(...keys) {
+        return new SeededRandom([this.seed, ...keys].join(':'));
     }
 
     /**
@@ -43,50 +162,108 @@ export class BaseAnimation {
      * @param {number} width - Canvas width
      * @param {number} height - Canvas height
      * @param {number} time - Time in seconds for this frame
+     * @param {number} scale - Output pixels per canvas pixel (2 for an @2x export).
+     *     Multiply sizes given in pixels by this so high-resolution exports match the preview.
+     * @param {Object} audio - Features of the uploaded audio at this frame: level, bands,
+     *     bass, mid, treble (0-1), beat and onset flags, sinceBeat and sinceOnset in
+     *     seconds. All zero when there is no audio.
      */
-    renderFrame(ctx, width, height, time) {
+    renderFrame(ctx, width, height, time, scale = 1, audio = silentFeatures()) {
         // Default implementation - subclasses should override this
         console.warn(`Animation '${this.name}' should implement renderFrame method`);
     }
 
     /**
-     * Get current animation time in seconds
-     * @returns {number} Time in seconds since animation started
+     * Get the length of one seamless loop
+     * Set this.loopDuration in the constructor for a fixed loop, or override this
+     * method to work it out from the current parameters
+     * 
+     * @returns {number|null} Loop length in seconds of animation time, or null if the animation doesn't loop
      */
-    getCurrentTime() {
-        if (!this.isPlaying) {
-            return this.pausedTime || 0;
-        }
-        return (Date.now() - this.startTime) * 0.001 * this.speed;
+    getLoopDuration() {
+        return this.loopDuration;
     }
 
     /**
-     * Play/resume the animation
+     * Find the shortest time after which several periodic motions all line up again
+     * 
+     * @param {Array<number>} periods - Period of each motion in seconds
+     * @param {number} maxDuration - Longest loop worth reporting
+     * @returns {number|null} Common period in seconds, or null if there is none within maxDuration
      */
-    play() {
-        if (!this.isPlaying) {
-            this.startTime = Date.now() - (this.pausedTime || 0) * 1000 / this.speed;
-            this.isPlaying = true;
+    static commonLoopDuration(periods, maxDuration = 600) {
+        // Motions that never move (period Infinity) look the same at any time
+        const [first, ...rest] = periods.filter(period => period > 0 && Number.isFinite(period));
+        if (!first) return null;
+        
+        for (let cycles = 1; cycles * first <= maxDuration; cycles++) {
+            const duration = cycles * first;
+            const aligned = rest.every(period => {
+                const repeats = duration / period;
+                return Math.abs(repeats - Math.round(repeats)) < 1e-6;
+            });
+            if (aligned) return duration;
         }
+        return null;
     }
 
     /**
-     * Pause the animation
+     * Get the preview time of this animation
+     * In a layer or scene, time comes from the shared PlaybackClock, converted by the
+     * layer; otherwise from the animation's own clock
+     * 
+     * @returns {number} Animation time in seconds
      */
-    pause() {
-        if (this.isPlaying) {
-            this.pausedTime = this.getCurrentTime();
-            this.isPlaying = false;
+    getCurrentTime() {
+        if (this.isStandalone()) {
+            return this.standaloneClock.getCurrentTime() * this.speed;
         }
+        return this.timeSource.getCurrentTime();
+    }
+
+    isStandalone() {
+        return !this.timeSource || !this.timeSource.clock;
     }
 
     /**
-     * Reset the animation to the beginning
+     * Clock the preview time comes from; in a layer or scene that is the shared one,
+     * so play(), pause() and reset() act on every layer
+     * @returns {PlaybackClock}
      */
+    getClock() {
+        return this.isStandalone() ? this.standaloneClock : this.timeSource.clock;
+    }
+
+    get isPlaying() {
+        return this.getClock().isPlaying;
+    }
+
+    play() {
+        this.getClock().play();
+    }
+
+    pause() {
+        this.getClock().pause();
+    }
+
     reset() {
-        this.startTime = Date.now();
-        this.pausedTime = 0;
-        this.isPlaying = true;
+        this.getClock().reset();
+    }
+
+    /**
+     * Jump to a point in time, keeping the current play/pause state and speed
+     * In a layer or scene this seeks the shared clock, through the layer's speed and
+     * time offset, so every layer follows
+     * 
+     * @param {number} time - Animation time in seconds
+     */
+    seek(time) {
+        const target = Math.max(0, time);
+        if (this.isStandalone()) {
+            this.standaloneClock.seek(target / this.speed);
+        } else {
+            this.timeSource.clock.seek(this.timeSource.getGlobalTime(target));
+        }
     }
 
     /**
@@ -94,49 +271,169 @@ export class BaseAnimation {
      * @param {number} speed - Speed multiplier (1.0 = normal, 2.0 = double speed, etc.)
      */
     setSpeed(speed) {
-        const currentTime = this.getCurrentTime();
+        const time = this.getCurrentTime();
         this.speed = speed;
-        this.startTime = Date.now() - currentTime * 1000 / speed;
+        // On its own clock the animation carries on from where it was
+        if (this.isStandalone()) {
+            this.standaloneClock.seek(time / speed);
+        }
+    }
+
+    /**
+     * Get the definition of a declared parameter
+     * @param {string} key - Parameter name
+     * @returns {Object|null} Definition from the static parameters, or null if undeclared
+     */
+    getParameterDefinition(key) {
+        return this.constructor.getParameterSchema()[key] || null;
     }
 
     /**
      * Set a parameter value
+     * Declared parameters are coerced to their type and clamped to their range;
+     * values that can't be used are ignored with a warning
+     * 
      * @param {string} key - Parameter name
      * @param {any} value - Parameter value
+     * @returns {boolean} False if the value was rejected
      */
     setParameter(key, value) {
-        this.parameters[key] = value;
+        const definition = this.getParameterDefinition(key);
+        if (definition) {
+            const coerced = coerceValue(definition, value);
+            if (coerced === undefined) {
+                console.warn(`Animation '${this.name}' ignored an invalid value for '${key}':`, value);
+                return false;
+            }
+            value = coerced;
+        }
+        
+        if (key === 'speed') {
+            this.setSpeed(value);
+        } else {
+            this.parameters[key] = value;
+        }
+        return true;
     }
 
     /**
      * Get a parameter value
      * @param {string} key - Parameter name
-     * @param {any} defaultValue - Default value if parameter doesn't exist
+     * @param {any} defaultValue - Value for undeclared parameters that were never set
      * @returns {any} Parameter value
      */
     getParameter(key, defaultValue = null) {
+        if (key === 'speed') {
+            return this.speed;
+        }
+        if (this.hasKeyframes(key)) {
+            const time = this.renderTime !== null ? this.renderTime : this.getCurrentTime();
+            return evaluateKeyframes(this.keyframes[key], time);
+        }
         return this.parameters.hasOwnProperty(key) ? this.parameters[key] : defaultValue;
     }
 
+    /**
+     * Check whether a parameter can be keyframed
+     * @param {string} key - Parameter name
+     * @returns {boolean} True for parameters that aren't declared with animatable: false
+     */
+    isAnimatable(key) {
+        const definition = this.getParameterDefinition(key);
+        return definition ? definition.animatable !== false : this.parameters.hasOwnProperty(key);
+    }
+
+    /**
+     * Check whether a parameter is animated with keyframes
+     * @param {string} key - Parameter name
+     * @returns {boolean} True if the parameter has at least one keyframe
+     */
+    hasKeyframes(key) {
+        return Boolean(this.keyframes[key] && this.keyframes[key].length > 0);
+    }
+
+    /**
+     * Get the keyframes of a parameter
+     * @param {string} key - Parameter name
+     * @returns {Array} Keyframes as { time, value, easing }, sorted by time
+     */
+    getKeyframes(key) {
+        return this.keyframes[key] || [];
+    }
+
+    /**
+     * Add a keyframe, replacing any keyframe at the same time
+     * @param {string} key - Parameter name
+     * @param {number} time - Time in seconds
+     * @param {any} value - Parameter value at that time
+     * @param {string} easing - Easing of the segment that starts here (see Keyframes.js)
+     */
+    setKeyframe(key, time, value, easing) {
+        const definition = this.getParameterDefinition(key);
+        if (definition) {
+            value = coerceValue(definition, value);
+            if (value === undefined) return;
+        }
+        
+        const track = this.keyframes[key] || (this.keyframes[key] = []);
+        const existing = track.find(keyframe => Math.abs(keyframe.time - time) < KEYFRAME_TOLERANCE);
+        
+        if (existing) {
+            existing.value = value;
+            if (easing) existing.easing = easing;
+        } else {
+            track.push({ time, value, easing: easing || 'linear' });
+            track.sort((a, b) => a.time - b.time);
+        }
+        
+        // The static value follows the latest edit, so removing the keyframes keeps it
+        this.parameters[key] = value;
+    }
+
+    /**
+     * Remove the keyframe at a time
+     * @param {string} key - Parameter name
+     * @param {number} time - Time of the keyframe in seconds
+     */
+    removeKeyframe(key, time) {
+        const track = this.keyframes[key];
+        if (!track) return;
+        this.keyframes[key] = track.filter(keyframe => Math.abs(keyframe.time - time) >= KEYFRAME_TOLERANCE);
+        if (this.keyframes[key].length === 0) {
+            delete this.keyframes[key];
+        }
+    }
+
+    /**
+     * Remove all keyframes of a parameter; it keeps its current value
+     * @param {string} key - Parameter name
+     */
+    clearKeyframes(key) {
+        if (this.hasKeyframes(key)) {
+            this.parameters[key] = this.getParameter(key);
+        }
+        delete this.keyframes[key];
+    }
+
     /**
      * Get animation controls for the UI
-     * Override this method to provide custom controls for your animation
+     * Built from the declared parameters, with a divider wherever the group changes;
+     * override to add controls that aren't parameters
      * 
      * @returns {Array} Array of control objects
      */
     getControls() {
-        return [
-            {
-                type: 'range',
-                key: 'speed',
-                label: 'Speed',
-                min: 0.1,
-                max: 3.0,
-                step: 0.1,
-                value: this.speed,
-                callback: (value) => this.setSpeed(parseFloat(value))
+        const controls = [];
+        let group = null;
+        Object.entries(this.constructor.getParameterSchema()).forEach(([key, definition]) => {
+            if (definition.group && definition.group !== group) {
+                controls.push({ type: 'divider', label: definition.group });
             }
-        ];
+            group = definition.group || null;
+            controls.push(createParameterControl(key, definition, this.getParameter(key),
+                (value) => this.setParameter(key, value)));
+        });
+        return controls;
     }
 
     /**
@@ -146,6 +443,82 @@ export class BaseAnimation {
         // Override in subclasses if cleanup is needed
     }
 
+    /**
+     * Get everything the user can change: speed, seed, parameter values and keyframes
+     * @returns {Object} Plain copy that later edits don't affect
+     */
+    getState() {
+        return {
+            speed: this.speed,
+            seed: this.seed,
+            parameters: cloneValue(this.parameters),
+            keyframes: cloneValue(this.keyframes)
+        };
+    }
+
+    /**
+     * Get the state in a form that survives JSON.stringify, e.g. for saving to a file
+     * Images are kept as data URLs; files can't be stored and are left out
+     * 
+     * @returns {Object} State in the format of getState()
+     */
+    getSerializableState() {
+        const state = this.getState();
+        const serialize = (key, value) => {
+            const definition = this.getParameterDefinition(key);
+            return definition ? serializeValue(definition, value) : JSON.parse(JSON.stringify(value));
+        };
+        
+        Object.keys(state.parameters).forEach(key => {
+            state.parameters[key] = serialize(key, state.parameters[key]);
+        });
+        Object.entries(state.keyframes).forEach(([key, track]) => track.forEach(keyframe => {
+            keyframe.value = serialize(key, keyframe.value);
+        }));
+        return state;
+    }
+
+    /**
+     * Restore what getState() or getSerializableState() returned, e.g. onto a new
+     * instance of the same animation
+     * Values go through setParameter(), so anything invalid keeps its current value
+     * 
+     * @param {Object} state - Saved state
+     */
+    setState(state) {
+        if (state.speed !== undefined) {
+            this.setParameter('speed', state.speed);
+        }
+        // Like parameter values, a seed that isn't a number keeps the current one
+        if (Number.isFinite(state.seed)) {
+            this.setSeed(state.seed);
+        } else if (state.seed !== undefined) {
+            console.warn(`Animation '${this.name}' ignored an invalid seed:`, state.seed);
+        }
+        
+        // Keyframes first: setting one also sets the static value, which is restored after
+        this.keyframes = {};
+        Object.entries(state.keyframes || {}).forEach(([key, track]) => {
+            const definition = this.getParameterDefinition(key);
+            if (!Array.isArray(track) || (definition && definition.animatable === false)) return;
+            track.forEach(keyframe => {
+                if (!isPlainObject(keyframe) || !Number.isFinite(keyframe.time)) {
+                    console.warn(`Animation '${this.name}' ignored an invalid keyframe for '${key}':`, keyframe);
+                    return;
+                }
+                let { easing } = keyframe;
+                if (easing !== undefined && !Object.prototype.hasOwnProperty.call(EASINGS, easing)) {
+                    console.warn(`Animation '${this.name}' ignored an invalid easing for '${key}':`, easing);
+                    easing = undefined;
+                }
+                this.setKeyframe(key, keyframe.time, cloneValue(keyframe.value), easing);
+            });
+        });
+        Object.entries(state.parameters || {}).forEach(([key, value]) => {
+            if (key !== 'speed') this.setParameter(key, cloneValue(value));
+        });
+    }
+
     /**
      * Get animation metadata
      * @returns {Object} Animation metadata
@@ -156,7 +529,25 @@ export class BaseAnimation {
             isPlaying: this.isPlaying,
             currentTime: this.getCurrentTime(),
             speed: this.speed,
-            parameters: { ...this.parameters }
+            seed: this.seed,
+            loopDuration: this.getLoopDuration(),
+            parameters: { ...this.parameters },
+            keyframes: JSON.parse(JSON.stringify(this.keyframes))
         };
     }
-}
\ No newline at end of file
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Deep copy of plain objects and arrays; images and files are shared, not copied
+function cloneValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+    }
+    return value;
+}
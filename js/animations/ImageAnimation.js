@@ -0,0 +1,30 @@
+import { BaseAnimation } from './BaseAnimation.js';
+
+/**
+ * ImageAnimation - A still image stretched over the canvas
+ *
+ * Used for the layers created by the Upload BG and Upload FG buttons.
+ */
+export class ImageAnimation extends BaseAnimation {
+    constructor(image = null) {
+        super('Image');
+        this.image = image;
+    }
+
+    renderFrame(ctx, width, height) {
+        if (this.image) {
+            ctx.drawImage(this.image, 0, 0, width, height);
+        }
+    }
+
+    /**
+     * A still image looks the same at any time, so it fits any loop length
+     */
+    getLoopDuration() {
+        return Infinity;
+    }
+
+    getControls() {
+        return [];
+    }
+}
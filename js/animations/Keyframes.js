@@ -0,0 +1,95 @@
+/**
+ * Keyframes - Interpolation and easing for keyframed parameters
+ *
+ * A track is an array of { time, value, easing } sorted by time. The easing of a
+ * keyframe shapes the segment that leads from it to the next keyframe. Numbers,
+ * hex colors and 2D points ({ x, y } or [x, y]) are interpolated; any other value
+ * holds until the next keyframe.
+ */
+
+export const EASINGS = {
+    linear: t => t,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    hold: () => 0
+};
+
+export const EASING_LABELS = {
+    linear: 'Linear',
+    'ease-in': 'Ease In',
+    'ease-out': 'Ease Out',
+    'ease-in-out': 'Ease In-Out',
+    hold: 'Hold'
+};
+
+/**
+ * Value of a keyframe track at a point in time
+ * @param {Array<Object>} keyframes - Track sorted by time, at least one keyframe
+ * @param {number} time - Time in seconds
+ * @returns {any} Interpolated value; before the first and after the last keyframe the value holds
+ */
+export function evaluateKeyframes(keyframes, time) {
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    if (time <= first.time) return first.value;
+    if (time >= last.time) return last.value;
+
+    let index = 0;
+    while (keyframes[index + 1].time <= time) index++;
+
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    const ease = EASINGS[from.easing] || EASINGS.linear;
+    return interpolateValue(from.value, to.value, ease((time - from.time) / (to.time - from.time)));
+}
+
+/**
+ * Blend two parameter values
+ * @param {any} from - Value at t = 0
+ * @param {any} to - Value at t = 1
+ * @param {number} t - Eased progress between the two
+ * @returns {any} Blended value of the same kind
+ */
+export function interpolateValue(from, to, t) {
+    if (typeof from === 'number' && typeof to === 'number') {
+        return from + (to - from) * t;
+    }
+
+    const fromColor = parseHexColor(from);
+    const toColor = parseHexColor(to);
+    if (fromColor && toColor) {
+        return '#' + fromColor.map((channel, i) => {
+            const value = Math.round(channel + (toColor[i] - channel) * t);
+            return value.toString(16).padStart(2, '0');
+        }).join('');
+    }
+
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length &&
+        from.every(item => typeof item === 'number')) {
+        return from.map((item, i) => item + (to[i] - item) * t);
+    }
+
+    if (isPoint(from) && isPoint(to)) {
+        return { ...from, x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    }
+
+    return t < 1 ? from : to;
+}
+
+function isPoint(value) {
+    return value !== null && typeof value === 'object' &&
+        typeof value.x === 'number' && typeof value.y === 'number';
+}
+
+// '#rgb' or '#rrggbb' as [r, g, b], or null for anything else
+function parseHexColor(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+
+    const hex = match[1].length === 3 ?
+        match[1].split('').map(digit => digit + digit).join('') :
+        match[1];
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
@@ -0,0 +1,183 @@
+/**
+ * ParameterSchema - Animation parameters declared once
+ *
+ * An animation lists its parameters in a static `parameters` object keyed by
+ * parameter name. Each definition has a control `type` (see Control Types in the
+ * README), a `default`, and optionally `label`, `group`, `description`, `min`,
+ * `max`, `step`, `unit`, `options` and the other settings of its control type.
+ * Set `animatable: false` for parameters that can't be keyframed.
+ *
+ * BaseAnimation derives everything else from it: initial values, the side panel
+ * controls, type coercion and clamping of every value set, and a JSON-safe form
+ * for saving.
+ */
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Turn a value into one the parameter accepts, e.g. the string of a slider or a
+ * value read back from JSON
+ * @param {Object} definition - Parameter definition
+ * @param {any} value - Value to check
+ * @returns {any} Coerced and clamped value, or undefined if it can't be used
+ */
+export function coerceValue(definition, value) {
+    const coerce = COERCERS[definition.type];
+    return coerce ? coerce(definition, value) : value;
+}
+
+/**
+ * JSON-safe form of a parameter value; coerceValue() turns it back
+ * @param {Object} definition - Parameter definition
+ * @param {any} value - Current value
+ * @returns {any} Value that survives JSON.stringify
+ */
+export function serializeValue(definition, value) {
+    if (definition.type === 'image') {
+        return value ? value.src : null;
+    }
+    if (definition.type === 'file') {
+        // Files can't be stored; the user picks them again
+        return null;
+    }
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Control definition for a parameter, for ControlFactory
+ * @param {string} key - Parameter name
+ * @param {Object} definition - Parameter definition
+ * @param {any} value - Current value
+ * @param {function(any)} callback - Sets a new value
+ * @returns {Object} Control definition
+ */
+export function createParameterControl(key, definition, value, callback) {
+    return { ...definition, key, label: definition.label || key, value, callback };
+}
+
+/**
+ * Options of a select as { value, label } objects
+ * @param {Array|Object} options - [value, ...], [{ value, label }, ...] or { value: label }
+ * @returns {Array<{value: any, label: string}>} Options in order
+ */
+export function normalizeOptions(options = []) {
+    if (!Array.isArray(options)) {
+        return Object.entries(options).map(([value, label]) => ({ value, label }));
+    }
+    return options.map(option => option !== null && typeof option === 'object' ?
+        option :
+        { value: option, label: String(option) });
+}
+
+const COERCERS = {
+    range: coerceNumber,
+    number: coerceNumber,
+
+    angle(definition, value) {
+        const degrees = toNumber(value);
+        return degrees === undefined ? undefined : ((degrees % 360) + 360) % 360;
+    },
+
+    checkbox(definition, value) {
+        if (value === true || value === 'true' || value === 1 || value === '1') return true;
+        if (value === false || value === 'false' || value === 0 || value === '0') return false;
+        return undefined;
+    },
+
+    // Matched as strings, so values from the DOM or a URL find numeric options
+    select(definition, value) {
+        const option = normalizeOptions(definition.options).find(item => String(item.value) === String(value));
+        return option ? option.value : undefined;
+    },
+
+    color: (definition, value) => coerceColor(value),
+
+    text(definition, value) {
+        if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+        const text = String(value);
+        return definition.maxLength ? text.slice(0, definition.maxLength) : text;
+    },
+
+    point(definition, value) {
+        if (value === null || typeof value !== 'object') return undefined;
+        const x = toNumber(value.x);
+        const y = toNumber(value.y);
+        return x === undefined || y === undefined ? undefined : { x: clamp01(x), y: clamp01(y) };
+    },
+
+    gradient(definition, value) {
+        if (!Array.isArray(value) || value.length < 2) return undefined;
+        const stops = value.map(stop => stop && {
+            offset: toNumber(stop.offset),
+            color: coerceColor(stop.color)
+        });
+        if (stops.some(stop => !stop || stop.offset === undefined || stop.color === undefined)) return undefined;
+        return stops
+            .map(stop => ({ offset: clamp01(stop.offset), color: stop.color }))
+            .sort((a, b) => a.offset - b.offset);
+    },
+
+    palette(definition, value) {
+        if (!Array.isArray(value)) return undefined;
+        const colors = value.map(coerceColor).slice(0, definition.max || value.length);
+        if (colors.some(color => color === undefined) || colors.length < (definition.min || 1)) return undefined;
+        return colors;
+    },
+
+    // The ends of a curve stay at x = 0 and x = 1
+    curve(definition, value) {
+        if (!Array.isArray(value) || value.length < 2) return undefined;
+        const points = value.map(point => point && { x: toNumber(point.x), y: toNumber(point.y) });
+        if (points.some(point => !point || point.x === undefined || point.y === undefined)) return undefined;
+        const sorted = points
+            .map(point => ({ x: clamp01(point.x), y: clamp01(point.y) }))
+            .sort((a, b) => a.x - b.x);
+        sorted[0].x = 0;
+        sorted[sorted.length - 1].x = 1;
+        return sorted;
+    },
+
+    // Saved images come back as their data URL
+    image(definition, value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof HTMLImageElement) return value;
+        if (typeof value !== 'string') return undefined;
+        const image = new Image();
+        image.src = value;
+        return image;
+    },
+
+    file(definition, value) {
+        if (value === null || value === undefined) return null;
+        return value instanceof Blob ? value : undefined;
+    }
+};
+
+// Numbers are clamped to min/max; whole-number steps round to whole numbers
+function coerceNumber(definition, value) {
+    let number = toNumber(value);
+    if (number === undefined) return undefined;
+    if (Number.isInteger(definition.step)) number = Math.round(number);
+    if (definition.min !== undefined) number = Math.max(definition.min, number);
+    if (definition.max !== undefined) number = Math.min(definition.max, number);
+    return number;
+}
+
+function toNumber(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+}
+
+// '#rrggbb'; '#rgb' is expanded because color inputs only take the long form
+function coerceColor(value) {
+    if (typeof value !== 'string') return undefined;
+    const match = value.match(HEX_COLOR);
+    if (!match) return undefined;
+    return match[1].length === 3 ?
+        '#' + match[1].split('').map(digit => digit + digit).join('') :
+        value;
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,109 @@
+/**
+ * ParameterValues - Reading curve and gradient parameters in renderFrame
+ *
+ * Curve controls store their control points as [{ x, y }] sorted by x, and
+ * gradient controls store their stops as [{ offset, color }]. These helpers turn
+ * them into values an animation can draw with.
+ */
+
+import { interpolateValue } from './Keyframes.js';
+
+/**
+ * Value of a curve at a point. The curve passes through every control point and
+ * never overshoots between them (monotone cubic interpolation).
+ * @param {Array<{x: number, y: number}>} points - Control points sorted by x
+ * @param {number} x - Position on the curve, usually 0-1
+ * @returns {number} Curve value; outside the first and last point the value holds
+ */
+export function evaluateCurve(points, x) {
+    if (!points || points.length === 0) return x;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (x <= first.x) return first.y;
+    if (x >= last.x) return last.y;
+
+    let index = 0;
+    while (points[index + 1].x < x) index++;
+
+    const from = points[index];
+    const to = points[index + 1];
+    const width = to.x - from.x;
+    if (width <= 0) return to.y;
+
+    const tangents = getCurveTangents(points);
+    const t = (x - from.x) / width;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * from.y +
+        (t3 - 2 * t2 + t) * width * tangents[index] +
+        (-2 * t3 + 3 * t2) * to.y +
+        (t3 - t2) * width * tangents[index + 1];
+}
+
+// Fritsch-Carlson tangents: flat at local extremes and limited so each segment
+// stays between its two points
+function getCurveTangents(points) {
+    const slopes = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const width = points[i + 1].x - points[i].x;
+        slopes.push(width > 0 ? (points[i + 1].y - points[i].y) / width : 0);
+    }
+
+    const tangents = [slopes[0]];
+    for (let i = 1; i < slopes.length; i++) {
+        tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+    }
+    tangents.push(slopes[slopes.length - 1]);
+
+    slopes.forEach((slope, i) => {
+        if (slope === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            return;
+        }
+        const a = tangents[i] / slope;
+        const b = tangents[i + 1] / slope;
+        const length = a * a + b * b;
+        if (length > 9) {
+            const tau = 3 / Math.sqrt(length);
+            tangents[i] = tau * a * slope;
+            tangents[i + 1] = tau * b * slope;
+        }
+    });
+    return tangents;
+}
+
+/**
+ * Color of a gradient at a point
+ * @param {Array<{offset: number, color: string}>} stops - Stops sorted by offset, hex colors
+ * @param {number} t - Position along the gradient, 0-1
+ * @returns {string} Hex color
+ */
+export function sampleGradient(stops, t) {
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    if (t <= first.offset) return first.color;
+    if (t >= last.offset) return last.color;
+
+    let index = 0;
+    while (stops[index + 1].offset < t) index++;
+
+    const from = stops[index];
+    const to = stops[index + 1];
+    const width = to.offset - from.offset;
+    return width > 0 ? interpolateValue(from.color, to.color, (t - from.offset) / width) : to.color;
+}
+
+/**
+ * Add gradient stops to a canvas gradient
+ * @param {CanvasGradient} gradient - From createLinearGradient() and the like
+ * @param {Array<{offset: number, color: string}>} stops - Gradient control value
+ * @returns {CanvasGradient} The same gradient, ready to use as a fill or stroke
+ */
+export function addGradientStops(gradient, stops) {
+    stops.forEach(({ offset, color }) => {
+        gradient.addColorStop(Math.min(1, Math.max(0, offset)), color);
+    });
+    return gradient;
+}
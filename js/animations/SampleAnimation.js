@@ -7,40 +7,103 @@ import { BaseAnimation } from './BaseAnimation.js';
  * point for creating new animations.
  */
 export class SampleAnimation extends BaseAnimation {
+    static parameters = {
+        squareSize: {
+            type: 'range', label: 'Square Size', group: 'Square Properties',
+            default: 60, min: 10, max: 150, step: 5,
+            description: 'Side length of the square in pixels'
+        },
+        squareColor: {
+            type: 'color', label: 'Square Color', group: 'Square Properties',
+            default: '#333333'
+        },
+        rotationSpeed: {
+            type: 'range', label: 'Rotation Speed', group: 'Square Properties',
+            default: 1.0, min: 0.1, max: 5.0, step: 0.1,
+            description: 'Radians per second'
+        },
+        circleRadius: {
+            type: 'range', label: 'Circle Radius', group: 'Circle Properties',
+            default: 15, min: 5, max: 50, step: 1
+        },
+        circleColor: {
+            type: 'color', label: 'Circle Color', group: 'Circle Properties',
+            default: '#666666'
+        },
+        orbitRadius: {
+            type: 'range', label: 'Orbit Radius', group: 'Circle Properties',
+            default: 80, min: 20, max: 200, step: 5,
+            description: 'Distance of the circle from the center in pixels'
+        },
+        orbitSpeed: {
+            type: 'range', label: 'Orbit Speed', group: 'Circle Properties',
+            default: 2.0, min: 0.1, max: 5.0, step: 0.1,
+            description: 'Radians per second'
+        },
+        audioReactivity: {
+            type: 'range', label: 'Reactivity', group: 'Audio',
+            default: 1.0, min: 0, max: 2.0, step: 0.1,
+            description: 'How strongly the bass and beats drive the shapes'
+        }
+    };
+
+    // Built-in looks listed under Preset in the side panel
+    static presets = [
+        {
+            name: 'Bold',
+            parameters: { squareSize: 120, squareColor: '#e63946', circleRadius: 30, circleColor: '#1d3557', orbitRadius: 160 }
+        },
+        {
+            name: 'Calm',
+            speed: 0.5,
+            parameters: { rotationSpeed: 0.3, orbitSpeed: 0.5, audioReactivity: 0.3 }
+        }
+    ];
+
     constructor() {
         super('Sample Animation - Square & Circle');
-        
-        // Animation parameters with default values
-        this.setParameter('squareSize', 60);
-        this.setParameter('squareColor', '#333333');
-        this.setParameter('circleRadius', 15);
-        this.setParameter('circleColor', '#666666');
-        this.setParameter('orbitRadius', 80);
-        this.setParameter('rotationSpeed', 1.0);
-        this.setParameter('orbitSpeed', 2.0);
     }
 
     /**
      * Main render method called every frame
      */
-    renderFrame(ctx, width, height, time) {
+    renderFrame(ctx, width, height, time, scale = 1, audio) {
         const centerX = width / 2;
         const centerY = height / 2;
         
-        // Get current parameter values
-        const squareSize = this.getParameter('squareSize', 60);
-        const squareColor = this.getParameter('squareColor', '#333333');
-        const circleRadius = this.getParameter('circleRadius', 15);
-        const circleColor = this.getParameter('circleColor', '#666666');
-        const orbitRadius = this.getParameter('orbitRadius', 80);
-        const rotationSpeed = this.getParameter('rotationSpeed', 1.0);
-        const orbitSpeed = this.getParameter('orbitSpeed', 2.0);
+        // Get current parameter values (pixel sizes follow the export scale)
+        const squareSize = this.getParameter('squareSize') * scale;
+        const squareColor = this.getParameter('squareColor');
+        const circleRadius = this.getParameter('circleRadius') * scale;
+        const circleColor = this.getParameter('circleColor');
+        const orbitRadius = this.getParameter('orbitRadius') * scale;
+        const rotationSpeed = this.getParameter('rotationSpeed');
+        const orbitSpeed = this.getParameter('orbitSpeed');
+        const reactivity = this.getParameter('audioReactivity');
+        
+        // With audio loaded, the bass swells the square and each beat pops the circle
+        const beatPulse = Math.exp(-audio.sinceBeat * 12);
+        const reactiveSquareSize = squareSize * (1 + 0.5 * reactivity * audio.bass);
+        const reactiveCircleRadius = circleRadius * (1 + reactivity * beatPulse);
         
         // Draw rotating square in the center
-        this.drawRotatingSquare(ctx, centerX, centerY, squareSize, squareColor, time * rotationSpeed);
+        this.drawRotatingSquare(ctx, centerX, centerY, reactiveSquareSize, squareColor, time * rotationSpeed);
         
         // Draw orbiting circle
-        this.drawOrbitingCircle(ctx, centerX, centerY, circleRadius, circleColor, orbitRadius, time * orbitSpeed);
+        this.drawOrbitingCircle(ctx, centerX, centerY, reactiveCircleRadius, circleColor, orbitRadius, time * orbitSpeed);
+    }
+
+    /**
+     * The square looks the same after a quarter turn and the circle after a full
+     * orbit, so the animation loops once both line up
+     */
+    getLoopDuration() {
+        const rotationSpeed = this.getParameter('rotationSpeed');
+        const orbitSpeed = this.getParameter('orbitSpeed');
+        return BaseAnimation.commonLoopDuration([
+            (Math.PI / 2) / rotationSpeed,
+            (Math.PI * 2) / orbitSpeed
+        ]);
     }
 
     /**
@@ -69,85 +132,4 @@ export class SampleAnimation extends BaseAnimation {
         ctx.arc(x, y, radius, 0, Math.PI * 2);
         ctx.fill();
     }
-
-    /**
-     * Get custom controls for this animation
-     */
-    getControls() {
-        return [
-            ...super.getControls(), // Include base controls (speed)
-            {
-                type: 'divider',
-                label: 'Square Properties'
-            },
-            {
-                type: 'range',
-                key: 'squareSize',
-                label: 'Square Size',
-                min: 10,
-                max: 150,
-                step: 5,
-                value: this.getParameter('squareSize', 60),
-                callback: (value) => this.setParameter('squareSize', parseInt(value))
-            },
-            {
-                type: 'color',
-                key: 'squareColor',
-                label: 'Square Color',
-                value: this.getParameter('squareColor', '#333333'),
-                callback: (value) => this.setParameter('squareColor', value)
-            },
-            {
-                type: 'range',
-                key: 'rotationSpeed',
-                label: 'Rotation Speed',
-                min: 0.1,
-                max: 5.0,
-                step: 0.1,
-                value: this.getParameter('rotationSpeed', 1.0),
-                callback: (value) => this.setParameter('rotationSpeed', parseFloat(value))
-            },
-            {
-                type: 'divider',
-                label: 'Circle Properties'
-            },
-            {
-                type: 'range',
-                key: 'circleRadius',
-                label: 'Circle Radius',
-                min: 5,
-                max: 50,
-                step: 1,
-                value: this.getParameter('circleRadius', 15),
-                callback: (value) => this.setParameter('circleRadius', parseInt(value))
-            },
-            {
-                type: 'color',
-                key: 'circleColor',
-                label: 'Circle Color',
-                value: this.getParameter('circleColor', '#666666'),
-                callback: (value) => this.setParameter('circleColor', value)
-            },
-            {
-                type: 'range',
-                key: 'orbitRadius',
-                label: 'Orbit Radius',
-                min: 20,
-                max: 200,
-                step: 5,
-                value: this.getParameter('orbitRadius', 80),
-                callback: (value) => this.setParameter('orbitRadius', parseInt(value))
-            },
-            {
-                type: 'range',
-                key: 'orbitSpeed',
-                label: 'Orbit Speed',
-                min: 0.1,
-                max: 5.0,
-                step: 0.1,
-                value: this.getParameter('orbitSpeed', 2.0),
-                callback: (value) => this.setParameter('orbitSpeed', parseFloat(value))
-            }
-        ];
-    }
-}
\ No newline at end of file
+}
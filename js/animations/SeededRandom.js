@@ -0,0 +1,225 @@
+/**
+ * SeededRandom - Reproducible random numbers and simplex noise
+ *
+ * The same seed always gives the same sequence, so a preview and every export of
+ * it match. Random values come from a small fast generator (mulberry32); noise uses
+ * a permutation table shuffled with the seed, so it changes with the seed as well.
+ */
+
+// Largest seed the side panel offers; any number or string can be used in code
+export const MAX_SEED = 4294967295;
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+const GRADIENTS_3D = new Float32Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Seed; strings are hashed
+     */
+    constructor(seed = 1) {
+        this.seed = hashSeed(seed);
+        this.permutation = createPermutation(this.seed);
+        this.reset();
+    }
+
+    /**
+     * Restart the sequence from the seed
+     */
+    reset() {
+        this.state = this.seed;
+        this.spareGaussian = null;
+    }
+
+    /**
+     * @returns {number} Uniform random number in [0, 1)
+     */
+    random() {
+        this.state = (this.state + 0x6d2b79f5) | 0;
+        return mulberry32(this.state);
+    }
+
+    /**
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} Uniform random number in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.random();
+    }
+
+    /**
+     * @param {number} min - Lowest integer
+     * @param {number} max - Highest integer (inclusive)
+     * @returns {number} Uniform random integer
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Normally distributed random number (Box–Muller)
+     * @param {number} [mean=0] - Mean
+     * @param {number} [deviation=1] - Standard deviation
+     * @returns {number} Random number
+     */
+    gaussian(mean = 0, deviation = 1) {
+        if (this.spareGaussian !== null) {
+            const spare = this.spareGaussian;
+            this.spareGaussian = null;
+            return mean + deviation * spare;
+        }
+
+        const u = 1 - this.random(); // Avoid log(0)
+        const v = this.random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        this.spareGaussian = radius * Math.sin(2 * Math.PI * v);
+        return mean + deviation * radius * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * @param {Array} items - Items to choose from
+     * @returns {any} Random item
+     */
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    /**
+     * 1D simplex noise, a slice through the 2D noise field
+     * @param {number} x - Position
+     * @returns {number} Smooth noise in [-1, 1]
+     */
+    noise1D(x) {
+        return this.noise2D(x, 0);
+    }
+
+    /**
+     * 2D simplex noise
+     * @returns {number} Smooth noise in [-1, 1]
+     */
+    noise2D(x, y) {
+        const perm = this.permutation;
+        const skew = (x + y) * F2;
+        const i = Math.floor(x + skew);
+        const j = Math.floor(y + skew);
+        const unskew = (i + j) * G2;
+        const x0 = x - (i - unskew);
+        const y0 = y - (j - unskew);
+
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const corner = (cx, cy, gradient) => {
+            const t = 0.5 - cx * cx - cy * cy;
+            if (t < 0) return 0;
+            const g = (gradient % 12) * 3;
+            return t * t * t * t * (GRADIENTS_3D[g] * cx + GRADIENTS_3D[g + 1] * cy);
+        };
+
+        return 70 * (
+            corner(x0, y0, perm[ii + perm[jj]]) +
+            corner(x1, y1, perm[ii + i1 + perm[jj + j1]]) +
+            corner(x2, y2, perm[ii + 1 + perm[jj + 1]])
+        );
+    }
+
+    /**
+     * 3D simplex noise; use time as the third axis for 2D noise that evolves
+     * @returns {number} Smooth noise in [-1, 1]
+     */
+    noise3D(x, y, z) {
+        const perm = this.permutation;
+        const skew = (x + y + z) * F3;
+        const i = Math.floor(x + skew);
+        const j = Math.floor(y + skew);
+        const k = Math.floor(z + skew);
+        const unskew = (i + j + k) * G3;
+        const x0 = x - (i - unskew);
+        const y0 = y - (j - unskew);
+        const z0 = z - (k - unskew);
+
+        // Which of the six tetrahedra the point is in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const corner = (cx, cy, cz, gradient) => {
+            const t = 0.6 - cx * cx - cy * cy - cz * cz;
+            if (t < 0) return 0;
+            const g = (gradient % 12) * 3;
+            return t * t * t * t * (GRADIENTS_3D[g] * cx + GRADIENTS_3D[g + 1] * cy + GRADIENTS_3D[g + 2] * cz);
+        };
+
+        return 32 * (
+            corner(x0, y0, z0, perm[ii + perm[jj + perm[kk]]]) +
+            corner(x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]]) +
+            corner(x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]]) +
+            corner(x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, perm[ii + 1 + perm[jj + 1 + perm[kk + 1]]])
+        );
+    }
+}
+
+/**
+ * Turn any seed into a 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Output step of mulberry32 for a given state
+function mulberry32(state) {
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// 0-255 shuffled with the seed, doubled so lookups never need wrapping
+function createPermutation(seed) {
+    let state = seed ^ 0x9e3779b9;
+    const values = Array.from({ length: 256 }, (value, index) => index);
+    for (let i = 255; i > 0; i--) {
+        state = (state + 0x6d2b79f5) | 0;
+        const j = Math.floor(mulberry32(state) * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    const permutation = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+        permutation[i] = values[i & 255];
+    }
+    return permutation;
+}
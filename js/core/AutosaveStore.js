@@ -0,0 +1,67 @@
+/**
+ * AutosaveStore - The last session's project, kept in IndexedDB
+ *
+ * IndexedDB is used rather than localStorage because projects embed their images
+ * and can be several megabytes. There is a single record that every autosave
+ * replaces.
+ */
+
+const DB_NAME = 'sv-tools';
+const DB_VERSION = 1;
+const STORE_NAME = 'autosave';
+const RECORD_KEY = 'last-session';
+
+export class AutosaveStore {
+    constructor() {
+        this.db = null;
+    }
+
+    // Open the database once, creating the store on first use
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run one request against the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): IDBRequest} operation - Makes the request
+     * @returns {Promise<any>} Result of the request
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the autosaved project
+     * @returns {Promise<Object|null>} Project, or null if nothing was saved
+     */
+    async load() {
+        const project = await this.request('readonly', store => store.get(RECORD_KEY));
+        return project || null;
+    }
+
+    /**
+     * Replace the autosaved project
+     * @param {Object} project - Project from ProjectManager.serialize()
+     */
+    save(project) {
+        return this.request('readwrite', store => store.put(project, RECORD_KEY));
+    }
+
+    clear() {
+        return this.request('readwrite', store => store.delete(RECORD_KEY));
+    }
+}
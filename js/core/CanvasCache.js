@@ -0,0 +1,60 @@
+/**
+ * CanvasCache - Offscreen canvases reused between frames
+ *
+ * Canvases are looked up by a name and a size. Only the most recently used ones
+ * are kept, so switching between the preview and an export at another size
+ * doesn't allocate new canvases every frame or keep large ones around forever.
+ */
+
+export class CanvasCache {
+    /**
+     * @param {number} maxCanvases - Canvases kept before the least recently used is freed
+     * @param {Object} [contextOptions] - Options for getContext('2d'), e.g. willReadFrequently
+     */
+    constructor(maxCanvases, contextOptions = {}) {
+        this.maxCanvases = maxCanvases;
+        this.contextOptions = contextOptions;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a canvas; its contents are whatever was drawn on it last
+     * @param {string} name - Purpose of the canvas, e.g. 'layer'
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} Canvas and its context
+     */
+    get(name, width, height) {
+        const key = `${name}:${width}x${height}`;
+        let entry = this.entries.get(key);
+        if (entry) {
+            // Most recently used canvases stay at the end
+            this.entries.delete(key);
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            entry = { canvas, ctx: canvas.getContext('2d', this.contextOptions) };
+
+            if (this.entries.size >= this.maxCanvases) {
+                const [oldestKey, oldest] = this.entries.entries().next().value;
+                oldest.canvas.width = 0;
+                oldest.canvas.height = 0;
+                this.entries.delete(oldestKey);
+            }
+        }
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Free every canvas, e.g. after a large export
+     */
+    release() {
+        this.entries.forEach(({ canvas }) => {
+            canvas.width = 0;
+            canvas.height = 0;
+        });
+        this.entries.clear();
+    }
+}
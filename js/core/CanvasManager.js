@@ -1,4 +1,30 @@
 import { ExportManager } from './ExportManager.js';
+import { Timeline } from './Timeline.js';
+import { PlaybackClock } from './PlaybackClock.js';
+import { LayerStack } from './LayerStack.js';
+import { Sequence } from './Sequence.js';
+import { EffectChain } from './EffectChain.js';
+import { CanvasCache } from './CanvasCache.js';
+import { MotionBlur } from './MotionBlur.js';
+import { UndoHistory } from './UndoHistory.js';
+import { isSameValue } from './ValueEquality.js';
+import { AudioTrack } from './audio/AudioTrack.js';
+import { showToast } from './Notifications.js';
+import { ImageAnimation } from '../animations/ImageAnimation.js';
+
+const DEFAULT_FRAME_DURATION = 1 / 60;
+const MAX_PREVIEW_STEP = 0.25; // Longer gaps between preview frames are seeks, not playback
+export const MIN_CANVAS_SIZE = 100;
+export const MAX_CANVAS_SIZE = 5000;
+
+/**
+ * Round a canvas width or height and bring it within the limits of the size inputs
+ * @param {number} size - Finite size in pixels
+ * @returns {number} Size in pixels
+ */
+export function clampCanvasSize(size) {
+    return Math.min(MAX_CANVAS_SIZE, Math.max(MIN_CANVAS_SIZE, Math.round(size)));
+}
 
 export class CanvasManager {
     constructor() {
@@ -11,14 +37,37 @@ export class CanvasManager {
         this.height = 600;
         this.backgroundColor = '#ffffff';
         this.isTransparent = false;
-        this.backgroundImage = null;
-        this.foregroundImage = null;
+        this.audioTrack = null;
         
         this.animationId = null;
-        this.currentAnimation = null;
+        this.lastRenderTime = null;
+        
+        // Animations are layers drawn over the background color, all on one clock.
+        // Uploaded images become image layers at the bottom or top of the stack
+        this.clock = new PlaybackClock();
+        this.layers = new LayerStack(this.clock);
+        this.imageLayers = { bg: null, fg: null };
+        this.layers.subscribe(() => this.updateImageButtons());
+        
+        // In sequence mode the scenes of the sequence are drawn instead of the layers
+        this.sequence = new Sequence(this.clock);
+        this.sequenceMode = false;
+        
+        // Post-processing applied to every finished frame
+        this.effects = new EffectChain();
+        this.frameCanvases = new CanvasCache(1);
+        
+        // Sub-frame averaging; the export dialog can turn on a low-sample preview of it
+        this.motionBlur = new MotionBlur();
+        this.motionBlurPreview = null;
         
-        // Initialize export manager
+        // Undo steps of side panel changes; the animation controls record theirs too
+        this.history = new UndoHistory();
+        
+        // Initialize timeline and export manager
+        this.timeline = new Timeline(this);
         this.exportManager = new ExportManager(this);
+        this.sequence.subscribe(() => this.updateSequenceTimeline());
         
         this.init();
     }
@@ -30,26 +79,38 @@ export class CanvasManager {
     }
 
     setupEventListeners() {
-        // Canvas size controls
-        document.getElementById('canvas-width').addEventListener('input', (e) => {
-            this.width = parseInt(e.target.value);
-            this.updateCanvasSize();
-        });
-
-        document.getElementById('canvas-height').addEventListener('input', (e) => {
-            this.height = parseInt(e.target.value);
-            this.updateCanvasSize();
+        // Canvas size controls: sizes are applied while typing once they're in range,
+        // and clamped to the range when the field is left
+        [['canvas-width', 'width'], ['canvas-height', 'height']].forEach(([id, dimension]) => {
+            const input = document.getElementById(id);
+            const apply = (size) => {
+                this.recordFrameChange('Canvas size', () => {
+                    this[dimension] = size;
+                    this.updateCanvasSize();
+                }, 'canvas-size');
+            };
+            input.addEventListener('input', () => {
+                const size = parseInt(input.value);
+                if (size >= MIN_CANVAS_SIZE && size <= MAX_CANVAS_SIZE) apply(size);
+            });
+            input.addEventListener('change', () => {
+                const size = parseInt(input.value);
+                if (Number.isFinite(size)) apply(clampCanvasSize(size));
+                input.value = this[dimension];
+            });
         });
 
         // Preset buttons
         document.querySelectorAll('.preset-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const [width, height] = e.target.dataset.size.split(',').map(Number);
-                this.width = width;
-                this.height = height;
-                document.getElementById('canvas-width').value = width;
-                document.getElementById('canvas-height').value = height;
-                this.updateCanvasSize();
+                this.recordFrameChange(`Canvas size ${e.target.textContent}`, () => {
+                    this.width = width;
+                    this.height = height;
+                    document.getElementById('canvas-width').value = width;
+                    document.getElementById('canvas-height').value = height;
+                    this.updateCanvasSize();
+                });
                 
                 // Update active preset
                 document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
@@ -59,11 +120,15 @@ export class CanvasManager {
 
         // Background controls
         document.getElementById('bg-color').addEventListener('input', (e) => {
-            this.backgroundColor = e.target.value;
+            this.recordFrameChange('Background color', () => {
+                this.backgroundColor = e.target.value;
+            }, 'background-color');
         });
 
         document.getElementById('bg-transparency').addEventListener('change', (e) => {
-            this.isTransparent = e.target.value === 'transparent';
+            this.recordFrameChange('Background mode', () => {
+                this.isTransparent = e.target.value === 'transparent';
+            });
         });
 
         // Background image upload
@@ -79,10 +144,8 @@ export class CanvasManager {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     const img = new Image();
-                    img.onload = () => {
-                        this.backgroundImage = img;
-                        this.updateImageButtonState('bg', true);
-                    };
+                    img.onload = () => this.recordImageChange('bg', 'Upload background image',
+                        () => this.setImageLayer('bg', img, file.name));
                     img.src = event.target.result;
                 };
                 reader.readAsDataURL(file);
@@ -92,9 +155,7 @@ export class CanvasManager {
         // Background image removal
         document.getElementById('bg-remove-btn').addEventListener('click', (e) => {
             e.stopPropagation();
-            this.backgroundImage = null;
-            this.updateImageButtonState('bg', false);
-            document.getElementById('bg-image-input').value = '';
+            this.recordImageChange('bg', 'Remove background image', () => this.removeImageLayer('bg'));
         });
 
         // Foreground image upload
@@ -110,10 +171,8 @@ export class CanvasManager {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     const img = new Image();
-                    img.onload = () => {
-                        this.foregroundImage = img;
-                        this.updateImageButtonState('fg', true);
-                    };
+                    img.onload = () => this.recordImageChange('fg', 'Upload foreground image',
+                        () => this.setImageLayer('fg', img, file.name));
                     img.src = event.target.result;
                 };
                 reader.readAsDataURL(file);
@@ -123,9 +182,34 @@ export class CanvasManager {
         // Foreground image removal
         document.getElementById('fg-remove-btn').addEventListener('click', (e) => {
             e.stopPropagation();
-            this.foregroundImage = null;
-            this.updateImageButtonState('fg', false);
-            document.getElementById('fg-image-input').value = '';
+            this.recordImageChange('fg', 'Remove foreground image', () => this.removeImageLayer('fg'));
+        });
+
+        // Audio upload
+        document.getElementById('audio-upload-btn').addEventListener('click', (e) => {
+            if (!e.target.classList.contains('remove-image')) {
+                document.getElementById('audio-input').click();
+            }
+        });
+
+        document.getElementById('audio-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadAudio(file);
+            }
+        });
+
+        document.getElementById('audio-offset').addEventListener('change', (e) => {
+            if (this.audioTrack) {
+                this.audioTrack.offset = parseFloat(e.target.value) || 0;
+            }
+        });
+
+        // Audio removal
+        document.getElementById('audio-remove-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setAudioTrack(null);
+            document.getElementById('audio-input').value = '';
         });
 
         // Export controls
@@ -137,6 +221,100 @@ export class CanvasManager {
         window.addEventListener('resize', () => this.updateCanvasDisplay());
     }
 
+    /**
+     * Set the canvas size, as if typed into the size inputs
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    setCanvasSize(width, height) {
+        this.width = width;
+        this.height = height;
+        document.getElementById('canvas-width').value = width;
+        document.getElementById('canvas-height').value = height;
+        document.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.size === `${width},${height}`);
+        });
+        this.updateCanvasSize();
+    }
+
+    /**
+     * Set the background color and mode, as if picked in the Background section
+     * @param {string} color - Hex color
+     * @param {boolean} transparent - True for a transparent background
+     */
+    setBackground(color, transparent) {
+        this.backgroundColor = color;
+        this.isTransparent = transparent;
+        document.getElementById('bg-color').value = color;
+        document.getElementById('bg-transparency').value = transparent ? 'transparent' : 'opaque';
+    }
+
+    // Canvas size and background, as restored by undo
+    getFrameSettings() {
+        return {
+            width: this.width,
+            height: this.height,
+            backgroundColor: this.backgroundColor,
+            isTransparent: this.isTransparent
+        };
+    }
+
+    setFrameSettings(settings) {
+        if (settings.width !== this.width || settings.height !== this.height) {
+            this.setCanvasSize(settings.width, settings.height);
+        }
+        this.setBackground(settings.backgroundColor, settings.isTransparent);
+    }
+
+    /**
+     * Make a change to the canvas size or background as one undo step
+     * @param {string} label - Name of the step in the history list
+     * @param {function()} change - Makes the change
+     * @param {string} [mergeKey] - Merges quick successive changes, e.g. while typing
+     */
+    recordFrameChange(label, change, mergeKey) {
+        const before = this.getFrameSettings();
+        change();
+        const after = this.getFrameSettings();
+        if (isSameValue(before, after)) return;
+        this.history.push({
+            label,
+            mergeKey,
+            undo: () => this.setFrameSettings(before),
+            redo: () => this.setFrameSettings(after)
+        });
+    }
+
+    /**
+     * Upload or remove the image of the BG or FG layer as one undo step
+     * @param {string} type - 'bg' or 'fg'
+     * @param {string} label - Name of the step in the history list
+     * @param {function()} change - Makes the change
+     */
+    recordImageChange(type, label, change) {
+        const getImage = () => {
+            const layer = this.imageLayers[type];
+            return layer && this.layers.layers.includes(layer) ?
+                { image: layer.animation.image, name: layer.name } :
+                null;
+        };
+        const setImage = (saved) => {
+            if (saved) {
+                this.setImageLayer(type, saved.image, saved.name);
+            } else {
+                this.removeImageLayer(type);
+            }
+        };
+        
+        const before = getImage();
+        change();
+        const after = getImage();
+        const unchanged = before === after ||
+            (before && after && before.image === after.image && before.name === after.name);
+        if (unchanged) return;
+        this.history.push({ label, undo: () => setImage(before), redo: () => setImage(after) });
+    }
+
     updateCanvasSize() {
         this.canvas.width = this.width;
         this.canvas.height = this.height;
@@ -146,7 +324,9 @@ export class CanvasManager {
 
     updateCanvasDisplay() {
         const containerWidth = this.wrapper.parentElement.clientWidth - 40; // padding
-        const containerHeight = this.wrapper.parentElement.clientHeight - 40;
+        // Leave room for the timeline bar under the canvas
+        const timelineHeight = document.getElementById('timeline').offsetHeight + 16;
+        const containerHeight = this.wrapper.parentElement.clientHeight - 40 - timelineHeight;
         
         const canvasAspect = this.width / this.height;
         const containerAspect = containerWidth / containerHeight;
@@ -169,6 +349,10 @@ export class CanvasManager {
 
     startAnimation() {
         const animate = () => {
+            this.timeline.update();
+            if (this.audioTrack) {
+                this.audioTrack.sync(this.clock);
+            }
             this.render();
             this.animationId = requestAnimationFrame(animate);
         };
@@ -183,26 +367,61 @@ export class CanvasManager {
     }
 
     render() {
-        // Set background
+        const time = this.clock.getCurrentTime();
+        
+        // Beat and onset flags cover the playback since the previous preview frame
+        const elapsed = this.lastRenderTime !== null ? time - this.lastRenderTime : 0;
+        this.lastRenderTime = time;
+        const frameDuration = elapsed > 0 && elapsed < MAX_PREVIEW_STEP ? elapsed : DEFAULT_FRAME_DURATION;
+        
+        const options = { frameDuration, motionBlur: this.motionBlurPreview };
+        
         if (this.isTransparent) {
             this.ctx.clearRect(0, 0, this.width, this.height);
             this.drawTransparencyCheckers();
-        } else if (this.backgroundImage) {
-            this.ctx.drawImage(this.backgroundImage, 0, 0, this.width, this.height);
+            
+            // Effects and motion blur process the frame on its own, like a transparent export,
+            // not the checkerboard
+            const { canvas, ctx } = this.frameCanvases.get('frame', this.width, this.height);
+            this.renderComposition(ctx, this.width, this.height, time, { ...options, background: false });
+            this.ctx.drawImage(canvas, 0, 0);
         } else {
-            this.ctx.fillStyle = this.backgroundColor;
-            this.ctx.fillRect(0, 0, this.width, this.height);
-        }
-        
-        // Render current animation if one is loaded
-        if (this.currentAnimation) {
-            this.currentAnimation.render(this.ctx, this.width, this.height);
+            this.renderComposition(this.ctx, this.width, this.height, time, options);
         }
+    }
+
+    /**
+     * Draw a finished frame: the background color, the layers (or the sequence),
+     * averaged over the shutter when motion blur is on, then the effects chain.
+     * The preview and every export render through here
+     * @param {CanvasRenderingContext2D} ctx - Output context; its contents are replaced
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} time - Clock time in seconds
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Output pixels per canvas pixel
+     * @param {number} [options.frameDuration] - Seconds the frame is shown for
+     * @param {boolean} [options.background=true] - Fill with the background color first; without it
+     *     the BG image layer is left out as well, so transparent output only has the animation
+     * @param {Object|null} [options.motionBlur] - { samples, shutterAngle, frameDuration }, see MotionBlur.js
+     */
+    renderComposition(ctx, width, height, time, { scale = 1, frameDuration = DEFAULT_FRAME_DURATION, background = true, motionBlur = null } = {}) {
+        const draw = (target, subTime) => {
+            target.clearRect(0, 0, width, height);
+            if (background) {
+                target.fillStyle = this.backgroundColor;
+                target.fillRect(0, 0, width, height);
+            }
+            const hidden = background ? [] : [this.imageLayers.bg];
+            this.getComposition().render(target, width, height, subTime, scale, frameDuration, hidden);
+        };
         
-        // Draw foreground image if exists
-        if (this.foregroundImage) {
-            this.ctx.drawImage(this.foregroundImage, 0, 0, this.width, this.height);
+        if (motionBlur) {
+            this.motionBlur.render(ctx, width, height, time, motionBlur, draw);
+        } else {
+            draw(ctx, time);
         }
+        this.effects.apply(ctx, width, height, time, scale);
     }
 
     drawTransparencyCheckers() {
@@ -219,6 +438,78 @@ export class CanvasManager {
         }
     }
 
+    /**
+     * What the preview and exports draw: the sequence in sequence mode, otherwise the
+     * layer stack. Both have render(), getLoopDuration() and releaseCanvases()
+     * @returns {LayerStack|Sequence} Current composition
+     */
+    getComposition() {
+        return this.sequenceMode ? this.sequence : this.layers;
+    }
+
+    /**
+     * Switch between playing the layer stack and the sequence
+     * @param {boolean} enabled - Play the sequence
+     */
+    setSequenceMode(enabled) {
+        this.sequenceMode = enabled;
+        this.timeline.loopWhole = enabled;
+        this.updateSequenceTimeline();
+        this.clock.seek(0);
+    }
+
+    // In sequence mode the timeline spans the whole sequence
+    updateSequenceTimeline() {
+        if (this.sequenceMode && this.sequence.scenes.length > 0) {
+            this.timeline.setLength(this.sequence.getDuration());
+        }
+    }
+
+    /**
+     * Show an uploaded image as the background (bottom) or foreground (top) layer,
+     * replacing the image of that layer if it is still in the stack
+     * @param {string} type - 'bg' or 'fg'
+     * @param {HTMLImageElement} image - Loaded image
+     * @param {string} fileName - Name of the uploaded file
+     */
+    setImageLayer(type, image, fileName) {
+        const existing = this.imageLayers[type];
+        if (existing && this.layers.layers.includes(existing)) {
+            existing.animation.image = image;
+            existing.name = fileName;
+            this.layers.notify();
+            return;
+        }
+        
+        this.imageLayers[type] = this.layers.add(new ImageAnimation(image), {
+            animationId: 'image',
+            name: fileName,
+            index: type === 'bg' ? 0 : this.layers.layers.length,
+            select: false
+        });
+    }
+
+    removeImageLayer(type) {
+        const layer = this.imageLayers[type];
+        this.imageLayers[type] = null;
+        if (layer) {
+            this.layers.remove(layer);
+        }
+        this.updateImageButtons();
+    }
+
+    // The BG/FG buttons show whether their image layer is still in the stack
+    updateImageButtons() {
+        ['bg', 'fg'].forEach(type => {
+            const layer = this.imageLayers[type];
+            const hasImage = Boolean(layer) && this.layers.layers.includes(layer);
+            this.updateImageButtonState(type, hasImage);
+            if (!hasImage) {
+                document.getElementById(`${type}-image-input`).value = '';
+            }
+        });
+    }
+
     updateImageButtonState(type, hasImage) {
         const button = document.getElementById(`${type}-upload-btn`);
         const removeBtn = document.getElementById(`${type}-remove-btn`);
@@ -235,11 +526,61 @@ export class CanvasManager {
         }
     }
 
-    // Set the current animation
-    setAnimation(animation) {
-        this.currentAnimation = animation;
-        if (animation) {
-            animation.init();
+    /**
+     * Decode and analyze an audio file, then play it along with the animation
+     * @param {File} file - Audio file
+     */
+    async loadAudio(file) {
+        const button = document.getElementById('audio-upload-btn');
+        const uploadText = button.querySelector('.upload-text');
+        button.classList.add('is-loading');
+        uploadText.textContent = 'Analyzing audio…';
+        
+        try {
+            const track = await AudioTrack.fromFile(file, {
+                onProgress: (fraction) => {
+                    uploadText.textContent = `Analyzing audio… ${Math.round(fraction * 100)}%`;
+                }
+            });
+            this.setAudioTrack(track);
+            showToast(`${track.name}: ${track.analysis.beats.length} beats found`, { type: 'success' });
+        } catch (error) {
+            console.error('Audio loading failed:', error);
+            showToast(`Could not read ${file.name} as audio`, { type: 'error' });
+            this.updateAudioButtonState();
+            document.getElementById('audio-input').value = '';
+        } finally {
+            button.classList.remove('is-loading');
+        }
+    }
+
+    /**
+     * Replace the audio track that animations react to
+     * @param {AudioTrack|null} track - New track, or null to remove it
+     */
+    setAudioTrack(track) {
+        if (this.audioTrack) {
+            this.audioTrack.destroy();
+        }
+        this.audioTrack = track;
+        this.layers.setAudioTrack(track);
+        this.sequence.setAudioTrack(track);
+        this.updateAudioButtonState();
+    }
+
+    updateAudioButtonState() {
+        const button = document.getElementById('audio-upload-btn');
+        const removeBtn = document.getElementById('audio-remove-btn');
+        const uploadText = button.querySelector('.upload-text');
+        
+        button.classList.toggle('has-image', Boolean(this.audioTrack));
+        removeBtn.style.display = this.audioTrack ? 'flex' : 'none';
+        uploadText.textContent = this.audioTrack ? `♪ ${this.audioTrack.name}` : 'Upload Audio';
+        button.title = this.audioTrack ? this.audioTrack.name : '';
+        
+        document.getElementById('audio-offset-row').style.display = this.audioTrack ? '' : 'none';
+        if (this.audioTrack) {
+            document.getElementById('audio-offset').value = this.audioTrack.offset;
         }
     }
 
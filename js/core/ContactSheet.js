@@ -0,0 +1,132 @@
+/**
+ * ContactSheet - Lays out sampled frames as a printable storyboard
+ *
+ * Draws a header (title and details such as canvas size and parameter values)
+ * followed by a grid of thumbnails, each labeled with its timestamp. The same
+ * layout is used for the single PNG sheet and for each page of the PDF.
+ */
+
+const MARGIN = 32;
+const GAP = 16;
+const TITLE_SIZE = 24;
+const DETAIL_SIZE = 12;
+const LABEL_SIZE = 11;
+const LINE_SPACING = 1.5;
+const FONT_FAMILY = 'Inter, -apple-system, BlinkMacSystemFont, sans-serif';
+
+export class ContactSheet {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - Animation name
+     * @param {Array<string>} options.details - Header lines; long lines wrap
+     * @param {number} options.columns - Thumbnails per row
+     * @param {number} options.thumbnailWidth - Thumbnail width in layout pixels
+     * @param {number} options.thumbnailHeight - Thumbnail height in layout pixels
+     * @param {number} [options.pixelRatio=1] - Output pixels per layout pixel
+     */
+    constructor({ title, details, columns, thumbnailWidth, thumbnailHeight, pixelRatio = 1 }) {
+        this.title = title;
+        this.columns = columns;
+        this.thumbnailWidth = thumbnailWidth;
+        this.thumbnailHeight = thumbnailHeight;
+        this.pixelRatio = pixelRatio;
+
+        this.width = MARGIN * 2 + columns * thumbnailWidth + (columns - 1) * GAP;
+        this.cellHeight = thumbnailHeight + LABEL_SIZE * LINE_SPACING + 4;
+
+        // Wrap the details once, so every page has the same header height
+        const measure = document.createElement('canvas').getContext('2d');
+        measure.font = `${DETAIL_SIZE}px ${FONT_FAMILY}`;
+        this.detailLines = details.flatMap(line => wrapText(measure, line, this.width - MARGIN * 2));
+        this.headerHeight = MARGIN + TITLE_SIZE * LINE_SPACING +
+            this.detailLines.length * DETAIL_SIZE * LINE_SPACING + GAP;
+    }
+
+    /**
+     * Layout height for a number of thumbnails
+     * @param {number} count - Thumbnails on the page
+     * @returns {number} Height in layout pixels
+     */
+    getHeight(count) {
+        const rows = Math.ceil(count / this.columns);
+        return this.headerHeight + rows * this.cellHeight + (rows - 1) * GAP + MARGIN;
+    }
+
+    /**
+     * Number of rows that fit on a page with the given aspect ratio
+     * @param {number} aspect - Page height divided by width
+     * @returns {number} Rows per page (at least one)
+     */
+    getRowsPerPage(aspect) {
+        const available = this.width * aspect - this.headerHeight - MARGIN + GAP;
+        return Math.max(1, Math.floor(available / (this.cellHeight + GAP)));
+    }
+
+    /**
+     * Draw a page
+     * @param {CanvasRenderingContext2D} ctx - Context of a canvas sized for this page
+     * @param {Array<{image: CanvasImageSource, label: string}>} frames - Thumbnails on this page
+     * @param {string} [pageLabel] - Shown at the top right, e.g. 'Page 2 / 3'
+     */
+    draw(ctx, frames, pageLabel = '') {
+        ctx.save();
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+
+        // Contact sheets are meant for print, so they use a paper-white background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.width, this.getHeight(frames.length));
+        ctx.textBaseline = 'top';
+
+        ctx.fillStyle = '#111111';
+        ctx.font = `600 ${TITLE_SIZE}px ${FONT_FAMILY}`;
+        ctx.fillText(this.title, MARGIN, MARGIN);
+
+        if (pageLabel) {
+            ctx.font = `${DETAIL_SIZE}px ${FONT_FAMILY}`;
+            ctx.textAlign = 'right';
+            ctx.fillText(pageLabel, this.width - MARGIN, MARGIN);
+            ctx.textAlign = 'left';
+        }
+
+        ctx.fillStyle = '#555555';
+        ctx.font = `${DETAIL_SIZE}px ${FONT_FAMILY}`;
+        let y = MARGIN + TITLE_SIZE * LINE_SPACING;
+        this.detailLines.forEach(line => {
+            ctx.fillText(line, MARGIN, y);
+            y += DETAIL_SIZE * LINE_SPACING;
+        });
+
+        ctx.font = `${LABEL_SIZE}px ${FONT_FAMILY}`;
+        frames.forEach(({ image, label }, index) => {
+            const x = MARGIN + (index % this.columns) * (this.thumbnailWidth + GAP);
+            const top = this.headerHeight + Math.floor(index / this.columns) * (this.cellHeight + GAP);
+
+            ctx.drawImage(image, x, top, this.thumbnailWidth, this.thumbnailHeight);
+            ctx.strokeStyle = '#cccccc';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, top + 0.5, this.thumbnailWidth - 1, this.thumbnailHeight - 1);
+
+            ctx.fillStyle = '#333333';
+            ctx.fillText(label, x, top + this.thumbnailHeight + 4);
+        });
+
+        ctx.restore();
+    }
+}
+
+// Split text into lines that fit the width, breaking between words
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    lines.push(line);
+    return lines;
+}
@@ -0,0 +1,315 @@
+/**
+ * ControlFactory - Side panel rows built from control definitions
+ *
+ * Animations and effects describe their settings with getControls(), an array of
+ * { type, key, label, value, callback, ... } objects. Both the animation panel and
+ * the effects panel turn them into rows here, so every control type looks and
+ * behaves the same wherever it appears. The larger editors live in controls/.
+ */
+
+import { createPointControl } from './controls/PointControl.js';
+import { createAngleControl } from './controls/AngleControl.js';
+import { createGradientControl } from './controls/GradientControl.js';
+import { createPaletteControl } from './controls/PaletteControl.js';
+import { createCurveControl } from './controls/CurveControl.js';
+import { showToast } from './Notifications.js';
+import { normalizeOptions } from '../animations/ParameterSchema.js';
+
+/**
+ * Build the row for a control definition
+ * @param {Object} control - Control definition from getControls()
+ * @param {Object} [options]
+ * @param {function(Object)} [options.onChange] - Called with the control after its callback ran
+ * @returns {{element: HTMLElement, showValue: function(any)|null, destroy: function()|undefined}|null}
+ *     Row, a function that shows a value set from elsewhere (null for dividers and
+ *     files) and, for controls that add elements outside the row, a function that
+ *     removes them; null for unknown types
+ */
+export function createControl(control, { onChange } = {}) {
+    const builder = CONTROL_BUILDERS[control.type];
+    if (!builder) return null;
+
+    const change = (value) => {
+        control.callback(value);
+        if (onChange) onChange(control);
+    };
+    return builder(control, change);
+}
+
+const CONTROL_BUILDERS = {
+    divider(control) {
+        const divider = document.createElement('div');
+        divider.className = 'controls-section';
+        divider.style.marginBottom = '16px';
+        divider.style.marginTop = '16px';
+        const heading = document.createElement('h4');
+        heading.textContent = control.label;
+        divider.appendChild(heading);
+        return { element: divider, showValue: null };
+    },
+
+    range(control, change) {
+        const container = createRow(control);
+        const defaultValue = control.default !== undefined ? control.default : control.value;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = control.min;
+        slider.max = control.max;
+        slider.step = control.step;
+        slider.value = control.value;
+        slider.style.flex = '1';
+        slider.title = `Double-click to reset to ${defaultValue}`;
+
+        const number = document.createElement('input');
+        number.type = 'number';
+        number.className = 'number-control range-number';
+        number.min = control.min;
+        number.max = control.max;
+        number.step = control.step;
+        number.value = control.value;
+
+        const setValue = (value) => {
+            slider.value = value;
+            number.value = value;
+            change(String(value));
+        };
+
+        slider.addEventListener('input', (e) => {
+            number.value = e.target.value;
+            change(e.target.value);
+        });
+        slider.addEventListener('dblclick', () => setValue(defaultValue));
+
+        // Typed values may fall between slider steps but not outside its range
+        number.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) {
+                number.value = slider.value;
+                return;
+            }
+            setValue(Math.min(control.max, Math.max(control.min, value)));
+        });
+
+        container.appendChild(slider);
+        container.appendChild(number);
+
+        // Values set from elsewhere are shown with the precision of the slider step
+        const decimals = (String(control.step).split('.')[1] || '').length;
+        return {
+            element: container,
+            showValue: (value) => {
+                if (document.activeElement === slider || document.activeElement === number) return;
+                slider.value = value;
+                number.value = Number(value).toFixed(decimals);
+            }
+        };
+    },
+
+    number(control, change) {
+        const container = createRow(control);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'number-control';
+        if (control.min !== undefined) input.min = control.min;
+        if (control.max !== undefined) input.max = control.max;
+        input.step = control.step || 'any';
+        input.value = control.value;
+
+        let current = control.value;
+        input.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) {
+                input.value = current;
+                return;
+            }
+            current = value;
+            if (control.min !== undefined) current = Math.max(control.min, current);
+            if (control.max !== undefined) current = Math.min(control.max, current);
+            input.value = current;
+            change(current);
+        });
+
+        container.appendChild(input);
+        if (control.unit) {
+            const unit = document.createElement('span');
+            unit.textContent = control.unit;
+            container.appendChild(unit);
+        }
+        return {
+            element: container,
+            showValue: (value) => {
+                if (document.activeElement === input) return;
+                current = value;
+                input.value = value;
+            }
+        };
+    },
+
+    checkbox(control, change) {
+        const container = createRow(control);
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'checkbox-control';
+        checkbox.checked = Boolean(control.value);
+        checkbox.addEventListener('change', (e) => change(e.target.checked));
+
+        container.appendChild(checkbox);
+        return {
+            element: container,
+            showValue: (value) => {
+                checkbox.checked = Boolean(value);
+            }
+        };
+    },
+
+    select(control, change) {
+        const container = createRow(control);
+        const options = normalizeOptions(control.options);
+
+        // Options are looked up by index, so values keep their type
+        const select = document.createElement('select');
+        select.className = 'select-control';
+        options.forEach(({ label }, index) => select.add(new Option(label, index)));
+        const show = (value) => {
+            select.selectedIndex = options.findIndex(option => option.value === value);
+        };
+        show(control.value);
+
+        select.addEventListener('change', () => change(options[select.selectedIndex].value));
+
+        container.appendChild(select);
+        return {
+            element: container,
+            showValue: (value) => {
+                if (document.activeElement !== select) show(value);
+            }
+        };
+    },
+
+    text(control, change) {
+        const container = createRow(control);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'text-control';
+        input.value = control.value || '';
+        if (control.placeholder) input.placeholder = control.placeholder;
+        if (control.maxLength) input.maxLength = control.maxLength;
+        input.addEventListener('input', (e) => change(e.target.value));
+
+        container.appendChild(input);
+        return {
+            element: container,
+            showValue: (value) => {
+                if (document.activeElement !== input) input.value = value;
+            }
+        };
+    },
+
+    color(control, change) {
+        const container = createRow(control);
+
+        const colorPicker = document.createElement('input');
+        colorPicker.type = 'color';
+        colorPicker.value = control.value;
+        colorPicker.className = 'color-picker';
+
+        colorPicker.addEventListener('input', (e) => change(e.target.value));
+
+        container.appendChild(colorPicker);
+        return {
+            element: container,
+            showValue: (value) => {
+                if (document.activeElement !== colorPicker) {
+                    colorPicker.value = value;
+                }
+            }
+        };
+    },
+
+    point: (control, change) => createPointControl(createRow(control), control, change),
+    angle: (control, change) => createAngleControl(createRow(control), control, change),
+    gradient: (control, change) => createGradientControl(createRow(control), control, change),
+    palette: (control, change) => createPaletteControl(createRow(control), control, change),
+    curve: (control, change) => createCurveControl(createRow(control), control, change),
+    image: (control, change) => createFileControl(control, change, true),
+    file: (control, change) => createFileControl(control, change, false)
+};
+
+// Row with the control's label
+function createRow(control) {
+    const container = document.createElement('div');
+    container.className = 'frame-control-row';
+
+    const label = document.createElement('label');
+    label.textContent = control.label + ':';
+    if (control.description) {
+        label.title = control.description;
+    }
+    container.appendChild(label);
+    return container;
+}
+
+// File picker; images are passed on as a loaded HTMLImageElement with a data URL
+// source, anything else as the File
+function createFileControl(control, change, isImage) {
+    const container = createRow(control);
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = control.accept || (isImage ? 'image/*' : '');
+    input.style.display = 'none';
+
+    const choose = document.createElement('button');
+    choose.className = 'control-list-btn file-choose';
+    choose.textContent = 'Choose…';
+    choose.addEventListener('click', () => input.click());
+
+    const name = document.createElement('span');
+    name.className = 'file-name';
+    const showName = (value) => {
+        name.textContent = value ? (value.name || value.alt || 'Image') : 'None';
+        name.title = name.textContent;
+        clear.disabled = !value;
+    };
+
+    const clear = document.createElement('button');
+    clear.className = 'control-list-btn';
+    clear.textContent = '×';
+    clear.title = 'Remove';
+    clear.addEventListener('click', () => {
+        input.value = '';
+        showName(null);
+        change(null);
+    });
+
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        if (!isImage) {
+            showName(file);
+            change(file);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const image = new Image();
+            image.alt = file.name;
+            image.onload = () => {
+                showName(image);
+                change(image);
+            };
+            image.onerror = () => showToast(`Could not load ${file.name} as an image`, { type: 'error' });
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+
+    container.append(input, choose, name, clear);
+    showName(control.value);
+    return { element: container, showValue: null };
+}
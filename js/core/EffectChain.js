@@ -0,0 +1,93 @@
+/**
+ * EffectChain - Post-processing effects run on the composited frame
+ *
+ * Effects run top to bottom after the layers (or the sequence) have been drawn,
+ * each on the output of the one before. The preview and every export call
+ * apply() on the finished frame, so exports get exactly the effects the preview
+ * shows.
+ */
+
+export class EffectChain {
+    constructor() {
+        this.effects = []; // In the order they run
+        this.nextId = 1;
+        this.listeners = [];
+    }
+
+    /**
+     * Call a function whenever effects are added, removed, reordered or switched on or off
+     * @param {function(EffectChain)} listener - Change handler
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Add an effect at the end of the chain
+     * @param {BaseEffect} effect - Effect instance
+     * @param {string} effectId - Registry id of the effect
+     * @returns {BaseEffect} The effect
+     */
+    add(effect, effectId) {
+        effect.id = this.nextId++;
+        effect.effectId = effectId;
+        this.effects.push(effect);
+        this.notify();
+        return effect;
+    }
+
+    remove(effect) {
+        const index = this.effects.indexOf(effect);
+        if (index === -1) return;
+        this.effects.splice(index, 1);
+        this.notify();
+    }
+
+    /**
+     * Move an effect earlier or later in the chain
+     * @param {BaseEffect} effect - Effect to move
+     * @param {number} steps - Positive runs it later
+     */
+    move(effect, steps) {
+        const index = this.effects.indexOf(effect);
+        const target = Math.max(0, Math.min(this.effects.length - 1, index + steps));
+        if (index === -1 || target === index) return;
+
+        this.effects.splice(index, 1);
+        this.effects.splice(target, 0, effect);
+        this.notify();
+    }
+
+    setEnabled(effect, enabled) {
+        effect.enabled = enabled;
+        this.notify();
+    }
+
+    /**
+     * Effects that change the frame with their current settings
+     * @returns {Array<BaseEffect>} Effects in the order they run
+     */
+    getActiveEffects() {
+        return this.effects.filter(effect => effect.enabled && !effect.isNeutral());
+    }
+
+    /**
+     * Run the chain on a finished frame, in place
+     * @param {CanvasRenderingContext2D} ctx - Context holding the frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} time - Clock time of the frame in seconds
+     * @param {number} scale - Output pixels per canvas pixel
+     */
+    apply(ctx, width, height, time, scale = 1) {
+        this.getActiveEffects().forEach(effect => {
+            ctx.save();
+            effect.apply(ctx, width, height, time, scale);
+            ctx.restore();
+        });
+    }
+}
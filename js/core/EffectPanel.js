@@ -0,0 +1,111 @@
+/**
+ * EffectPanel - Effects chain editor in the side panel
+ *
+ * Lists the effects in the order they run. Each one can be switched off, moved,
+ * removed, or expanded to show its settings, which are built from getControls()
+ * exactly like animation parameters.
+ */
+
+import { createControl } from './ControlFactory.js';
+
+export class EffectPanel {
+    /**
+     * @param {EffectChain} effects - Chain shown by the panel
+     * @param {EffectRegistry} effectRegistry - Effects that can be added
+     */
+    constructor(effects, effectRegistry) {
+        this.effects = effects;
+        this.effectRegistry = effectRegistry;
+        this.list = document.getElementById('effect-list');
+        this.collapsed = new Set();
+        this.builtControls = [];
+
+        this.populateSelect();
+        this.setupEventListeners();
+        this.effects.subscribe(() => this.render());
+        this.render();
+    }
+
+    populateSelect() {
+        const select = document.getElementById('effect-add-select');
+        this.effectRegistry.getAll().forEach(({ id, displayName }) => {
+            select.add(new Option(displayName, id));
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('effect-add-btn').addEventListener('click', () => {
+            const effectId = document.getElementById('effect-add-select').value;
+            const effect = this.effectRegistry.create(effectId);
+            if (effect) {
+                this.effects.add(effect, effectId);
+            }
+        });
+    }
+
+    /**
+     * Rebuild the effect list
+     */
+    render() {
+        this.builtControls.forEach(built => built.destroy && built.destroy());
+        this.builtControls = [];
+        this.list.innerHTML = '';
+        const effects = this.effects.effects;
+
+        effects.forEach((effect, index) => {
+            const item = document.createElement('div');
+            item.className = 'effect-item';
+            item.classList.toggle('muted', !effect.enabled);
+
+            const header = document.createElement('div');
+            header.className = 'effect-row';
+            const toggle = this.createButton('effect-toggle', effect.enabled ? '●' : '○',
+                effect.enabled ? 'Turn off' : 'Turn on',
+                () => this.effects.setEnabled(effect, !effect.enabled));
+            const collapsed = this.collapsed.has(effect.id);
+            const name = this.createButton('effect-name', `${collapsed ? '▸' : '▾'} ${effect.name}`,
+                collapsed ? 'Show settings' : 'Hide settings', () => {
+                    if (collapsed) {
+                        this.collapsed.delete(effect.id);
+                    } else {
+                        this.collapsed.add(effect.id);
+                    }
+                    this.render();
+                });
+            const up = this.createButton('effect-move', '▲', 'Run earlier', () => this.effects.move(effect, -1));
+            up.disabled = index === 0;
+            const down = this.createButton('effect-move', '▼', 'Run later', () => this.effects.move(effect, 1));
+            down.disabled = index === effects.length - 1;
+            const remove = this.createButton('effect-remove', '×', 'Remove effect', () => {
+                this.collapsed.delete(effect.id);
+                this.effects.remove(effect);
+            });
+            header.append(toggle, name, up, down, remove);
+            item.appendChild(header);
+
+            if (!collapsed) {
+                const controls = document.createElement('div');
+                controls.className = 'effect-controls';
+                effect.getControls().forEach(control => {
+                    const built = createControl(control);
+                    if (built) {
+                        this.builtControls.push(built);
+                        controls.appendChild(built.element);
+                    }
+                });
+                item.appendChild(controls);
+            }
+
+            this.list.appendChild(item);
+        });
+    }
+
+    createButton(className, text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
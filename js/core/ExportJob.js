@@ -0,0 +1,169 @@
+/**
+ * ExportJob - Progress, timing and cancellation for a single export run
+ *
+ * Export tasks report their phase and frame progress here and call
+ * throwIfCancelled() between steps. Resources such as canvases, encoders and
+ * file writers are registered with onCleanup() and released when the job ends,
+ * whether it finished, failed or was cancelled.
+ */
+
+export class ExportCancelledError extends Error {
+    constructor() {
+        super('Export cancelled');
+        this.name = 'ExportCancelledError';
+    }
+}
+
+export class ExportJob {
+    /**
+     * @param {string} title - Name of the export shown in the progress panel
+     * @param {function(ExportJob)} onUpdate - Called whenever progress changes
+     */
+    constructor(title, onUpdate) {
+        this.title = title;
+        this.onUpdate = onUpdate;
+        this.step = '';
+        this.phase = 'Preparing';
+        this.completed = 0;
+        this.total = 0;
+        this.cancelled = false;
+        this.startTime = performance.now();
+        this.phaseStartTime = this.startTime;
+        this.cleanups = [];
+    }
+
+    /**
+     * Name the part of a multi-part export that is running, e.g. one size of a batch
+     * @param {string} step - Step label shown before the phase
+     */
+    setStep(step) {
+        this.step = step;
+        this.onUpdate(this);
+    }
+
+    /**
+     * Start a new phase, e.g. 'Rendering', 'Encoding' or 'Zipping'
+     * @param {string} phase - Phase name
+     * @param {number} [total=0] - Number of steps, or 0 if the phase can't report progress
+     */
+    setPhase(phase, total = 0) {
+        this.phase = phase;
+        this.total = total;
+        this.completed = 0;
+        this.phaseStartTime = performance.now();
+        this.onUpdate(this);
+    }
+
+    /**
+     * Report how many steps of the current phase are done
+     * @param {number} completed - Completed steps
+     */
+    setProgress(completed) {
+        this.completed = completed;
+        this.onUpdate(this);
+    }
+
+    /**
+     * Fraction of the current phase that is done, or null if unknown
+     * @returns {number|null} Progress between 0 and 1
+     */
+    getFraction() {
+        return this.total > 0 ? Math.min(1, this.completed / this.total) : null;
+    }
+
+    getElapsedSeconds() {
+        return (performance.now() - this.startTime) / 1000;
+    }
+
+    /**
+     * Estimated seconds left in the current phase, based on its pace so far
+     * @returns {number|null} Seconds remaining, or null until there is enough data
+     */
+    getRemainingSeconds() {
+        const fraction = this.getFraction();
+        if (!fraction) return null;
+        const phaseElapsed = (performance.now() - this.phaseStartTime) / 1000;
+        return phaseElapsed / fraction * (1 - fraction);
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.onUpdate(this);
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new ExportCancelledError();
+        }
+    }
+
+    /**
+     * Let the browser repaint and handle the Cancel button, then check for cancellation
+     */
+    async yield() {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        this.throwIfCancelled();
+    }
+
+    /**
+     * Register a function that releases a resource when the job ends
+     * @param {function} cleanup - Release callback
+     */
+    onCleanup(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+
+    /**
+     * Create an off-screen canvas that is released when the job ends
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} [contextOptions] - Options for getContext('2d')
+     * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+     */
+    createCanvas(width, height, contextOptions = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', contextOptions);
+
+        // Shrinking the canvas frees its backing store right away
+        this.onCleanup(() => {
+            canvas.width = 0;
+            canvas.height = 0;
+        });
+        return { canvas, ctx };
+    }
+
+    /**
+     * Run part of an export and release what it registered as soon as it ends,
+     * so a batch doesn't hold every output's canvases until the very end
+     * @param {function(): Promise} task - Part of the export
+     * @returns {Promise} Result of the task
+     */
+    async scope(task) {
+        const start = this.cleanups.length;
+        try {
+            return await task();
+        } finally {
+            await this.releaseFrom(start);
+        }
+    }
+
+    /**
+     * Run every registered cleanup, newest first
+     */
+    async cleanup() {
+        await this.releaseFrom(0);
+    }
+
+    async releaseFrom(start) {
+        while (this.cleanups.length > start) {
+            const release = this.cleanups.pop();
+            try {
+                await release();
+            } catch (error) {
+                console.warn('Export cleanup failed:', error);
+            }
+        }
+    }
+}
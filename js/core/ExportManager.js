@@ -1,9 +1,37 @@
+import { WebCodecsEncoder, AUDIO_SAMPLE_RATE } from './encoders/WebCodecsEncoder.js';
+import { GifEncoder } from './encoders/GifEncoder.js';
+import { PaletteQuantizer, PaletteMapper } from './encoders/PaletteQuantizer.js';
+import { ApngEncoder } from './encoders/ApngEncoder.js';
+import { WebPEncoder } from './encoders/WebPEncoder.js';
+import { PngFrameEncoder } from './encoders/PngFrameEncoder.js';
+import { ZipWriter, BlobSink } from './encoders/ZipWriter.js';
+import { DirectoryWriter } from './encoders/DirectoryWriter.js';
+import { SpriteSheetPacker, findOpaqueBounds, createAtlasData } from './encoders/SpriteSheetPacker.js';
+import { PdfWriter } from './encoders/PdfWriter.js';
+import { crc32 } from './encoders/crc32.js';
+import { ContactSheet } from './ContactSheet.js';
+import { ExportJob, ExportCancelledError } from './ExportJob.js';
+import { showToast } from './Notifications.js';
+import { BLEND_MODES } from './LayerStack.js';
+import { TRANSITIONS } from './Sequence.js';
+
+const AUTO_BITS_PER_PIXEL = 0.1; // Per pixel per frame, used when the bitrate is set to auto
+const GIF_SAMPLE_PIXELS = 100000; // Pixels sampled per frame when building a global palette
+const LOOP_CHECK_TOLERANCE = 8; // Channel difference ignored when comparing loop frames
+const LOOP_CHECK_THUMBNAIL = 96; // Width of the loop check previews
+const MAX_CONTACT_SHEET_FRAMES = 300; // Keeps the single PNG sheet within browser canvas limits
+const PDF_PAGE_WIDTH = 842; // A4 landscape, in points
+const PDF_PAGE_ASPECT = 595 / 842;
+const MAX_BATCH_SIZE = 5000; // Same limit as the canvas size inputs
+const PREVIEW_MOTION_BLUR_SAMPLES = 4; // Keeps the live preview responsive
+const BATCH_FORMAT_LABELS = { png: 'PNG', mp4: 'Video', gif: 'GIF', apng: 'APNG', webp: 'WebP' };
+
 export class ExportManager {
     constructor(canvasManager) {
         this.canvasManager = canvasManager;
         this.isExporting = false;
-        this.mediaRecorder = null;
-        this.recordedChunks = [];
+        this.codecInfoRequest = 0;
+        this.currentJob = null;
         
         this.setupEventListeners();
     }
@@ -21,6 +49,58 @@ export class ExportManager {
             this.handleExport();
         });
 
+        document.getElementById('cancelExportJob').addEventListener('click', (e) => {
+            if (this.currentJob) {
+                e.target.disabled = true;
+                this.currentJob.cancel();
+            }
+        });
+
+        document.getElementById('exportFormat').addEventListener('change', () => {
+            this.updateFormatOptions();
+        });
+
+        document.getElementById('exportFrameRate').addEventListener('change', () => {
+            this.updateFormatOptions();
+        });
+
+        ['exportLength', 'exportLoops', 'exportStartTime', 'exportDuration'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateFormatOptions();
+            });
+        });
+
+        // The preview shows motion blur with a few samples at the export frame rate
+        ['exportMotionBlur', 'exportMotionBlurSamples', 'exportShutterAngle', 'exportMotionBlurPreview',
+            'exportFrameRate', 'exportFrameRateCustom'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateMotionBlurPreview();
+            });
+        });
+
+        document.getElementById('checkLoop').addEventListener('click', () => {
+            this.checkLoop();
+        });
+
+        // Settings that change the output size or rate also change the codec choice
+        ['exportFrameRateCustom', 'exportScale', 'exportBitrate', 'exportContainer'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateFormatOptions();
+            });
+        });
+
+        this.createBatchSizeOptions();
+        ['batchSizes', 'batchFormats', 'batchCustomSizes'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateFormatOptions();
+            });
+        });
+
+        // Writing into a folder needs the File System Access API
+        if (!window.showDirectoryPicker) {
+            document.querySelector('#sequenceDestination option[value="directory"]').disabled = true;
+        }
+
         // Click outside modal to close
         document.getElementById('exportModal').addEventListener('click', (e) => {
             if (e.target.id === 'exportModal') {
@@ -30,294 +110,1212 @@ export class ExportManager {
     }
 
     showExportModal() {
+        // In/out points on the timeline set the export range; a sequence exports whole by default
+        const { timeline, sequenceMode, sequence } = this.canvasManager;
+        let range = timeline.getExportRange();
+        if (!range && sequenceMode && sequence.scenes.length > 0) {
+            range = { startTime: 0, duration: sequence.getDuration() };
+        }
+        if (range) {
+            document.getElementById('exportLength').value = 'duration';
+            document.getElementById('exportStartTime').value = parseFloat(range.startTime.toFixed(3));
+            document.getElementById('exportDuration').value = parseFloat(range.duration.toFixed(3));
+        }
+        
         document.getElementById('exportModal').style.display = 'flex';
-        document.getElementById('exportSizeDisplay').textContent = 
-            `${this.canvasManager.width} × ${this.canvasManager.height}`;
+        this.updateFormatOptions();
     }
 
     hideExportModal() {
         document.getElementById('exportModal').style.display = 'none';
     }
 
-    handleExport() {
+    // Only show the modal sections that apply to the selected format
+    updateFormatOptions() {
         const format = document.getElementById('exportFormat').value;
-        const duration = parseInt(document.getElementById('exportDuration').value) || 5;
+        document.querySelectorAll('#exportModal [data-formats]').forEach(section => {
+            const formats = section.dataset.formats.split(' ');
+            section.style.display = formats.includes(format) ? '' : 'none';
+        });
         
-        this.hideExportModal();
+        const customFrameRate = document.getElementById('exportFrameRate').value === 'custom';
+        document.getElementById('exportFrameRateCustom').style.display = customFrameRate ? '' : 'none';
+        
+        this.updateLoopOptions();
         
-        if (format === 'png') {
-            this.exportPNG();
-        } else if (format === 'mp4') {
-            this.exportMP4(duration);
-        } else if (format === 'png-sequence') {
-            this.exportPNGSequence(duration);
+        const { width, height, scale, batchSizes, batchFormats } = this.getExportSettings();
+        document.getElementById('exportSizeDisplay').textContent = format === 'batch' ?
+            `${batchSizes.length} sizes @${scale}x, ${batchSizes.length * batchFormats.length} files` :
+            `${width} × ${height}`;
+        
+        if (format === 'mp4') {
+            this.updateCodecInfo();
+        }
+        if (format === 'mp4' || format === 'batch') {
+            this.updateAudioInfo();
         }
     }
 
-    exportPNG() {
-        const dataURL = this.canvasManager.canvas.toDataURL('image/png');
-        const link = document.createElement('a');
-        link.download = `canvas-export-${Date.now()}.png`;
-        link.href = dataURL;
-        link.click();
+    // Read every export option from the modal into one settings object
+    getExportSettings() {
+        const value = (id) => document.getElementById(id).value;
+        const scale = parseInt(value('exportScale')) || 1;
+        const frameRate = value('exportFrameRate') === 'custom' ?
+            parseFloat(value('exportFrameRateCustom')) :
+            parseFloat(value('exportFrameRate'));
+        
+        // In loop mode the duration is a whole number of loops
+        const loopDuration = this.getLoopDuration();
+        const loopExport = value('exportLength') === 'loops' && loopDuration !== null;
+        const loops = Math.max(1, parseInt(value('exportLoops')) || 1);
+        
+        return {
+            format: value('exportFormat'),
+            duration: loopExport ? loops * loopDuration : Math.max(0.1, parseFloat(value('exportDuration')) || 5),
+            loopExport,
+            loops,
+            startTime: Math.max(0, parseFloat(value('exportStartTime')) || 0),
+            frameRate: Math.min(120, Math.max(1, frameRate || 30)),
+            scale,
+            width: this.canvasManager.width * scale,
+            height: this.canvasManager.height * scale,
+            bitrate: value('exportBitrate') === 'auto' ? null : parseFloat(value('exportBitrate')) * 1e6,
+            container: value('exportContainer'),
+            audio: document.getElementById('exportAudio').checked && Boolean(this.canvasManager.audioTrack),
+            audioFadeIn: Math.max(0, parseFloat(value('exportAudioFadeIn')) || 0),
+            audioFadeOut: Math.max(0, parseFloat(value('exportAudioFadeOut')) || 0),
+            // A single still has no frame time to blur over
+            motionBlur: document.getElementById('exportMotionBlur').checked && value('exportFormat') !== 'png',
+            motionBlurSamples: parseInt(value('exportMotionBlurSamples')) || 8,
+            shutterAngle: Math.min(360, Math.max(0, parseFloat(value('exportShutterAngle')) || 0)),
+            loopCount: Math.max(0, parseInt(value('exportLoopCount')) || 0),
+            quality: parseFloat(value('exportQuality')),
+            gifPalette: value('gifPalette'),
+            gifDither: value('gifDither') === 'floyd-steinberg',
+            gifFrameDelay: parseInt(value('gifFrameDelay')) || 40,
+            sequenceDestination: value('sequenceDestination'),
+            contactInterval: Math.max(0.001, parseFloat(value('contactInterval')) || 1),
+            contactIntervalUnit: value('contactIntervalUnit'),
+            contactColumns: Math.min(20, Math.max(1, parseInt(value('contactColumns')) || 5)),
+            contactThumbnailWidth: parseInt(value('contactThumbnailWidth')) || 240,
+            contactPdf: document.getElementById('contactPdf').checked,
+            spriteLayout: value('spriteLayout'),
+            spriteColumns: Math.max(0, parseInt(value('spriteColumns')) || 0),
+            spritePadding: Math.max(0, parseInt(value('spritePadding')) || 0),
+            spriteMaxSize: parseInt(value('spriteMaxSize')) || 4096,
+            spriteTrim: document.getElementById('spriteTrim').checked,
+            batchSizes: this.getBatchSizes(),
+            batchFormats: [...document.querySelectorAll('#batchFormats input:checked')].map(input => input.value),
+            batchName: value('batchName').trim().replace(/[\\/:*?"<>|]/g, '-') || 'canvas-animation'
+        };
+    }
+
+    updateMotionBlurPreview() {
+        const settings = this.getExportSettings();
+        const enabled = document.getElementById('exportMotionBlur').checked &&
+            document.getElementById('exportMotionBlurPreview').checked;
+        this.canvasManager.motionBlurPreview = enabled ? {
+            samples: Math.min(settings.motionBlurSamples, PREVIEW_MOTION_BLUR_SAMPLES),
+            shutterAngle: settings.shutterAngle,
+            frameDuration: 1 / settings.frameRate
+        } : null;
+    }
+
+    getLoopDuration() {
+        return this.canvasManager.getComposition().getLoopDuration();
     }
 
-    async exportMP4(duration) {
+    // Offer loop mode only when every drawn layer declares a loop length; sequences play once
+    updateLoopOptions() {
+        const loopDuration = this.getLoopDuration();
+        const lengthSelect = document.getElementById('exportLength');
+        lengthSelect.querySelector('option[value="loops"]').disabled = loopDuration === null;
+        if (loopDuration === null) {
+            lengthSelect.value = 'duration';
+        }
+        
+        const settings = this.getExportSettings();
+        const durationInput = document.getElementById('exportDuration');
+        document.getElementById('exportLoops').style.display = lengthSelect.value === 'loops' ? '' : 'none';
+        durationInput.disabled = settings.loopExport;
+        if (settings.loopExport) {
+            durationInput.value = parseFloat(settings.duration.toFixed(3));
+        }
+        
+        document.getElementById('exportLoopInfo').textContent = loopDuration === null ?
+            (this.canvasManager.sequenceMode ? 'A sequence plays once and has no loop length' :
+                'Not every visible layer declares a loop length') :
+            `One loop is ${loopDuration.toFixed(3)}s (${(loopDuration * settings.frameRate).toFixed(1)} frames at ${settings.frameRate}fps)`;
+        document.getElementById('loopCheckResult').textContent = '';
+    }
+
+    /**
+     * Compare the first exported frame with the frame one full duration later. In a
+     * seamless loop they match, which is why that end frame is never exported.
+     */
+    checkLoop() {
+        const settings = this.getExportSettings();
+        const { width, height } = this.canvasManager;
+        const frameSettings = { ...settings, width, height, scale: 1 };
+        
+        const renderAt = (time) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            this.composeFrame(ctx, time, frameSettings);
+            return { canvas, pixels: ctx.getImageData(0, 0, width, height) };
+        };
+        
+        const first = renderAt(settings.startTime);
+        const last = renderAt(settings.startTime + settings.duration);
+        
+        // Pixels whose largest channel difference is above the tolerance count as changed
+        const diff = new ImageData(width, height);
+        let changed = 0;
+        for (let i = 0; i < diff.data.length; i += 4) {
+            let difference = 0;
+            for (let channel = 0; channel < 4; channel++) {
+                difference = Math.max(difference, Math.abs(first.pixels.data[i + channel] - last.pixels.data[i + channel]));
+            }
+            if (difference > LOOP_CHECK_TOLERANCE) changed++;
+            diff.data[i] = 255;
+            diff.data[i + 3] = Math.min(255, difference * 4);
+        }
+        const diffCanvas = document.createElement('canvas');
+        diffCanvas.width = width;
+        diffCanvas.height = height;
+        diffCanvas.getContext('2d').putImageData(diff, 0, 0);
+        
+        [['loopCheckFirst', first.canvas], ['loopCheckLast', last.canvas], ['loopCheckDiff', diffCanvas]].forEach(([id, source]) => {
+            const thumbnail = document.getElementById(id);
+            thumbnail.width = LOOP_CHECK_THUMBNAIL;
+            thumbnail.height = Math.max(1, Math.round(LOOP_CHECK_THUMBNAIL * height / width));
+            thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+        });
+        document.getElementById('loopCheckFrames').style.display = '';
+        
+        const percent = changed / (width * height) * 100;
+        const result = document.getElementById('loopCheckResult');
+        result.textContent = percent < 0.1 ?
+            'Seamless: the first frame matches the frame after the last one' :
+            `Not seamless: ${percent.toFixed(1)}% of pixels differ between the first frame and the frame after the last one`;
+        result.classList.toggle('loop-check-failed', percent >= 0.1);
+    }
+
+    // One checkbox per canvas preset, after the current canvas size
+    createBatchSizeOptions() {
+        const container = document.getElementById('batchSizes');
+        const addOption = (value, label, checked = false) => {
+            const option = document.createElement('label');
+            option.className = 'modal-option';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = value;
+            input.checked = checked;
+            option.append(input, label);
+            container.appendChild(option);
+        };
+        
+        addOption('current', 'Current canvas', true);
+        document.querySelectorAll('.preset-btn').forEach(btn => {
+            const [width, height] = btn.dataset.size.split(',');
+            addOption(btn.dataset.size, `${btn.textContent.trim()} ${width}×${height}`);
+        });
+    }
+
+    // Checked sizes plus any typed as 1200x628, without duplicates
+    getBatchSizes() {
+        const sizes = new Map();
+        const addSize = (width, height) => {
+            if (width > 0 && height > 0 && width <= MAX_BATCH_SIZE && height <= MAX_BATCH_SIZE) {
+                sizes.set(`${width}x${height}`, { width, height });
+            }
+        };
+        
+        document.querySelectorAll('#batchSizes input:checked').forEach(input => {
+            if (input.value === 'current') {
+                addSize(this.canvasManager.width, this.canvasManager.height);
+            } else {
+                const [width, height] = input.value.split(',').map(Number);
+                addSize(width, height);
+            }
+        });
+        
+        document.getElementById('batchCustomSizes').value.split(',').forEach(entry => {
+            const match = entry.trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+            if (match) {
+                addSize(parseInt(match[1]), parseInt(match[2]));
+            }
+        });
+        
+        return [...sizes.values()];
+    }
+
+    handleExport() {
+        const settings = this.getExportSettings();
+        
+        if (settings.format === 'batch' && (settings.batchSizes.length === 0 || settings.batchFormats.length === 0)) {
+            showToast('Pick at least one size and one format for the batch export', { type: 'warning' });
+            return;
+        }
+        
+        this.hideExportModal();
+        
+        if (settings.format === 'png') {
+            this.exportPNG(settings);
+        } else if (settings.format === 'mp4') {
+            this.exportMP4(settings);
+        } else if (settings.format === 'gif') {
+            this.exportGIF(settings);
+        } else if (settings.format === 'apng') {
+            this.exportAPNG(settings);
+        } else if (settings.format === 'webp') {
+            this.exportWebP(settings);
+        } else if (settings.format === 'png-sequence') {
+            this.exportPNGSequence(settings);
+        } else if (settings.format === 'sprite-sheet') {
+            this.exportSpriteSheet(settings);
+        } else if (settings.format === 'contact-sheet') {
+            this.exportContactSheet(settings);
+        } else if (settings.format === 'batch') {
+            this.exportBatch(settings);
+        }
+    }
+
+    /**
+     * Run an export behind the progress panel. The task reports progress on the job
+     * and returns the success message, or nothing if the user backed out.
+     * @param {string} title - Export name, e.g. 'GIF export'
+     * @param {function(ExportJob): Promise<string|null>} task - The export itself
+     */
+    async runExport(title, task) {
         if (this.isExporting) return;
         this.isExporting = true;
         
         const exportBtn = document.getElementById('export-btn');
         const originalText = exportBtn.textContent;
+        const job = new ExportJob(title, () => this.updateProgress());
+        this.currentJob = job;
         
         try {
-            exportBtn.textContent = 'Recording...';
+            exportBtn.textContent = 'Exporting...';
             exportBtn.disabled = true;
+            this.showProgress();
             
-            const stream = this.canvasManager.canvas.captureStream(30);
-            
-            // Improved format detection with better MP4 support
-            const formats = [
-                { mimeType: 'video/mp4; codecs="avc1.42E01E"', extension: 'mp4' },
-                { mimeType: 'video/mp4; codecs="avc1.4D4028"', extension: 'mp4' },
-                { mimeType: 'video/mp4; codecs="avc1.640028"', extension: 'mp4' },
-                { mimeType: 'video/mp4', extension: 'mp4' },
-                { mimeType: 'video/webm; codecs="vp9,opus"', extension: 'webm' },
-                { mimeType: 'video/webm; codecs="vp8,opus"', extension: 'webm' },
-                { mimeType: 'video/webm', extension: 'webm' }
-            ];
-            
-            let selectedFormat = null;
-            for (const format of formats) {
-                if (MediaRecorder.isTypeSupported(format.mimeType)) {
-                    selectedFormat = format;
-                    console.log('Using format:', format.mimeType);
-                    break;
-                }
+            const message = await task(job);
+            if (message) {
+                showToast(message, { type: 'success' });
             }
-            
-            if (!selectedFormat) {
-                throw new Error('No supported video format found');
+        } catch (error) {
+            if (error instanceof ExportCancelledError) {
+                showToast(`${title} cancelled`);
+            } else {
+                console.error(`${title} failed:`, error);
+                showToast(`${title} failed: ${error.message}`, { type: 'error' });
             }
+        } finally {
+            await job.cleanup();
+            this.canvasManager.getComposition().releaseCanvases();
+            this.canvasManager.motionBlur.release();
+            this.hideProgress();
+            this.currentJob = null;
+            exportBtn.textContent = originalText;
+            exportBtn.disabled = false;
+            this.isExporting = false;
+        }
+    }
+
+    showProgress() {
+        document.getElementById('exportProgressTitle').textContent = this.currentJob.title;
+        document.getElementById('cancelExportJob').disabled = false;
+        document.getElementById('exportProgressModal').style.display = 'flex';
+        this.updateProgress();
+    }
+
+    hideProgress() {
+        document.getElementById('exportProgressModal').style.display = 'none';
+    }
+
+    updateProgress() {
+        const job = this.currentJob;
+        if (!job) return;
+        
+        const fraction = job.getFraction();
+        const bar = document.getElementById('exportProgressBar');
+        bar.classList.toggle('export-progress-indeterminate', fraction === null);
+        bar.style.width = fraction === null ? '100%' : `${(fraction * 100).toFixed(1)}%`;
+        
+        const phase = job.step ? `${job.step} · ${job.phase}` : job.phase;
+        document.getElementById('exportProgressPhase').textContent = job.cancelled ? 'Cancelling...' : phase;
+        document.getElementById('exportProgressCount').textContent = job.total > 0 ? `${job.completed} / ${job.total}` : '';
+        
+        const remaining = job.getRemainingSeconds();
+        const eta = remaining === null ? '--:--' : formatDuration(remaining);
+        document.getElementById('exportProgressTime').textContent =
+            `Elapsed ${formatDuration(job.getElapsedSeconds())} · Remaining ${eta}`;
+    }
+
+    /**
+     * Export one file and download it
+     * @param {string} title - Export name, e.g. 'GIF export'
+     * @param {string} prefix - Start of the file name
+     * @param {function(ExportJob): Promise<Object>} encode - Resolves to { blob, extension, summary }
+     */
+    exportFile(title, prefix, encode) {
+        return this.runExport(title, async (job) => {
+            const { blob, extension, summary } = await encode(job);
+            job.throwIfCancelled();
             
-            const options = {
-                mimeType: selectedFormat.mimeType
-            };
+            const filename = `${prefix}-${Date.now()}.${extension}`;
+            this.downloadBlob(blob, filename);
+            return `${title} finished: ${filename}\n${summary}`;
+        });
+    }
+
+    exportPNG(settings) {
+        // Snapshot of the current preview frame
+        const time = this.canvasManager.clock.getCurrentTime();
+        return this.exportFile('PNG export', 'canvas-export', job => this.encodePNG(job, settings, time));
+    }
+
+    exportMP4(settings) {
+        return this.exportFile('Video export', 'canvas-animation', job => this.encodeVideo(job, settings));
+    }
+
+    exportGIF(settings) {
+        return this.exportFile('GIF export', 'canvas-animation', job => this.encodeGIF(job, settings));
+    }
+
+    exportAPNG(settings) {
+        return this.exportFile('APNG export', 'canvas-animation', job => this.encodeAPNG(job, settings));
+    }
+
+    exportWebP(settings) {
+        return this.exportFile('WebP export', 'canvas-animation', job => this.encodeWebP(job, settings));
+    }
+
+    /**
+     * Render every selected format at every selected size into one ZIP archive
+     * @param {Object} settings - Export settings with batchSizes, batchFormats and batchName
+     */
+    exportBatch(settings) {
+        return this.runExport('Batch export', async (job) => {
+            const { batchSizes, batchFormats, batchName, scale } = settings;
             
-            // Add bitrate if supported
-            if (selectedFormat.extension === 'mp4') {
-                options.videoBitsPerSecond = 2500000; // 2.5 Mbps for good quality MP4
-            }
+            // The save picker needs the click that started the export, so it opens first
+            job.setPhase('Choosing destination');
+            const target = await this.openZipTarget(`${batchName}.zip`);
+            if (!target) return null;
             
-            this.mediaRecorder = new MediaRecorder(stream, options);
-            this.recordedChunks = [];
+            let finished = false;
+            job.onCleanup(() => finished ? undefined : target.writer.abort());
             
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+            const outputs = [];
+            batchSizes.forEach(size => {
+                batchFormats.forEach(format => outputs.push({ ...size, format }));
+            });
             
-            this.mediaRecorder.onstop = () => {
-                try {
-                    const blob = new Blob(this.recordedChunks, { 
-                        type: selectedFormat.mimeType 
-                    });
-                    
-                    const url = URL.createObjectURL(blob);
-                    const link = document.createElement('a');
-                    
-                    const timestamp = Date.now();
-                    const filename = `canvas-animation-${timestamp}.${selectedFormat.extension}`;
-                    
-                    link.download = filename;
-                    link.href = url;
-                    
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    
-                    setTimeout(() => URL.revokeObjectURL(url), 1000);
-                    
-                    if (selectedFormat.extension === 'webm') {
-                        setTimeout(() => {
-                            alert(`Video saved as WebM format. Your browser doesn't support MP4 recording.\nFile: ${filename}`);
-                        }, 100);
-                    } else {
-                        setTimeout(() => {
-                            alert(`Video saved successfully!\nFile: ${filename}`);
-                        }, 100);
-                    }
-                    
-                } catch (error) {
-                    console.error('Error creating download:', error);
-                    alert('Error saving video file. Please try again.');
+            const manifest = [];
+            const usedNames = new Set();
+            for (let i = 0; i < outputs.length; i++) {
+                const { width, height, format } = outputs[i];
+                
+                // Each output gets its own off-screen canvas at that size; the preview keeps its size
+                const outputSettings = { ...settings, format, width: width * scale, height: height * scale };
+                const sizeName = `${outputSettings.width}x${outputSettings.height}`;
+                job.setStep(`${sizeName} ${BATCH_FORMAT_LABELS[format]} (${i + 1}/${outputs.length})`);
+                const encoded = await job.scope(() => this.encodeFormat(job, outputSettings));
+                job.throwIfCancelled();
+                
+                // PNG stills and APNGs share an extension, so the second one gets the format in its name
+                let filename = `${batchName}_${sizeName}.${encoded.extension}`;
+                if (usedNames.has(filename)) {
+                    filename = `${batchName}_${sizeName}_${format}.${encoded.extension}`;
                 }
+                usedNames.add(filename);
                 
-                exportBtn.textContent = originalText;
-                exportBtn.disabled = false;
-                this.isExporting = false;
-            };
-            
-            this.mediaRecorder.onerror = (event) => {
-                console.error('MediaRecorder error:', event.error);
-                alert('Recording error occurred. Please try again.');
-                exportBtn.textContent = originalText;
-                exportBtn.disabled = false;
-                this.isExporting = false;
-            };
-            
-            this.mediaRecorder.start(200);
+                job.setPhase(`Zipping ${filename}`);
+                const bytes = new Uint8Array(await encoded.blob.arrayBuffer());
+                await target.writer.addFile(filename, bytes, crc32(bytes));
+                manifest.push(`${filename}\n  ${encoded.summary.replace(/\n/g, '\n  ')}`);
+            }
             
-            // Progress indicator
-            let countdown = duration;
-            const progressInterval = setInterval(() => {
-                countdown--;
-                exportBtn.textContent = `Recording... ${countdown}s`;
-                if (countdown <= 0) {
-                    clearInterval(progressInterval);
-                }
-            }, 1000);
+            await target.writer.addText('README.txt', `Batch Export
+Generated: ${new Date().toISOString()}
+Duration: ${settings.duration}s
+Start Time: ${settings.startTime}s
+Resolution: @${scale}x
+
+${manifest.join('\n\n')}
+`);
+            await target.writer.finish();
+            finished = true;
             
-            setTimeout(() => {
-                clearInterval(progressInterval);
-                if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-                    this.mediaRecorder.stop();
-                    stream.getTracks().forEach(track => track.stop());
-                }
-            }, duration * 1000);
+            if (target.sink) {
+                this.downloadBlob(target.sink.blob, target.location);
+            }
+            return `Batch export finished: ${target.location}\n${outputs.length} files`;
+        });
+    }
+
+    // Encode one batch output in the given format
+    encodeFormat(job, settings) {
+        if (settings.format === 'png') return this.encodePNG(job, settings, settings.startTime);
+        if (settings.format === 'mp4') return this.encodeVideo(job, settings);
+        if (settings.format === 'gif') return this.encodeGIF(job, settings);
+        if (settings.format === 'apng') return this.encodeAPNG(job, settings);
+        if (settings.format === 'webp') return this.encodeWebP(job, settings);
+        throw new Error(`Batch export does not support ${settings.format}`);
+    }
+
+    /**
+     * Render one frame as a PNG image
+     * @param {ExportJob} job - Running export
+     * @param {Object} settings - Export settings
+     * @param {number} time - Animation time in seconds
+     * @returns {Promise<Object>} { blob, extension, summary }
+     */
+    async encodePNG(job, settings, time) {
+        const { width, height } = settings;
+        job.setPhase('Encoding');
+        const { canvas: exportCanvas, ctx: exportCtx } = job.createCanvas(width, height);
+        this.composeFrame(exportCtx, time, settings);
+        
+        const blob = await this.canvasToBlob(exportCanvas, 'image/png');
+        return { blob, extension: 'png', summary: `${width} × ${height}px` };
+    }
+
+    async encodeVideo(job, settings) {
+        job.setPhase('Checking encoder support');
+        const config = await this.getVideoConfig(settings);
+        if (!config) {
+            throw new Error('This browser cannot encode video with WebCodecs at these settings. Try PNG Sequence export instead.');
+        }
+        
+        const { frameRate } = settings;
+        const totalFrames = this.getTotalFrames(settings);
+        const { width, height } = config.encoderConfig;
+        const audio = settings.audio ? await this.prepareAudio(job, settings, config.container, totalFrames / frameRate) : null;
+        job.throwIfCancelled();
+        
+        // Frames are rendered off-screen so the preview keeps running untouched, at
+        // the encoder's even size so odd sizes don't leave an empty row or column
+        const { canvas: exportCanvas, ctx: exportCtx } = job.createCanvas(width, height);
+        const frameSettings = { ...settings, width, height };
+        
+        const encoder = new WebCodecsEncoder(config, frameRate, audio);
+        job.onCleanup(() => encoder.close());
+        
+        job.setPhase('Rendering and encoding', totalFrames);
+        for (let frame = 0; frame < totalFrames; frame++) {
+            // Video has no alpha channel, so always flatten onto the background
+            this.composeFrame(exportCtx, this.getFrameTime(frame, settings), frameSettings, { opaque: true });
+            await encoder.addFrame(exportCanvas, frame);
             
-        } catch (error) {
-            console.error('Video export failed:', error);
-            alert(`Video export failed: ${error.message}\n\nTry using PNG Sequence export instead.`);
-            exportBtn.textContent = originalText;
-            exportBtn.disabled = false;
-            this.isExporting = false;
+            job.setProgress(frame + 1);
+            await job.yield();
         }
+        
+        job.setPhase('Finishing video');
+        const blob = await encoder.finalize();
+        
+        return {
+            blob,
+            extension: config.extension,
+            summary: `${this.describeVideoConfig(config)}\n${width} × ${height}px, ${totalFrames} frames at ${frameRate}fps` +
+                (audio ? `\n${this.describeAudio(audio, settings)}` : '')
+        };
     }
 
-    async exportPNGSequence(duration) {
-        if (this.isExporting) return;
-        this.isExporting = true;
+    /**
+     * Mix the audio track for a video export
+     * @param {ExportJob} job - Running export
+     * @param {Object} settings - Export settings
+     * @param {string} container - 'mp4' or 'webm'
+     * @param {number} duration - Video length in seconds
+     * @returns {Promise<Object|null>} Audio config and buffer for WebCodecsEncoder, or null to export silent video
+     */
+    async prepareAudio(job, settings, container, duration) {
+        const track = this.canvasManager.audioTrack;
+        const numberOfChannels = Math.min(2, track.buffer.numberOfChannels);
+        const config = await WebCodecsEncoder.selectAudioConfig(container, numberOfChannels);
+        if (!config) {
+            showToast(`This browser can't encode audio for ${container.toUpperCase()}, so the video is silent`, { type: 'warning' });
+            return null;
+        }
         
-        const exportBtn = document.getElementById('export-btn');
-        const originalText = exportBtn.textContent;
+        job.setPhase('Mixing audio');
+        const buffer = await track.renderRange(settings.startTime, duration, {
+            sampleRate: AUDIO_SAMPLE_RATE,
+            numberOfChannels,
+            fadeIn: settings.audioFadeIn,
+            fadeOut: settings.audioFadeOut
+        });
+        return { config, buffer };
+    }
+
+    describeAudio({ config, buffer }, settings) {
+        const channels = buffer.numberOfChannels === 1 ? 'mono' : 'stereo';
+        const fades = [
+            settings.audioFadeIn > 0 ? `fade in ${settings.audioFadeIn}s` : '',
+            settings.audioFadeOut > 0 ? `fade out ${settings.audioFadeOut}s` : ''
+        ].filter(Boolean);
+        return `Audio: ${config.label} ${buffer.sampleRate / 1000} kHz ${channels}, ${Math.round(config.bitrate / 1000)} kbps` +
+            (fades.length ? `, ${fades.join(', ')}` : '');
+    }
+
+    // Say which audio will go into video exports
+    updateAudioInfo() {
+        const track = this.canvasManager.audioTrack;
+        const checkbox = document.getElementById('exportAudio');
+        checkbox.disabled = !track;
+        document.getElementById('exportAudioFadeIn').disabled = !track;
+        document.getElementById('exportAudioFadeOut').disabled = !track;
         
-        try {
-            const frameRate = 60;
-            const totalFrames = Math.ceil(duration * frameRate);
-            const frames = [];
+        document.getElementById('exportAudioInfo').textContent = track ?
+            `${track.name}, starting at ${track.offset}s on the timeline; trimmed to the export range` :
+            'Upload audio in the side panel to add a soundtrack';
+    }
+
+    // Pick the video codec and container for the export size
+    getVideoConfig(settings) {
+        const width = WebCodecsEncoder.evenSize(settings.width);
+        const height = WebCodecsEncoder.evenSize(settings.height);
+        const bitrate = settings.bitrate ||
+            Math.round(width * height * settings.frameRate * AUTO_BITS_PER_PIXEL);
+        
+        return WebCodecsEncoder.selectConfig({
+            width,
+            height,
+            frameRate: settings.frameRate,
+            bitrate,
+            container: settings.container
+        });
+    }
+
+    describeVideoConfig(config) {
+        const megabits = (config.encoderConfig.bitrate / 1e6).toFixed(1);
+        return `Codec: ${config.label} (${config.codec}), Container: ${config.container.toUpperCase()}, ${megabits} Mbps`;
+    }
+
+    // Show which codec and container a video export will actually use
+    async updateCodecInfo() {
+        const info = document.getElementById('exportCodecInfo');
+        
+        info.textContent = 'Checking encoder support...';
+        const request = ++this.codecInfoRequest;
+        const config = await this.getVideoConfig(this.getExportSettings());
+        
+        // A newer check started while this one was pending
+        if (request !== this.codecInfoRequest) return;
+        info.textContent = config ?
+            this.describeVideoConfig(config) :
+            'No supported video encoder for these settings';
+    }
+
+    async encodeGIF(job, settings) {
+        const { width, height, loopCount, gifPalette, gifDither: dither } = settings;
+        const { isTransparent } = this.canvasManager;
+        
+        // GIF stores delays in hundredths of a second; browsers slow down anything under 20ms
+        const delay = Math.max(2, Math.round(settings.gifFrameDelay / 10));
+        const gifSettings = { ...settings, frameRate: 100 / delay };
+        const totalFrames = this.getTotalFrames(gifSettings);
+        
+        // Index 0 is reserved for transparent pixels in transparent mode
+        const transparentIndex = isTransparent ? 0 : -1;
+        const maxColors = isTransparent ? 255 : 256;
+        const withTransparentEntry = (colors) => {
+            if (!isTransparent) return colors;
+            const table = new Uint8Array(colors.length + 3);
+            table.set(colors, 3);
+            return table;
+        };
+        
+        const { ctx: exportCtx } = job.createCanvas(width, height, { willReadFrequently: true });
+        
+        const renderFrame = (frame) => {
+            this.composeFrame(exportCtx, this.getFrameTime(frame, gifSettings), settings);
+            return exportCtx.getImageData(0, 0, width, height);
+        };
+        
+        let globalPalette = null;
+        let globalMapper = null;
+        if (gifPalette === 'global') {
+            // First pass: collect colors from every frame so all frames share one palette
+            job.setPhase('Analyzing colors', totalFrames);
+            const quantizer = new PaletteQuantizer();
+            const step = Math.max(1, Math.floor(width * height / GIF_SAMPLE_PIXELS));
+            for (let frame = 0; frame < totalFrames; frame++) {
+                quantizer.addPixels(renderFrame(frame), step);
+                job.setProgress(frame + 1);
+                await job.yield();
+            }
+            globalPalette = withTransparentEntry(quantizer.buildPalette(maxColors));
+            globalMapper = new PaletteMapper(globalPalette, { dither, transparentIndex });
+        }
+        
+        const encoder = new GifEncoder(width, height, { loopCount, globalPalette, transparentIndex });
+        
+        job.setPhase('Rendering and encoding', totalFrames);
+        for (let frame = 0; frame < totalFrames; frame++) {
+            const imageData = renderFrame(frame);
+            if (globalMapper) {
+                encoder.addFrame(globalMapper.map(imageData), delay);
+            } else {
+                const quantizer = new PaletteQuantizer();
+                quantizer.addPixels(imageData);
+                const localPalette = withTransparentEntry(quantizer.buildPalette(maxColors));
+                const mapper = new PaletteMapper(localPalette, { dither, transparentIndex });
+                encoder.addFrame(mapper.map(imageData), delay, localPalette);
+            }
             
-            exportBtn.disabled = true;
+            job.setProgress(frame + 1);
+            await job.yield();
+        }
+        
+        const alphaInfo = isTransparent ? ' with transparency' : '';
+        return {
+            blob: encoder.finish(),
+            extension: 'gif',
+            summary: `${width} × ${height}px, ${totalFrames} frames at ${delay * 10}ms${alphaInfo}`
+        };
+    }
+
+    async encodeAPNG(job, settings) {
+        const { width, height, frameRate, loopCount } = settings;
+        const { isTransparent } = this.canvasManager;
+        const totalFrames = this.getTotalFrames(settings);
+        const { ctx: exportCtx } = job.createCanvas(width, height, { willReadFrequently: true });
+        const encoder = new ApngEncoder(width, height, { frameRate, loopCount });
+        
+        job.setPhase('Rendering and compressing', totalFrames);
+        for (let frame = 0; frame < totalFrames; frame++) {
+            this.composeFrame(exportCtx, this.getFrameTime(frame, settings), settings);
+            await encoder.addFrame(exportCtx.getImageData(0, 0, width, height));
             
-            // Create a separate canvas for export to preserve alpha channel
-            const exportCanvas = document.createElement('canvas');
-            const exportCtx = exportCanvas.getContext('2d');
-            exportCanvas.width = this.canvasManager.width;
-            exportCanvas.height = this.canvasManager.height;
+            job.setProgress(frame + 1);
+            await job.yield();
+        }
+        
+        const alphaInfo = isTransparent ? ' with alpha transparency' : '';
+        return {
+            blob: encoder.finish(),
+            extension: 'png',
+            summary: `${width} × ${height}px, ${totalFrames} frames at ${frameRate}fps${alphaInfo}`
+        };
+    }
+
+    async encodeWebP(job, settings) {
+        const { width, height, frameRate, loopCount, quality } = settings;
+        const { isTransparent } = this.canvasManager;
+        const totalFrames = this.getTotalFrames(settings);
+        const { canvas: exportCanvas, ctx: exportCtx } = job.createCanvas(width, height);
+        const encoder = new WebPEncoder(width, height, { loopCount, hasAlpha: isTransparent });
+        
+        job.setPhase('Rendering and encoding', totalFrames);
+        for (let frame = 0; frame < totalFrames; frame++) {
+            this.composeFrame(exportCtx, this.getFrameTime(frame, settings), settings);
             
-            for (let frame = 0; frame < totalFrames; frame++) {
-                exportBtn.textContent = `Frame ${frame + 1}/${totalFrames}`;
-                
-                // Clear the export canvas
-                exportCtx.clearRect(0, 0, this.canvasManager.width, this.canvasManager.height);
-                
-                // If transparent mode, don't draw background
-                if (!this.canvasManager.isTransparent) {
-                    if (this.canvasManager.backgroundImage) {
-                        exportCtx.drawImage(this.canvasManager.backgroundImage, 0, 0, 
-                            this.canvasManager.width, this.canvasManager.height);
-                    } else {
-                        exportCtx.fillStyle = this.canvasManager.backgroundColor;
-                        exportCtx.fillRect(0, 0, this.canvasManager.width, this.canvasManager.height);
-                    }
-                }
-                
-                // Render animation content to export canvas
-                this.renderToCanvas(exportCtx, frame, totalFrames, duration);
-                
-                // Draw foreground image if exists
-                if (this.canvasManager.foregroundImage) {
-                    exportCtx.drawImage(this.canvasManager.foregroundImage, 0, 0, 
-                        this.canvasManager.width, this.canvasManager.height);
-                }
-                
-                // Capture frame with proper alpha support
-                const dataURL = exportCanvas.toDataURL('image/png');
-                frames.push(dataURL);
-                
-                // Small delay to allow processing
-                await new Promise(resolve => setTimeout(resolve, 16));
+            // Quality 1.0 asks the browser's WebP encoder for lossless output
+            const blob = await this.canvasToBlob(exportCanvas, 'image/webp', quality);
+            if (blob.type !== 'image/webp') {
+                throw new Error('This browser cannot encode WebP images');
             }
             
-            exportBtn.textContent = 'Creating ZIP...';
+            // Millisecond durations are rounded per frame without drifting from the frame rate
+            const frameDuration = Math.round((frame + 1) * 1000 / frameRate) - Math.round(frame * 1000 / frameRate);
+            encoder.addFrame(new Uint8Array(await blob.arrayBuffer()), frameDuration);
+            
+            job.setProgress(frame + 1);
+            await job.yield();
+        }
+        
+        const alphaInfo = isTransparent ? ' with alpha transparency' : '';
+        const qualityInfo = quality >= 1 ? 'lossless' : `quality ${Math.round(quality * 100)}`;
+        return {
+            blob: encoder.finish(),
+            extension: 'webp',
+            summary: `${width} × ${height}px, ${totalFrames} frames at ${frameRate}fps, ${qualityInfo}${alphaInfo}`
+        };
+    }
+
+    exportPNGSequence(settings) {
+        return this.runExport('PNG sequence export', async (job) => {
+            const { width, height, frameRate, duration, startTime, scale } = settings;
+            const totalFrames = this.getTotalFrames(settings);
             
-            // Create ZIP
-            const zip = new JSZip();
             const timestamp = Date.now();
             const folderName = this.canvasManager.isTransparent ? 
                 `canvas-sequence-alpha-${timestamp}` : 
                 `canvas-sequence-${timestamp}`;
-            const folder = zip.folder(folderName);
             
-            frames.forEach((frameData, index) => {
-                const frameNumber = String(index + 1).padStart(4, '0');
-                const fileName = `frame_${frameNumber}.png`;
-                const base64Data = frameData.split(',')[1];
-                folder.file(fileName, base64Data, { base64: true });
-            });
+            // File pickers need the click that started the export, so they open before anything else
+            job.setPhase('Choosing destination');
+            const target = await this.openSequenceTarget(settings.sequenceDestination, folderName);
+            if (!target) return null;
+            
+            // A cancelled or failed export discards the partial archive
+            let finished = false;
+            job.onCleanup(() => finished ? undefined : target.writer.abort());
+            
+            const { canvas: exportCanvas, ctx: exportCtx } = job.createCanvas(width, height);
+            const frameEncoder = new PngFrameEncoder();
+            job.onCleanup(() => frameEncoder.terminate());
+            
+            // Frames are written in order as soon as they are encoded, so at most a
+            // handful of PNGs exist in memory at any time
+            const digits = Math.max(4, String(totalFrames).length);
+            const inFlight = [];
+            let written = 0;
+            const writeNextFrame = async () => {
+                const { index, encoded } = inFlight.shift();
+                const { blob, crc } = await encoded;
+                const frameNumber = String(index + 1).padStart(digits, '0');
+                await target.writer.addFile(`frame_${frameNumber}.png`, blob, crc);
+                job.setProgress(++written);
+            };
+            
+            job.setPhase('Rendering and writing frames', totalFrames);
+            for (let frame = 0; frame < totalFrames; frame++) {
+                this.composeFrame(exportCtx, this.getFrameTime(frame, settings), settings);
+                const encoded = frameEncoder.encode(exportCanvas);
+                // A cancelled or failed export leaves frames nobody awaits; their
+                // rejections from terminate() aren't errors
+                encoded.catch(() => {});
+                inFlight.push({ index: frame, encoded });
+                
+                if (inFlight.length >= frameEncoder.capacity) {
+                    await writeNextFrame();
+                }
+                await job.yield();
+            }
+            
+            while (inFlight.length > 0) {
+                await writeNextFrame();
+                job.throwIfCancelled();
+            }
             
             // Add a readme file explaining the export
             const readmeContent = `PNG Sequence Export
 Generated: ${new Date().toISOString()}
 Frames: ${totalFrames}
 Duration: ${duration}s
+Start Time: ${startTime}s
 Frame Rate: ${frameRate}fps
 Alpha Channel: ${this.canvasManager.isTransparent ? 'Preserved' : 'Opaque'}
 Canvas Size: ${this.canvasManager.width} × ${this.canvasManager.height}px
+Export Size: ${width} × ${height}px (@${scale}x)
 
 ${this.canvasManager.isTransparent ? 
 'This sequence contains PNG files with alpha transparency.' : 
 'This sequence contains opaque PNG files.'}`;
             
-            folder.file('README.txt', readmeContent);
+            job.setPhase(target.sink ? 'Zipping' : 'Finishing');
+            await target.writer.addText('README.txt', readmeContent);
+            await target.writer.finish();
+            finished = true;
+            
+            if (target.sink) {
+                this.downloadBlob(target.sink.blob, target.location);
+            }
+            
+            const alphaInfo = this.canvasManager.isTransparent ? ' with alpha transparency' : '';
+            return `PNG sequence export finished: ${target.location}\n${totalFrames} frames${alphaInfo}`;
+        });
+    }
+
+    /**
+     * Render the export range onto sprite sheets, each with a JSON atlas, saved in one ZIP
+     * @param {Object} settings - Export settings with the sprite* options
+     */
+    exportSpriteSheet(settings) {
+        return this.runExport('Sprite sheet export', async (job) => {
+            const { width, height, frameRate, scale, spriteLayout, spriteColumns, spriteTrim } = settings;
+            const trim = spriteLayout === 'atlas' && spriteTrim;
+            const totalFrames = this.getTotalFrames(settings);
+            const baseName = `canvas-spritesheet-${Date.now()}`;
+            
+            // The save picker needs the click that started the export, so it opens first
+            job.setPhase('Choosing destination');
+            const target = await this.openZipTarget(`${baseName}.zip`, baseName);
+            if (!target) return null;
+            
+            let finished = false;
+            job.onCleanup(() => finished ? undefined : target.writer.abort());
+            
+            const packer = new SpriteSheetPacker({ maxSize: settings.spriteMaxSize, padding: settings.spritePadding });
+            const { canvas: frameCanvas, ctx: frameCtx } = job.createCanvas(width, height, { willReadFrequently: trim });
+            const digits = Math.max(4, String(totalFrames).length);
+            const frames = [];
+            
+            // Frames are kept as bitmaps of their trimmed area until every size is known
+            job.setPhase('Rendering', totalFrames);
+            for (let frame = 0; frame < totalFrames; frame++) {
+                this.composeFrame(frameCtx, this.getFrameTime(frame, settings), settings);
+                
+                const bounds = trim ?
+                    findOpaqueBounds(frameCtx.getImageData(0, 0, width, height)) :
+                    { x: 0, y: 0, width, height };
+                const bitmap = await createImageBitmap(frameCanvas, bounds.x, bounds.y, bounds.width, bounds.height);
+                job.onCleanup(() => bitmap.close());
+                
+                frames.push({
+                    name: `frame_${String(frame + 1).padStart(digits, '0')}`,
+                    bitmap,
+                    bounds,
+                    sourceWidth: width,
+                    sourceHeight: height,
+                    // Millisecond durations are rounded per frame without drifting from the frame rate
+                    duration: Math.round((frame + 1) * 1000 / frameRate) - Math.round(frame * 1000 / frameRate)
+                });
+                
+                job.setProgress(frame + 1);
+                await job.yield();
+            }
+            
+            const sheets = spriteLayout === 'atlas' ?
+                packer.packAtlas(frames.map(frame => frame.bounds)) :
+                packer.packGrid(totalFrames, width, height, spriteColumns);
+            
+            const sheetName = (index) => sheets.length === 1 ? baseName : `${baseName}-${index}`;
+            
+            job.setPhase('Writing sheets', sheets.length);
+            for (let i = 0; i < sheets.length; i++) {
+                const sheet = sheets[i];
+                
+                await job.scope(async () => {
+                    const { canvas: sheetCanvas, ctx: sheetCtx } = job.createCanvas(sheet.width, sheet.height);
+                    sheet.placements.forEach(({ index, x, y }) => {
+                        sheetCtx.drawImage(frames[index].bitmap, x, y);
+                    });
+                    
+                    const bytes = new Uint8Array(await (await this.canvasToBlob(sheetCanvas, 'image/png')).arrayBuffer());
+                    await target.writer.addFile(`${sheetName(i)}.png`, bytes, crc32(bytes));
+                });
+                
+                const atlas = createAtlasData(sheet, frames, {
+                    image: `${sheetName(i)}.png`,
+                    scale,
+                    relatedSheets: sheets.map((other, index) => `${sheetName(index)}.json`).filter((name, index) => index !== i)
+                });
+                await target.writer.addText(`${sheetName(i)}.json`, JSON.stringify(atlas, null, 2));
+                
+                job.setProgress(i + 1);
+                await job.yield();
+            }
+            
+            await target.writer.finish();
+            finished = true;
+            
+            if (target.sink) {
+                this.downloadBlob(target.sink.blob, target.location);
+            }
+            
+            const layoutInfo = spriteLayout === 'atlas' ? `packed atlas${trim ? ', trimmed' : ''}` : 'grid';
+            return `Sprite sheet export finished: ${target.location}\n${totalFrames} frames on ${sheets.length} sheet${sheets.length === 1 ? '' : 's'} (${layoutInfo})`;
+        });
+    }
+
+    /**
+     * Sample the export range at regular intervals and lay the frames out as a
+     * labeled storyboard PNG, optionally with a paginated PDF
+     * @param {Object} settings - Export settings with the contact* options
+     */
+    exportContactSheet(settings) {
+        return this.runExport('Contact sheet export', async (job) => {
+            const { width: canvasWidth, height: canvasHeight } = this.canvasManager;
+            const { contactColumns: columns, contactThumbnailWidth: thumbnailWidth, scale } = settings;
+            const thumbnailHeight = Math.round(thumbnailWidth * canvasHeight / canvasWidth);
+            
+            const times = this.getContactSheetTimes(settings);
+            if (times.length > MAX_CONTACT_SHEET_FRAMES) {
+                throw new Error(`${times.length} frames is too many for one sheet; use a longer interval (at most ${MAX_CONTACT_SHEET_FRAMES} frames)`);
+            }
+            
+            const sheet = new ContactSheet({
+                title: this.getContactSheetTitle(),
+                details: this.getContactSheetDetails(settings),
+                columns: Math.min(columns, times.length),
+                thumbnailWidth,
+                thumbnailHeight,
+                pixelRatio: scale
+            });
+            
+            // Thumbnails are rendered at their final pixel size rather than scaled down
+            const thumbnailSettings = {
+                ...settings,
+                width: thumbnailWidth * scale,
+                height: thumbnailHeight * scale,
+                scale: thumbnailWidth * scale / canvasWidth
+            };
+            const { canvas: frameCanvas, ctx: frameCtx } = job.createCanvas(thumbnailSettings.width, thumbnailSettings.height);
+            const frames = [];
+            
+            job.setPhase('Rendering frames', times.length);
+            for (let i = 0; i < times.length; i++) {
+                this.composeFrame(frameCtx, times[i], thumbnailSettings);
+                const image = await createImageBitmap(frameCanvas);
+                job.onCleanup(() => image.close());
+                frames.push({ image, label: `${i + 1}  ·  ${formatTimestamp(times[i])}` });
+                
+                job.setProgress(i + 1);
+                await job.yield();
+            }
+            
+            const baseName = `canvas-contact-sheet-${Date.now()}`;
+            const renderPage = (pageFrames, pageLabel) => {
+                const { canvas, ctx } = job.createCanvas(
+                    Math.round(sheet.width * scale),
+                    Math.round(sheet.getHeight(pageFrames.length) * scale)
+                );
+                sheet.draw(ctx, pageFrames, pageLabel);
+                return canvas;
+            };
             
-            const zipBlob = await zip.generateAsync({ type: 'blob' });
-            const url = URL.createObjectURL(zipBlob);
-            const link = document.createElement('a');
-            link.download = `${folderName}.zip`;
-            link.href = url;
+            job.setPhase('Drawing sheet');
+            const png = await job.scope(async () => this.canvasToBlob(renderPage(frames), 'image/png'));
+            job.throwIfCancelled();
             
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            let pdf = null;
+            if (settings.contactPdf) {
+                const perPage = sheet.getRowsPerPage(PDF_PAGE_ASPECT) * sheet.columns;
+                const pageCount = Math.ceil(frames.length / perPage);
+                const writer = new PdfWriter();
+                
+                job.setPhase('Writing PDF pages', pageCount);
+                for (let page = 0; page < pageCount; page++) {
+                    const pageFrames = frames.slice(page * perPage, (page + 1) * perPage);
+                    await job.scope(async () => {
+                        const canvas = renderPage(pageFrames, `Page ${page + 1} / ${pageCount}`);
+                        const jpeg = await this.canvasToBlob(canvas, 'image/jpeg', 0.92);
+                        writer.addJpegPage(new Uint8Array(await jpeg.arrayBuffer()), canvas.width, canvas.height, PDF_PAGE_WIDTH);
+                    });
+                    
+                    job.setProgress(page + 1);
+                    await job.yield();
+                }
+                pdf = writer.finish();
+            }
             
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.downloadBlob(png, `${baseName}.png`);
+            if (pdf) {
+                this.downloadBlob(pdf, `${baseName}.pdf`);
+            }
             
-            setTimeout(() => {
-                const alphaInfo = this.canvasManager.isTransparent ? ' with alpha transparency' : '';
-                alert(`PNG sequence exported successfully!\n${totalFrames} frames${alphaInfo}\nFile: ${folderName}.zip`);
-            }, 100);
+            const pdfInfo = pdf ? ` and ${baseName}.pdf` : '';
+            return `Contact sheet export finished: ${baseName}.png${pdfInfo}\n${times.length} frames`;
+        });
+    }
+
+    // Sample times every N seconds or N frames across the export range
+    getContactSheetTimes(settings) {
+        const { contactInterval: interval, contactIntervalUnit: unit, startTime, duration } = settings;
+        
+        if (unit === 'frames') {
+            const step = Math.max(1, Math.round(interval));
+            const times = [];
+            for (let frame = 0; frame < this.getTotalFrames(settings); frame += step) {
+                times.push(this.getFrameTime(frame, settings));
+            }
+            return times;
+        }
+        
+        const count = Math.max(1, Math.ceil(duration / interval - 1e-9));
+        return Array.from({ length: count }, (value, index) => startTime + index * interval);
+    }
+
+    getContactSheetTitle() {
+        const { sequenceMode, sequence, layers } = this.canvasManager;
+        const items = sequenceMode ? sequence.scenes : layers.getRenderedLayers();
+        if (items.length === 0) return 'Canvas';
+        return items.map(item => item.name).join(sequenceMode ? ' → ' : ' + ');
+    }
+
+    // Header lines: canvas and export details, then the settings and parameter values of each layer or scene
+    getContactSheetDetails(settings) {
+        const { width, height, isTransparent, backgroundColor } = this.canvasManager;
+        const interval = settings.contactIntervalUnit === 'frames' ?
+            `every ${Math.max(1, Math.round(settings.contactInterval))} frames at ${settings.frameRate}fps` :
+            `every ${settings.contactInterval}s`;
+        
+        const details = [
+            `Canvas ${width} × ${height}px  ·  ${isTransparent ? 'Transparent' : `Background ${backgroundColor}`}  ·  ` +
+            `${formatTimestamp(settings.startTime)} to ${formatTimestamp(settings.startTime + settings.duration)}, ${interval}  ·  ` +
+            `Generated ${new Date().toLocaleString()}`
+        ];
+        
+        const effects = this.canvasManager.effects.getActiveEffects();
+        if (effects.length > 0) {
+            details.push(`Effects: ${effects.map(effect => effect.name).join(' → ')}`);
+        }
+        
+        if (this.canvasManager.sequenceMode) {
+            this.canvasManager.sequence.scenes.forEach(scene => {
+                const transition = scene.overlap > 0 ? `, ${TRANSITIONS[scene.transition.type]} ${scene.overlap}s` : '';
+                details.push(`${scene.name} (${formatTimestamp(scene.timeOffset)} to ${formatTimestamp(scene.getEndTime())}${transition})  ·  ` +
+                    describeParameters(scene.animation));
+            });
+            return details;
+        }
+        
+        this.canvasManager.layers.getRenderedLayers().slice().reverse().forEach(layer => {
+            const blend = BLEND_MODES[layer.blendMode] || layer.blendMode;
+            const offset = layer.timeOffset ? `, offset ${layer.timeOffset}s` : '';
+            details.push(`${layer.name} (${Math.round(layer.opacity * 100)}% ${blend}${offset})  ·  ` +
+                describeParameters(layer.animation));
+        });
+        return details;
+    }
+
+    /**
+     * Open the destination for a PNG sequence
+     * @param {string} destination - 'zip' or 'directory'
+     * @param {string} folderName - Name of the sequence folder
+     * @returns {Promise<Object|null>} Writer and location, or null if the picker was dismissed
+     */
+    async openSequenceTarget(destination, folderName) {
+        if (destination === 'directory' && window.showDirectoryPicker) {
+            try {
+                const parent = await window.showDirectoryPicker({ mode: 'readwrite' });
+                const directory = await parent.getDirectoryHandle(folderName, { create: true });
+                return { writer: new DirectoryWriter(directory), location: `${parent.name}/${folderName}` };
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                throw error;
+            }
+        }
+        
+        return this.openZipTarget(`${folderName}.zip`, folderName);
+    }
+
+    /**
+     * Open a ZIP archive to stream files into
+     * @param {string} filename - Suggested archive name
+     * @param {string} [folder=''] - Folder inside the archive that holds every entry
+     * @returns {Promise<Object|null>} Writer, location and in-memory sink if there is no
+     *     save picker, or null if the picker was dismissed
+     */
+    async openZipTarget(filename, folder = '') {
+        try {
+            // Stream the ZIP straight to disk where the browser allows it
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+                });
+                const writable = await handle.createWritable();
+                return { writer: new ZipWriter(writable, { folder }), location: handle.name };
+            }
             
+            const sink = new BlobSink();
+            return { writer: new ZipWriter(sink, { folder }), location: filename, sink };
         } catch (error) {
-            console.error('PNG sequence export failed:', error);
-            alert('PNG sequence export failed. Please try again.');
-        } finally {
-            exportBtn.textContent = originalText;
-            exportBtn.disabled = false;
-            this.isExporting = false;
+            if (error.name === 'AbortError') return null;
+            throw error;
         }
     }
 
-    // Render method for export that can handle frame-specific rendering
-    renderToCanvas(ctx, frame, totalFrames, duration) {
-        // Calculate animation progress for this specific frame
-        const progress = frame / totalFrames;
-        const time = progress * duration;
+    canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode frame as ${type}`));
+                }
+            }, type, quality);
+        });
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
         
-        // Render current animation if one is loaded
-        if (this.canvasManager.currentAnimation) {
-            this.canvasManager.currentAnimation.renderFrame(ctx, 
-                this.canvasManager.width, this.canvasManager.height, time);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getTotalFrames(settings) {
+        // A loop is spread over a whole number of frames so the end frame, a copy of
+        // the first, is left out
+        if (settings.loopExport) {
+            return Math.max(1, Math.round(settings.duration * settings.frameRate));
+        }
+        return Math.max(1, Math.ceil(settings.duration * settings.frameRate));
+    }
+
+    // Animation time in seconds for a frame of the export range
+    getFrameTime(frame, settings) {
+        if (settings.loopExport) {
+            return settings.startTime + frame * settings.duration / this.getTotalFrames(settings);
+        }
+        return settings.startTime + frame / settings.frameRate;
+    }
+
+    // Seconds between export frames
+    getFrameDuration(settings) {
+        if (settings.loopExport) {
+            return settings.duration / this.getTotalFrames(settings);
         }
+        return 1 / settings.frameRate;
     }
-}
\ No newline at end of file
+
+    // Draw a complete export frame. Audio features are computed from the decoded track,
+    // so exports match the sound exactly
+    composeFrame(ctx, time, settings, { opaque = false } = {}) {
+        const { width, height, scale } = settings;
+        const frameDuration = this.getFrameDuration(settings);
+        this.canvasManager.renderComposition(ctx, width, height, time, {
+            scale,
+            frameDuration,
+            // In transparent mode the background is left out unless the format has no alpha
+            background: opaque || !this.canvasManager.isTransparent,
+            motionBlur: settings.motionBlur ?
+                { samples: settings.motionBlurSamples, shutterAngle: settings.shutterAngle, frameDuration } :
+                null
+        });
+    }
+}
+
+// Seconds as m:ss
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Seconds as m:ss.ss for contact sheet labels
+function formatTimestamp(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+}
+
+function formatParameterValue(value) {
+    if (typeof value === 'number') {
+        return String(parseFloat(value.toFixed(3)));
+    }
+    if (value instanceof HTMLImageElement || value instanceof File) {
+        return value.alt || value.name || 'image';
+    }
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Speed, seed and parameter values of an animation on one line
+function describeParameters(animation) {
+    const { speed, seed, parameters } = animation.getMetadata();
+    return Object.entries({ speed, seed, ...parameters })
+        .map(([key, value]) => animation.hasKeyframes(key) ?
+            `${key}: keyframed (${animation.getKeyframes(key).length} keys)` :
+            `${key}: ${formatParameterValue(value)}`)
+        .join('  ·  ');
+}
@@ -0,0 +1,67 @@
+/**
+ * HistoryPanel - Undo/redo buttons and the list of changes in the side panel
+ *
+ * The list starts with the state before the first recorded change; clicking a row
+ * undoes or redoes everything up to it. Ctrl/Cmd+Z undoes and Shift+Ctrl/Cmd+Z
+ * redoes, except in text fields, which keep their own undo.
+ */
+
+export class HistoryPanel {
+    /**
+     * @param {UndoHistory} history - History shown by the panel
+     */
+    constructor(history) {
+        this.history = history;
+        this.list = document.getElementById('history-list');
+        this.undoButton = document.getElementById('history-undo-btn');
+        this.redoButton = document.getElementById('history-redo-btn');
+
+        this.setupEventListeners();
+        this.history.subscribe(() => this.render());
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.undoButton.addEventListener('click', () => this.history.undo());
+        this.redoButton.addEventListener('click', () => this.history.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest('textarea, [contenteditable], input[type="text"], input[type="number"]')) return;
+            if (document.querySelector('.modal-overlay[style*="flex"]')) return;
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.history.redo();
+            } else {
+                this.history.undo();
+            }
+        });
+    }
+
+    /**
+     * Rebuild the list; undone changes are dimmed
+     */
+    render() {
+        const { entries, position } = this.history;
+        this.undoButton.disabled = !this.history.canUndo();
+        this.redoButton.disabled = !this.history.canRedo();
+        this.undoButton.title = this.history.canUndo() ? `Undo ${entries[position - 1].label} (Ctrl/Cmd+Z)` : 'Nothing to undo';
+        this.redoButton.title = this.history.canRedo() ? `Redo ${entries[position].label} (Shift+Ctrl/Cmd+Z)` : 'Nothing to redo';
+
+        this.list.innerHTML = '';
+        const rows = [{ label: 'Start' }, ...entries].map((entry, index) => {
+            const row = document.createElement('button');
+            row.className = 'history-row';
+            row.textContent = entry.label;
+            row.classList.toggle('current', index === position);
+            row.classList.toggle('undone', index > position);
+            row.title = index === position ? 'Current state' : 'Go back to this state';
+            row.addEventListener('click', () => this.history.jumpTo(index));
+            return row;
+        });
+        this.list.append(...rows);
+        // Keep the current row in view without scrolling the side panel
+        this.list.scrollTop = rows[position].offsetTop - this.list.clientHeight / 2;
+    }
+}
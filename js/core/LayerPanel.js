@@ -0,0 +1,139 @@
+/**
+ * LayerPanel - Layer list and selected-layer settings in the side panel
+ *
+ * Lists the layers top first. Each row toggles visibility and solo, selects the
+ * layer for editing, moves it up or down, or removes it. Below the list, new layers
+ * are added from the animation registry, and the selected layer's opacity, blend
+ * mode and time offset are edited.
+ */
+
+import { BLEND_MODES } from './LayerStack.js';
+
+export class LayerPanel {
+    /**
+     * @param {LayerStack} layers - Stack shown by the panel
+     * @param {AnimationRegistry} animationRegistry - Animations that can be added
+     */
+    constructor(layers, animationRegistry) {
+        this.layers = layers;
+        this.animationRegistry = animationRegistry;
+
+        this.list = document.getElementById('layer-list');
+        this.properties = document.getElementById('layer-properties');
+        this.opacityInput = document.getElementById('layer-opacity');
+        this.opacityValue = document.getElementById('layer-opacity-value');
+        this.blendSelect = document.getElementById('layer-blend');
+        this.offsetInput = document.getElementById('layer-offset');
+
+        this.populateSelects();
+        this.setupEventListeners();
+        this.layers.subscribe(() => this.render());
+        this.render();
+    }
+
+    populateSelects() {
+        const addSelect = document.getElementById('layer-add-select');
+        this.animationRegistry.getAll().forEach(({ id, displayName }) => {
+            addSelect.add(new Option(displayName, id));
+        });
+
+        Object.entries(BLEND_MODES).forEach(([value, label]) => {
+            this.blendSelect.add(new Option(label, value));
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('layer-add-btn').addEventListener('click', () => {
+            const animationId = document.getElementById('layer-add-select').value;
+            const animation = this.animationRegistry.create(animationId);
+            if (animation) {
+                this.layers.add(animation, { animationId });
+            }
+        });
+
+        this.opacityInput.addEventListener('input', (e) => {
+            this.updateSelected('opacity', parseFloat(e.target.value));
+        });
+
+        this.blendSelect.addEventListener('change', (e) => {
+            this.updateSelected('blendMode', e.target.value);
+        });
+
+        this.offsetInput.addEventListener('change', (e) => {
+            this.updateSelected('timeOffset', parseFloat(e.target.value) || 0);
+        });
+    }
+
+    updateSelected(property, value) {
+        if (this.layers.selected) {
+            this.layers.update(this.layers.selected, property, value);
+        }
+    }
+
+    /**
+     * Rebuild the list and show the selected layer's settings
+     */
+    render() {
+        this.list.innerHTML = '';
+        const layers = this.layers.layers;
+        const soloActive = layers.some(layer => layer.solo);
+
+        layers.slice().reverse().forEach(layer => {
+            const index = layers.indexOf(layer);
+            const row = document.createElement('div');
+            row.className = 'layer-row';
+            row.classList.toggle('selected', layer === this.layers.selected);
+            // Layers hidden by another layer's solo are dimmed
+            row.classList.toggle('muted', !layer.visible || (soloActive && !layer.solo));
+
+            const visible = this.createButton('layer-visibility', layer.visible ? '●' : '○',
+                layer.visible ? 'Hide layer' : 'Show layer',
+                () => this.layers.update(layer, 'visible', !layer.visible));
+
+            const solo = this.createButton('layer-solo', 'S', 'Solo: show only soloed layers',
+                () => this.layers.update(layer, 'solo', !layer.solo));
+            solo.classList.toggle('active', layer.solo);
+
+            const name = this.createButton('layer-name', layer.name, 'Edit this layer',
+                () => this.layers.select(layer));
+
+            const up = this.createButton('layer-move', '▲', 'Move up', () => this.layers.move(layer, 1));
+            up.disabled = index === layers.length - 1;
+
+            const down = this.createButton('layer-move', '▼', 'Move down', () => this.layers.move(layer, -1));
+            down.disabled = index === 0;
+
+            const remove = this.createButton('layer-remove', '×', 'Remove layer', () => this.layers.remove(layer));
+
+            row.append(visible, solo, name, up, down, remove);
+            this.list.appendChild(row);
+        });
+
+        if (layers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'layer-empty';
+            empty.textContent = 'No layers';
+            this.list.appendChild(empty);
+        }
+
+        const selected = this.layers.selected;
+        this.properties.style.display = selected ? '' : 'none';
+        if (selected) {
+            if (document.activeElement !== this.opacityInput) {
+                this.opacityInput.value = selected.opacity;
+            }
+            this.opacityValue.textContent = `${Math.round(selected.opacity * 100)}%`;
+            this.blendSelect.value = selected.blendMode;
+            this.offsetInput.value = selected.timeOffset;
+        }
+    }
+
+    createButton(className, text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * LayerStack - Ordered animation layers composited onto one canvas
+ *
+ * Layers are drawn bottom to top. Each one renders on its own scratch canvas and is
+ * then drawn onto the output with its opacity and blend mode (a canvas
+ * globalCompositeOperation), so an animation that clears or composites its own
+ * canvas never touches the layers below it. The preview and every export render
+ * through render(), so what you see is what gets exported.
+ *
+ * All layers share one clock. A layer sees that time minus its time offset,
+ * multiplied by its animation's speed.
+ */
+
+import { BaseAnimation } from '../animations/BaseAnimation.js';
+import { silentFeatures } from './audio/AudioAnalysis.js';
+import { CanvasCache } from './CanvasCache.js';
+
+// Blend modes offered in the layer panel, as globalCompositeOperation values
+export const BLEND_MODES = {
+    'source-over': 'Normal',
+    'multiply': 'Multiply',
+    'screen': 'Screen',
+    'overlay': 'Overlay',
+    'darken': 'Darken',
+    'lighten': 'Lighten',
+    'lighter': 'Add',
+    'color-dodge': 'Color Dodge',
+    'color-burn': 'Color Burn',
+    'hard-light': 'Hard Light',
+    'soft-light': 'Soft Light',
+    'difference': 'Difference',
+    'exclusion': 'Exclusion',
+    'hue': 'Hue',
+    'saturation': 'Saturation',
+    'color': 'Color',
+    'luminosity': 'Luminosity'
+};
+
+// Scratch canvases kept for different output sizes (the preview plus one export)
+const MAX_SCRATCH_CANVASES = 2;
+
+export class Layer {
+    /**
+     * @param {number} id - Unique id within the stack
+     * @param {BaseAnimation} animation - Animation drawn by this layer
+     * @param {string} animationId - Registry id of the animation
+     * @param {string} name - Name shown in the layer list
+     */
+    constructor(id, animation, animationId, name) {
+        this.id = id;
+        this.animation = animation;
+        this.animationId = animationId;
+        this.name = name;
+        this.opacity = 1;
+        this.blendMode = 'source-over';
+        this.visible = true;
+        this.solo = false;
+        this.timeOffset = 0;
+        this.audioTrack = null;
+        this.clock = null;
+    }
+
+    /**
+     * Time source for the layer's animation: the shared clock in animation time
+     * @returns {number} Animation time in seconds
+     */
+    getCurrentTime() {
+        return this.clock ? this.getLocalTime(this.clock.getCurrentTime()) : 0;
+    }
+
+    /**
+     * Convert clock time to the time this layer's animation sees
+     * @param {number} time - Clock time in seconds
+     * @returns {number} Animation time in seconds
+     */
+    getLocalTime(time) {
+        return (time - this.timeOffset) * this.animation.speed;
+    }
+
+    /**
+     * Convert this layer's animation time back to clock time
+     * @param {number} localTime - Animation time in seconds
+     * @returns {number} Clock time in seconds
+     */
+    getGlobalTime(localTime) {
+        return localTime / this.animation.speed + this.timeOffset;
+    }
+
+    /**
+     * Audio source for the layer's animation: the track is on clock time, so
+     * features are looked up there rather than at the animation's own time
+     */
+    getFeatures(localTime, frameDuration) {
+        if (!this.audioTrack) {
+            return silentFeatures();
+        }
+        return this.audioTrack.getFeatures(this.getGlobalTime(localTime), frameDuration / this.animation.speed);
+    }
+}
+
+export class LayerStack {
+    /**
+     * @param {PlaybackClock} clock - Preview clock the layers' animations read their time from
+     */
+    constructor(clock) {
+        this.clock = clock;
+        this.layers = []; // Bottom to top
+        this.selected = null;
+        this.audioTrack = null;
+        this.nextId = 1;
+        this.listeners = [];
+        this.canvases = new CanvasCache(MAX_SCRATCH_CANVASES);
+    }
+
+    /**
+     * Call a function whenever layers are added, removed, reordered, changed or selected
+     * @param {function(LayerStack)} listener - Change handler
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Add a layer
+     * @param {BaseAnimation} animation - Animation to draw
+     * @param {Object} options
+     * @param {string} options.animationId - Registry id of the animation
+     * @param {string} [options.name] - Layer name; defaults to the animation name
+     * @param {number} [options.index] - Position from the bottom; defaults to the top
+     * @param {boolean} [options.select=true] - Make it the selected layer
+     * @returns {Layer} The new layer
+     */
+    add(animation, { animationId, name, index = this.layers.length, select = true }) {
+        const layer = new Layer(this.nextId++, animation, animationId, name || animation.name);
+        this.attach(layer);
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer);
+        if (select || !this.selected) {
+            this.selected = layer;
+        }
+        this.notify();
+        return layer;
+    }
+
+    /**
+     * Remove a layer; the selection moves to the layer below, or above if it was the bottom one
+     * @param {Layer} layer - Layer to remove
+     */
+    remove(layer) {
+        const index = this.layers.indexOf(layer);
+        if (index === -1) return;
+
+        this.layers.splice(index, 1);
+        layer.animation.destroy();
+        if (this.selected === layer) {
+            this.selected = this.layers[Math.max(0, index - 1)] || null;
+        }
+        this.notify();
+    }
+
+    /**
+     * Move a layer up or down the stack
+     * @param {Layer} layer - Layer to move
+     * @param {number} steps - Positive moves towards the top
+     */
+    move(layer, steps) {
+        const index = this.layers.indexOf(layer);
+        const target = Math.max(0, Math.min(this.layers.length - 1, index + steps));
+        if (index === -1 || target === index) return;
+
+        this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+        this.notify();
+    }
+
+    /**
+     * Swap the animation drawn by a layer, keeping its opacity, blend mode and timing
+     * @param {Layer} layer - Layer to change
+     * @param {BaseAnimation} animation - New animation
+     * @param {string} animationId - Registry id of the animation
+     */
+    replaceAnimation(layer, animation, animationId) {
+        layer.animation.destroy();
+        layer.animation = animation;
+        layer.animationId = animationId;
+        layer.name = animation.name;
+        this.attach(layer);
+        this.notify();
+    }
+
+    select(layer) {
+        if (this.selected !== layer) {
+            this.selected = layer;
+            this.notify();
+        }
+    }
+
+    /**
+     * Set a layer property such as opacity, blendMode, visible, solo or timeOffset
+     * @param {Layer} layer - Layer to change
+     * @param {string} property - Property name
+     * @param {any} value - New value
+     */
+    update(layer, property, value) {
+        layer[property] = value;
+        this.notify();
+    }
+
+    /**
+     * Give every layer's animation the audio track to react to
+     * @param {AudioTrack|null} track - Track, or null for silence
+     */
+    setAudioTrack(track) {
+        this.audioTrack = track;
+        this.layers.forEach(layer => { layer.audioTrack = track; });
+    }
+
+    attach(layer) {
+        layer.audioTrack = this.audioTrack;
+        layer.clock = this.clock;
+        layer.animation.setAudioSource(layer);
+        layer.animation.setTimeSource(layer);
+        layer.animation.init();
+    }
+
+    /**
+     * Layers that are drawn: the soloed ones if any layer is soloed, otherwise all
+     * visible layers
+     * @returns {Array<Layer>} Layers bottom to top
+     */
+    getRenderedLayers() {
+        const visible = this.layers.filter(layer => layer.visible);
+        const soloed = visible.filter(layer => layer.solo);
+        return soloed.length > 0 ? soloed : visible;
+    }
+
+    /**
+     * Length of one seamless loop of the whole composition
+     * @returns {number|null} Loop length in seconds, or null if a drawn layer doesn't loop
+     */
+    getLoopDuration() {
+        const periods = this.getRenderedLayers().map(layer => {
+            const duration = layer.animation.getLoopDuration();
+            return duration === null ? null : duration / layer.animation.speed;
+        });
+        if (periods.length === 0 || periods.includes(null)) return null;
+        return BaseAnimation.commonLoopDuration(periods);
+    }
+
+    /**
+     * Composite every drawn layer onto a context
+     * @param {CanvasRenderingContext2D} ctx - Output context, with the background already drawn
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} time - Clock time in seconds
+     * @param {number} scale - Output pixels per canvas pixel
+     * @param {number} frameDuration - Seconds the frame is shown for
+     * @param {Array<Layer>} [hidden] - Layers left out of this frame
+     */
+    render(ctx, width, height, time, scale = 1, frameDuration = 1 / 60, hidden = []) {
+        const layers = this.getRenderedLayers().filter(layer => !hidden.includes(layer));
+        if (layers.length === 0) return;
+
+        const { canvas, ctx: layerCtx } = this.canvases.get('layer', width, height);
+        layers.forEach(layer => {
+            layerCtx.save();
+            layerCtx.clearRect(0, 0, width, height);
+            layer.animation.renderAtTime(layerCtx, width, height, layer.getLocalTime(time), scale,
+                frameDuration * layer.animation.speed);
+            layerCtx.restore();
+
+            ctx.save();
+            ctx.globalAlpha = layer.opacity;
+            ctx.globalCompositeOperation = layer.blendMode;
+            ctx.drawImage(canvas, 0, 0);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Free the scratch canvases, e.g. after a large export
+     */
+    releaseCanvases() {
+        this.canvases.release();
+    }
+}
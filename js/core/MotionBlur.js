@@ -0,0 +1,99 @@
+/**
+ * MotionBlur - Averages several renders spread over the shutter into one frame
+ *
+ * The shutter angle sets how much of the frame time is exposed (180° is half of
+ * it, like a film camera), centered on the frame time. Sub-frames are summed with
+ * premultiplied alpha and then divided back, so transparent exports blur moving
+ * edges into partial transparency instead of dark or light fringes.
+ */
+
+import { CanvasCache } from './CanvasCache.js';
+
+// Sub-frame canvases and sum buffers kept: the preview plus one export size
+const MAX_SCRATCH_CANVASES = 2;
+
+export class MotionBlur {
+    constructor() {
+        this.canvases = new CanvasCache(MAX_SCRATCH_CANVASES, { willReadFrequently: true });
+        this.accumulators = new Map();
+    }
+
+    /**
+     * Render a motion-blurred frame onto ctx, replacing its contents
+     * @param {CanvasRenderingContext2D} ctx - Output context
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} time - Frame time in seconds
+     * @param {Object} options
+     * @param {number} options.samples - Renders averaged per frame
+     * @param {number} options.shutterAngle - Exposed part of the frame in degrees (0-360)
+     * @param {number} options.frameDuration - Length of the frame in seconds
+     * @param {function(CanvasRenderingContext2D, number)} drawSubFrame - Clears and draws a
+     *     complete frame at a time
+     */
+    render(ctx, width, height, time, { samples, shutterAngle, frameDuration }, drawSubFrame) {
+        const exposure = frameDuration * Math.min(360, Math.max(0, shutterAngle)) / 360;
+        if (samples <= 1 || exposure <= 0) {
+            drawSubFrame(ctx, time);
+            return;
+        }
+
+        const size = width * height * 4;
+        const sum = this.getAccumulator(width, height);
+
+        const { ctx: subCtx } = this.canvases.get('sub-frame', width, height);
+        for (let sample = 0; sample < samples; sample++) {
+            const subTime = time + ((sample + 0.5) / samples - 0.5) * exposure;
+            subCtx.save();
+            drawSubFrame(subCtx, subTime);
+            subCtx.restore();
+
+            const data = subCtx.getImageData(0, 0, width, height).data;
+            for (let i = 0; i < size; i += 4) {
+                const alpha = data[i + 3];
+                sum[i] += data[i] * alpha;
+                sum[i + 1] += data[i + 1] * alpha;
+                sum[i + 2] += data[i + 2] * alpha;
+                sum[i + 3] += alpha;
+            }
+        }
+
+        const image = ctx.createImageData(width, height);
+        const output = image.data;
+        for (let i = 0; i < size; i += 4) {
+            const alpha = sum[i + 3];
+            if (alpha === 0) continue;
+            output[i] = sum[i] / alpha;
+            output[i + 1] = sum[i + 1] / alpha;
+            output[i + 2] = sum[i + 2] / alpha;
+            output[i + 3] = alpha / samples;
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    // Zeroed sum buffer for a frame size; the preview and an export running at the
+    // same time each keep their own
+    getAccumulator(width, height) {
+        const key = `${width}x${height}`;
+        let sum = this.accumulators.get(key);
+        if (sum) {
+            this.accumulators.delete(key);
+            sum.fill(0);
+        } else {
+            sum = new Uint32Array(width * height * 4);
+            if (this.accumulators.size >= MAX_SCRATCH_CANVASES) {
+                this.accumulators.delete(this.accumulators.keys().next().value);
+            }
+        }
+        this.accumulators.set(key, sum);
+        return sum;
+    }
+
+    /**
+     * Free the scratch canvases and sum buffers, e.g. after a large export
+     */
+    release() {
+        this.canvases.release();
+        this.accumulators.clear();
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Notifications - Non-blocking toast messages
+ *
+ * Replaces alert() for export results and other status messages. Toasts stack in
+ * the corner of the window and dismiss themselves, or on click.
+ */
+
+const DEFAULT_DURATION = 5000;
+
+/**
+ * Show a toast message
+ * @param {string} message - Text to show; line breaks are kept
+ * @param {Object} [options]
+ * @param {string} [options.type='info'] - 'info', 'success', 'warning' or 'error'
+ * @param {number} [options.duration] - Milliseconds before it hides; errors stay twice as long
+ */
+export function showToast(message, { type = 'info', duration } = {}) {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    container.appendChild(toast);
+
+    const dismiss = () => {
+        toast.classList.add('toast-hiding');
+        setTimeout(() => toast.remove(), 200);
+    };
+    toast.addEventListener('click', dismiss);
+    setTimeout(dismiss, duration || (type === 'error' ? DEFAULT_DURATION * 2 : DEFAULT_DURATION));
+}
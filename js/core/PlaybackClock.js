@@ -0,0 +1,61 @@
+/**
+ * PlaybackClock - Preview time shared by every layer
+ *
+ * Runs in real seconds while playing. The timeline, the audio track and the layer
+ * stack all read this one clock, so layers never drift apart.
+ */
+
+export class PlaybackClock {
+    constructor() {
+        this.startTime = Date.now();
+        this.pausedTime = 0;
+        this.isPlaying = true;
+    }
+
+    /**
+     * Get the current time
+     * @returns {number} Time in seconds
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) {
+            return this.pausedTime;
+        }
+        return (Date.now() - this.startTime) * 0.001;
+    }
+
+    play() {
+        if (!this.isPlaying) {
+            this.startTime = Date.now() - this.pausedTime * 1000;
+            this.isPlaying = true;
+        }
+    }
+
+    pause() {
+        if (this.isPlaying) {
+            this.pausedTime = this.getCurrentTime();
+            this.isPlaying = false;
+        }
+    }
+
+    /**
+     * Jump to a point in time, keeping the current play/pause state
+     * @param {number} time - Time in seconds
+     */
+    seek(time) {
+        const target = Math.max(0, time);
+        if (this.isPlaying) {
+            this.startTime = Date.now() - target * 1000;
+        } else {
+            this.pausedTime = target;
+        }
+    }
+
+    /**
+     * Go back to the start and play
+     */
+    reset() {
+        this.startTime = Date.now();
+        this.pausedTime = 0;
+        this.isPlaying = true;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * PresetStore - Named parameter snapshots saved in the browser
+ *
+ * Presets are grouped by animation id and kept in localStorage, so they survive
+ * reloads. A preset holds the speed and parameter values of an animation, and
+ * optionally the canvas size and background. All presets can be written to a
+ * JSON file and read back, e.g. to share an approved look.
+ */
+
+const STORAGE_KEY = 'sv-tools-presets';
+const FILE_FORMAT = 'sv-tools-presets';
+const FILE_VERSION = 1;
+
+export class PresetStore {
+    constructor() {
+        this.presets = this.load();
+    }
+
+    // Presets by animation id; anything unreadable in storage starts empty
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Could not read saved presets:', error);
+            return {};
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            // Usually the storage quota, e.g. presets with large embedded images
+            throw new Error(`Could not store presets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Saved presets of an animation
+     * @param {string} animationId - Registry id of the animation
+     * @returns {Array<Object>} Presets sorted by name
+     */
+    getAll(animationId) {
+        return [...(this.presets[animationId] || [])].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a saved preset by name
+     * @param {string} animationId - Registry id of the animation
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset or null if there is none
+     */
+    get(animationId, name) {
+        return (this.presets[animationId] || []).find(preset => preset.name === name) || null;
+    }
+
+    /**
+     * Save a preset, replacing one with the same name
+     * @param {string} animationId - Registry id of the animation
+     * @param {Object} preset - { name, speed, parameters, canvas?, background? }
+     */
+    save(animationId, preset) {
+        const previous = this.presets[animationId] || [];
+        this.presets[animationId] = [...previous.filter(item => item.name !== preset.name), preset];
+        try {
+            this.persist();
+        } catch (error) {
+            this.presets[animationId] = previous;
+            throw error;
+        }
+    }
+
+    remove(animationId, name) {
+        this.presets[animationId] = (this.presets[animationId] || []).filter(preset => preset.name !== name);
+        if (this.presets[animationId].length === 0) {
+            delete this.presets[animationId];
+        }
+        this.persist();
+    }
+
+    /**
+     * All saved presets as a JSON file
+     * @returns {Blob} File contents
+     */
+    export() {
+        const file = { format: FILE_FORMAT, version: FILE_VERSION, presets: this.presets };
+        return new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Add the presets of a file written by export(); presets with the name of an
+     * existing one replace it
+     * @param {string} text - File contents
+     * @returns {number} Number of presets imported
+     * @throws {Error} If the file isn't a presets file
+     */
+    import(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!file || file.format !== FILE_FORMAT || !file.presets || typeof file.presets !== 'object') {
+            throw new Error('The file does not contain presets');
+        }
+        if (file.version > FILE_VERSION) {
+            throw new Error('The presets file was made by a newer version');
+        }
+
+        let count = 0;
+        Object.entries(file.presets).forEach(([animationId, presets]) => {
+            if (!Array.isArray(presets)) return;
+            presets
+                .filter(preset => preset && typeof preset.name === 'string' && preset.parameters)
+                .forEach(preset => {
+                    const existing = (this.presets[animationId] || []).filter(item => item.name !== preset.name);
+                    this.presets[animationId] = [...existing, preset];
+                    count++;
+                });
+        });
+        this.persist();
+        return count;
+    }
+}
@@ -0,0 +1,425 @@
+/**
+ * ProjectManager - Saves and reopens the whole workspace
+ *
+ * A project file is JSON with the canvas size, background, layers (image layers
+ * embed their image as a data URL), scenes, effects and timeline settings. Every
+ * file records the schema version it was written with; files from older versions
+ * are migrated step by step when they are opened.
+ *
+ * The workspace is also autosaved to IndexedDB every few seconds while it
+ * changes, and the last session is restored on startup.
+ */
+
+import { ImageAnimation } from '../animations/ImageAnimation.js';
+import { AutosaveStore } from './AutosaveStore.js';
+import { clampCanvasSize } from './CanvasManager.js';
+import { BLEND_MODES } from './LayerStack.js';
+import { TRANSITIONS } from './Sequence.js';
+import { showToast } from './Notifications.js';
+
+const PROJECT_FORMAT = 'sv-tools-project';
+export const PROJECT_VERSION = 1;
+const AUTOSAVE_INTERVAL = 5000;
+
+// Version -> function turning a project of that version into one of the next.
+// When the format changes, bump PROJECT_VERSION and add the step from the old one.
+const MIGRATIONS = {};
+
+export class ProjectManager {
+    /**
+     * @param {CanvasManager} canvasManager - Owner of the canvas, layers, sequence and effects
+     * @param {AnimationRegistry} animationRegistry - Recreates the animations
+     * @param {EffectRegistry} effectRegistry - Recreates the effects
+     */
+    constructor(canvasManager, animationRegistry, effectRegistry) {
+        this.canvasManager = canvasManager;
+        this.animationRegistry = animationRegistry;
+        this.effectRegistry = effectRegistry;
+        this.autosaveStore = new AutosaveStore();
+        this.lastAutosave = null;
+        this.autosaveTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('project-save-btn').addEventListener('click', () => this.saveToFile());
+
+        document.getElementById('project-open-btn').addEventListener('click', () => {
+            document.getElementById('project-input').click();
+        });
+
+        document.getElementById('project-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.openFile(file);
+            }
+        });
+    }
+
+    /**
+     * Describe the workspace
+     * @returns {Object} Project that survives JSON.stringify
+     */
+    serialize() {
+        const manager = this.canvasManager;
+        const { layers, sequence, effects, timeline } = manager;
+        const imageRoles = new Map(Object.entries(manager.imageLayers)
+            .filter(([, layer]) => layer)
+            .map(([role, layer]) => [layer, role]));
+
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            canvas: { width: manager.width, height: manager.height },
+            background: { color: manager.backgroundColor, transparent: manager.isTransparent },
+            layers: layers.layers.map(layer => ({
+                ...serializeLayer(layer),
+                opacity: layer.opacity,
+                blendMode: layer.blendMode,
+                visible: layer.visible,
+                solo: layer.solo,
+                timeOffset: layer.timeOffset,
+                imageRole: imageRoles.get(layer) || null
+            })),
+            selectedLayer: layers.layers.indexOf(layers.selected),
+            sequence: {
+                enabled: manager.sequenceMode,
+                scenes: sequence.scenes.map(scene => ({
+                    ...serializeLayer(scene),
+                    duration: scene.duration,
+                    transition: { ...scene.transition }
+                }))
+            },
+            effects: effects.effects.map(effect => ({
+                effectId: effect.effectId,
+                enabled: effect.enabled,
+                parameters: JSON.parse(JSON.stringify(effect.parameters))
+            })),
+            timeline: {
+                length: timeline.length,
+                frameRate: timeline.frameRate,
+                inPoint: timeline.inPoint,
+                outPoint: timeline.outPoint
+            },
+            // Audio isn't embedded; it has to be uploaded again
+            audio: manager.audioTrack ? { name: manager.audioTrack.name, offset: manager.audioTrack.offset } : null
+        };
+    }
+
+    /**
+     * Replace the workspace with a project
+     * @param {Object} data - Project from serialize(), possibly of an older version
+     * @returns {Promise<Array<string>>} Warnings about parts that couldn't be restored
+     * @throws {Error} If the data isn't a project this version can read
+     */
+    async load(data) {
+        const project = migrateProject(data);
+        const warnings = [];
+        const manager = this.canvasManager;
+        const { layers, sequence, effects, timeline } = manager;
+
+        // The project is checked and its images decoded before anything is replaced,
+        // so a broken file changes nothing
+        const images = await Promise.all(project.layers.map(layer =>
+            layer.animationId === 'image' && layer.image ? loadImage(layer.image) : null));
+
+        manager.setCanvasSize(project.canvas.width, project.canvas.height);
+        manager.setBackground(project.background.color, project.background.transparent);
+
+        [...layers.layers].forEach(layer => layers.remove(layer));
+        manager.imageLayers = { bg: null, fg: null };
+        const restoredLayers = project.layers.map((saved, index) => {
+            const animation = saved.animationId === 'image' ?
+                new ImageAnimation(images[index]) :
+                this.createAnimation(saved, warnings);
+            if (!animation) return null;
+
+            const layer = layers.add(animation, { animationId: saved.animationId, name: saved.name, select: false });
+            ['opacity', 'blendMode', 'visible', 'solo', 'timeOffset'].forEach(property => {
+                if (saved[property] !== undefined) layer[property] = saved[property];
+            });
+            if (saved.imageRole) {
+                manager.imageLayers[saved.imageRole] = layer;
+            }
+            return layer;
+        });
+        layers.selected = restoredLayers[project.selectedLayer] || layers.layers[layers.layers.length - 1] || null;
+        layers.notify();
+
+        [...sequence.scenes].forEach(scene => sequence.remove(scene));
+        project.sequence.scenes.forEach(saved => {
+            const animation = this.createAnimation(saved, warnings);
+            if (!animation) return;
+            const scene = sequence.add(animation, { animationId: saved.animationId, name: saved.name, duration: saved.duration });
+            Object.assign(scene.transition, saved.transition);
+        });
+        sequence.notify();
+
+        [...effects.effects].forEach(effect => effects.remove(effect));
+        project.effects.forEach(saved => {
+            const effect = this.effectRegistry.create(saved.effectId);
+            if (!effect) {
+                warnings.push(`Unknown effect "${saved.effectId}"`);
+                return;
+            }
+            Object.entries(saved.parameters).forEach(([key, value]) => effect.setParameter(key, value));
+            effect.enabled = saved.enabled;
+            effects.add(effect, saved.effectId);
+        });
+
+        timeline.frameRate = project.timeline.frameRate;
+        document.getElementById('timeline-fps').value = String(project.timeline.frameRate);
+        timeline.setLength(project.timeline.length);
+        const clampPoint = time => time === null ? null : Math.min(time, timeline.length);
+        timeline.inPoint = clampPoint(project.timeline.inPoint);
+        timeline.outPoint = clampPoint(project.timeline.outPoint);
+        timeline.updateRange();
+
+        document.getElementById('sequence-mode').checked = project.sequence.enabled;
+        manager.setSequenceMode(project.sequence.enabled);
+
+        if (project.audio && !manager.audioTrack) {
+            warnings.push(`Upload ${project.audio.name} again; audio isn't stored in projects`);
+        }
+        // Undo steps refer to the layers that were just replaced
+        manager.history.clear();
+        return warnings;
+    }
+
+    // Animation for a saved layer or scene, with its saved settings
+    createAnimation(saved, warnings) {
+        if (!this.animationRegistry.has(saved.animationId)) {
+            warnings.push(`Unknown animation "${saved.animationId}" (${saved.name})`);
+            return null;
+        }
+        const animation = this.animationRegistry.create(saved.animationId);
+        animation.setState(saved.state);
+        return animation;
+    }
+
+    /**
+     * Download the workspace as a project file
+     */
+    saveToFile() {
+        const json = JSON.stringify(this.serialize(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        this.canvasManager.exportManager.downloadBlob(blob, `sv-project-${Date.now()}.json`);
+    }
+
+    /**
+     * Open a project file, replacing the workspace
+     * @param {File} file - Project file
+     */
+    async openFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            showToast(`${file.name} is not a project file`, { type: 'error' });
+            return;
+        }
+
+        try {
+            const warnings = await this.load(data);
+            showLoadResult(`Opened ${file.name}`, warnings);
+        } catch (error) {
+            console.error('Opening the project failed:', error);
+            showToast(`Could not open ${file.name}: ${error.message}`, { type: 'error' });
+        }
+    }
+
+    /**
+     * Restore the autosaved session, if there is one
+     * @returns {Promise<boolean>} True if a session was restored
+     */
+    async restoreAutosave() {
+        let project;
+        try {
+            project = await this.autosaveStore.load();
+        } catch (error) {
+            console.warn('Autosave is unavailable:', error);
+            return false;
+        }
+        if (!project) return false;
+
+        try {
+            const warnings = await this.load(project);
+            this.lastAutosave = getSnapshot(this.serialize());
+            showLoadResult('Restored your last session', warnings);
+            return true;
+        } catch (error) {
+            console.error('Restoring the last session failed:', error);
+            showToast(`Could not restore the last session: ${error.message}`, { type: 'warning' });
+            this.autosaveStore.clear().catch(() => {});
+            return false;
+        }
+    }
+
+    /**
+     * Autosave every few seconds when something changed, and when the tab is hidden
+     */
+    startAutosave() {
+        this.autosaveTimer = setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosave();
+            }
+        });
+    }
+
+    async autosave() {
+        const project = this.serialize();
+        const snapshot = getSnapshot(project);
+        if (snapshot === this.lastAutosave) return;
+
+        this.lastAutosave = snapshot;
+        try {
+            await this.autosaveStore.save(project);
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    }
+}
+
+/**
+ * Bring a project up to the current version and check that it can be read
+ * @param {Object} data - Parsed project file
+ * @returns {Object} Project in the current format
+ * @throws {Error} If the data isn't a project, or is from a newer version
+ */
+export function migrateProject(data) {
+    if (!data || data.format !== PROJECT_FORMAT || !Number.isInteger(data.version)) {
+        throw new Error('This is not a project file');
+    }
+    if (data.version > PROJECT_VERSION) {
+        throw new Error(`The project was saved by a newer version (${data.version})`);
+    }
+
+    let project = data;
+    while (project.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[project.version];
+        if (!migrate) {
+            throw new Error(`Projects of version ${project.version} can't be opened`);
+        }
+        project = { ...migrate(project), version: project.version + 1 };
+    }
+
+    const problem = findProblem(project);
+    if (problem) {
+        throw new Error(`The project file is damaged: ${problem}`);
+    }
+    return {
+        ...project,
+        canvas: { width: clampCanvasSize(project.canvas.width), height: clampCanvasSize(project.canvas.height) }
+    };
+}
+
+// Everything load() reads, so that it can't fail halfway; null if the project is fine
+function findProblem({ canvas, background, layers, sequence, effects, timeline }) {
+    if (!isObject(canvas) || !Number.isFinite(canvas.width) || !Number.isFinite(canvas.height)) {
+        return 'canvas size';
+    }
+    if (!isObject(background) || !isColor(background.color) || typeof background.transparent !== 'boolean') {
+        return 'background';
+    }
+    if (!Array.isArray(layers) || !layers.every(layer => isObject(layer) && isAnimationValid(layer) &&
+        isOptionalNumber(layer.opacity) && isOptionalNumber(layer.timeOffset) &&
+        (layer.blendMode === undefined || isKey(BLEND_MODES, layer.blendMode)) &&
+        isOptionalBoolean(layer.visible) && isOptionalBoolean(layer.solo))) {
+        return 'layers';
+    }
+    if (!isObject(sequence) || !Array.isArray(sequence.scenes) || !sequence.scenes.every(scene =>
+        isObject(scene) && isAnimationValid(scene) && isPositive(scene.duration) && isTransitionValid(scene.transition))) {
+        return 'scenes';
+    }
+    if (!Array.isArray(effects) || !effects.every(effect =>
+        isObject(effect) && typeof effect.effectId === 'string' && isObject(effect.parameters))) {
+        return 'effects';
+    }
+    const isPoint = time => time === null || (Number.isFinite(time) && time >= 0);
+    if (!isObject(timeline) || !isPositive(timeline.frameRate) || !isPositive(timeline.length) ||
+        !isPoint(timeline.inPoint) || !isPoint(timeline.outPoint)) {
+        return 'timeline';
+    }
+    return null;
+}
+
+// Image layers need an image (or none), animations a state setState() can read
+function isAnimationValid(saved) {
+    if (typeof saved.animationId !== 'string') return false;
+    if (saved.animationId === 'image') {
+        return saved.image === null || typeof saved.image === 'string';
+    }
+    const { state } = saved;
+    return isObject(state) &&
+        (state.parameters === undefined || isObject(state.parameters)) &&
+        (state.keyframes === undefined || (isObject(state.keyframes) &&
+            Object.values(state.keyframes).every(track => Array.isArray(track) &&
+                track.every(keyframe => isObject(keyframe) && Number.isFinite(keyframe.time)))));
+}
+
+// The transition replaces the scene's default one, so it needs every property
+function isTransitionValid(transition) {
+    return isObject(transition) && isKey(TRANSITIONS, transition.type) &&
+        Number.isFinite(transition.duration) && transition.duration >= 0 && isColor(transition.color);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+function isOptionalNumber(value) {
+    return value === undefined || Number.isFinite(value);
+}
+
+function isOptionalBoolean(value) {
+    return value === undefined || typeof value === 'boolean';
+}
+
+function isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function isKey(object, key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Project as a string for change detection; the time of saving doesn't count
+function getSnapshot(project) {
+    return JSON.stringify({ ...project, savedAt: null });
+}
+
+// Animation and name of a layer or scene; image layers keep their image instead
+function serializeLayer(layer) {
+    const saved = { animationId: layer.animationId, name: layer.name };
+    if (layer.animation instanceof ImageAnimation) {
+        saved.image = layer.animation.image ? layer.animation.image.src : null;
+    } else {
+        saved.state = layer.animation.getSerializableState();
+    }
+    return saved;
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('An embedded image could not be read'));
+        image.src = src;
+    });
+}
+
+function showLoadResult(message, warnings) {
+    if (warnings.length > 0) {
+        showToast(`${message}, with problems:\n${warnings.join('\n')}`, { type: 'warning' });
+    } else {
+        showToast(message, { type: 'success' });
+    }
+}
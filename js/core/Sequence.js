@@ -0,0 +1,295 @@
+/**
+ * Sequence - Scenes played one after another, with transitions between them
+ *
+ * Each scene is its own animation instance, holding a snapshot of the parameters
+ * it was added with, and plays for its duration starting at time 0. A transition
+ * overlaps the end of a scene with the start of the next one, so a sequence lasts
+ * the sum of the scene durations minus the transition lengths. In sequence mode
+ * the preview and every export render through render(), just like the layer stack.
+ */
+
+import { Layer } from './LayerStack.js';
+import { CanvasCache } from './CanvasCache.js';
+import { EASINGS } from '../animations/Keyframes.js';
+
+export const TRANSITIONS = {
+    cut: 'Cut',
+    crossfade: 'Crossfade',
+    wipe: 'Wipe',
+    push: 'Push',
+    dip: 'Dip to Color'
+};
+
+const DEFAULT_SCENE_DURATION = 5;
+const DEFAULT_TRANSITION_DURATION = 1;
+// Outgoing and incoming scene, for the preview plus one export size
+const MAX_SCRATCH_CANVASES = 4;
+
+/**
+ * Draw one transition frame onto ctx. `from` and `to` are scratch canvases holding
+ * the outgoing and incoming scene; progress runs from 0 to 1
+ */
+const TRANSITION_RENDERERS = {
+    // Premultiplied mix of both scenes, so transparent areas fade correctly too
+    crossfade(ctx, from, to, progress, { width, height }) {
+        from.ctx.save();
+        from.ctx.globalCompositeOperation = 'destination-in';
+        from.ctx.fillStyle = `rgba(0, 0, 0, ${1 - progress})`;
+        from.ctx.fillRect(0, 0, width, height);
+        from.ctx.globalCompositeOperation = 'lighter';
+        from.ctx.globalAlpha = progress;
+        from.ctx.drawImage(to.canvas, 0, 0);
+        from.ctx.restore();
+        ctx.drawImage(from.canvas, 0, 0);
+    },
+
+    // The incoming scene is revealed from the left
+    wipe(ctx, from, to, progress, { width, height }) {
+        const edge = Math.round(EASINGS['ease-in-out'](progress) * width);
+        ctx.drawImage(from.canvas, edge, 0, width - edge, height, edge, 0, width - edge, height);
+        ctx.drawImage(to.canvas, 0, 0, edge, height, 0, 0, edge, height);
+    },
+
+    // The incoming scene slides in from the right, pushing the outgoing one out
+    push(ctx, from, to, progress, { width }) {
+        const offset = Math.round(EASINGS['ease-in-out'](progress) * width);
+        ctx.drawImage(from.canvas, -offset, 0);
+        ctx.drawImage(to.canvas, width - offset, 0);
+    },
+
+    // Fade out to the color over the first half, then in from it
+    dip(ctx, from, to, progress, { width, height, color }) {
+        const first = progress < 0.5;
+        ctx.drawImage(first ? from.canvas : to.canvas, 0, 0);
+        ctx.save();
+        ctx.globalAlpha = first ? progress * 2 : (1 - progress) * 2;
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+    }
+};
+
+/**
+ * A scene is a layer whose time offset is its start time in the sequence
+ */
+export class Scene extends Layer {
+    constructor(id, animation, animationId, name, duration) {
+        super(id, animation, animationId, name);
+        this.duration = duration;
+        // Transition into the next scene; overlap is the length actually used
+        this.transition = { type: 'crossfade', duration: DEFAULT_TRANSITION_DURATION, color: '#000000' };
+        this.overlap = 0;
+    }
+
+    getEndTime() {
+        return this.timeOffset + this.duration;
+    }
+}
+
+export class Sequence {
+    /**
+     * @param {PlaybackClock} clock - Preview clock the scenes' animations read their time from
+     */
+    constructor(clock) {
+        this.clock = clock;
+        this.scenes = [];
+        this.audioTrack = null;
+        this.nextId = 1;
+        this.listeners = [];
+        this.canvases = new CanvasCache(MAX_SCRATCH_CANVASES);
+    }
+
+    /**
+     * Call a function whenever scenes are added, removed, reordered or changed
+     * @param {function(Sequence)} listener - Change handler
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.layout();
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Add a scene at the end
+     * @param {BaseAnimation} animation - Animation instance owned by the scene
+     * @param {Object} options
+     * @param {string} options.animationId - Registry id of the animation
+     * @param {string} [options.name] - Scene name; defaults to the animation name
+     * @param {number} [options.duration] - Length in seconds
+     * @returns {Scene} The new scene
+     */
+    add(animation, { animationId, name, duration = DEFAULT_SCENE_DURATION }) {
+        const scene = new Scene(this.nextId++, animation, animationId, name || animation.name, duration);
+        this.attach(scene);
+        this.scenes.push(scene);
+        this.notify();
+        return scene;
+    }
+
+    remove(scene) {
+        const index = this.scenes.indexOf(scene);
+        if (index === -1) return;
+
+        this.scenes.splice(index, 1);
+        scene.animation.destroy();
+        this.notify();
+    }
+
+    /**
+     * Move a scene earlier or later
+     * @param {Scene} scene - Scene to move
+     * @param {number} steps - Positive moves later
+     */
+    move(scene, steps) {
+        const index = this.scenes.indexOf(scene);
+        const target = Math.max(0, Math.min(this.scenes.length - 1, index + steps));
+        if (index === -1 || target === index) return;
+
+        this.scenes.splice(index, 1);
+        this.scenes.splice(target, 0, scene);
+        this.notify();
+    }
+
+    /**
+     * Give a scene a new animation snapshot, keeping its duration and transition
+     * @param {Scene} scene - Scene to change
+     * @param {BaseAnimation} animation - New animation instance
+     * @param {string} animationId - Registry id of the animation
+     */
+    replaceAnimation(scene, animation, animationId) {
+        scene.animation.destroy();
+        scene.animation = animation;
+        scene.animationId = animationId;
+        scene.name = animation.name;
+        this.attach(scene);
+        this.notify();
+    }
+
+    /**
+     * Set a scene property such as name or duration
+     * @param {Scene} scene - Scene to change
+     * @param {string} property - Property name
+     * @param {any} value - New value
+     */
+    update(scene, property, value) {
+        scene[property] = value;
+        this.notify();
+    }
+
+    /**
+     * Set a property of the transition into the next scene: type, duration or color
+     * @param {Scene} scene - Scene the transition follows
+     * @param {string} property - Property name
+     * @param {any} value - New value
+     */
+    updateTransition(scene, property, value) {
+        scene.transition[property] = value;
+        this.notify();
+    }
+
+    setAudioTrack(track) {
+        this.audioTrack = track;
+        this.scenes.forEach(scene => { scene.audioTrack = track; });
+    }
+
+    attach(scene) {
+        scene.audioTrack = this.audioTrack;
+        scene.clock = this.clock;
+        scene.animation.setAudioSource(scene);
+        scene.animation.setTimeSource(scene);
+        scene.animation.init();
+    }
+
+    /**
+     * Work out when each scene starts. A transition can't be longer than the next
+     * scene, or than what the previous transition leaves of its own scene
+     */
+    layout() {
+        let start = 0;
+        let previousOverlap = 0;
+        this.scenes.forEach((scene, index) => {
+            const next = this.scenes[index + 1];
+            const { type, duration } = scene.transition;
+            scene.timeOffset = start;
+            scene.overlap = next && type !== 'cut' ?
+                Math.max(0, Math.min(duration, scene.duration - previousOverlap, next.duration)) :
+                0;
+            start += scene.duration - scene.overlap;
+            previousOverlap = scene.overlap;
+        });
+    }
+
+    /**
+     * Length of the whole sequence
+     * @returns {number} Seconds
+     */
+    getDuration() {
+        const last = this.scenes[this.scenes.length - 1];
+        return last ? last.getEndTime() : 0;
+    }
+
+    /**
+     * A sequence plays once, so it has no loop length
+     * @returns {null}
+     */
+    getLoopDuration() {
+        return null;
+    }
+
+    /**
+     * Draw the sequence at a time; before the start and after the end the first and
+     * last frames hold
+     * @param {CanvasRenderingContext2D} ctx - Output context, with the background already drawn
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} time - Clock time in seconds
+     * @param {number} scale - Output pixels per canvas pixel
+     * @param {number} frameDuration - Seconds the frame is shown for
+     */
+    render(ctx, width, height, time, scale = 1, frameDuration = 1 / 60) {
+        if (this.scenes.length === 0) return;
+
+        const clamped = Math.max(0, Math.min(time, this.getDuration()));
+        let index = this.scenes.length - 1;
+        while (index > 0 && this.scenes[index].timeOffset > clamped) {
+            index--;
+        }
+        const scene = this.scenes[index];
+        const previous = this.scenes[index - 1];
+
+        const incoming = this.renderScene('incoming', scene, width, height, clamped, scale, frameDuration);
+        if (!previous || clamped >= previous.getEndTime()) {
+            ctx.drawImage(incoming.canvas, 0, 0);
+            return;
+        }
+
+        // Inside the transition from the previous scene
+        const outgoing = this.renderScene('outgoing', previous, width, height, clamped, scale, frameDuration);
+        const progress = (clamped - scene.timeOffset) / previous.overlap;
+        const { type, color } = previous.transition;
+        ctx.save();
+        TRANSITION_RENDERERS[type](ctx, outgoing, incoming, progress, { width, height, color });
+        ctx.restore();
+    }
+
+    // Render a scene on its own scratch canvas at a clock time
+    renderScene(name, scene, width, height, time, scale, frameDuration) {
+        const entry = this.canvases.get(name, width, height);
+        entry.ctx.save();
+        entry.ctx.clearRect(0, 0, width, height);
+        scene.animation.renderAtTime(entry.ctx, width, height, scene.getLocalTime(time), scale,
+            frameDuration * scene.animation.speed);
+        entry.ctx.restore();
+        return entry;
+    }
+
+    /**
+     * Free the scratch canvases, e.g. after a large export
+     */
+    releaseCanvases() {
+        this.canvases.release();
+    }
+}
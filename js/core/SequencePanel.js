@@ -0,0 +1,167 @@
+/**
+ * SequencePanel - Scene list and sequence mode switch in the side panel
+ *
+ * A scene is added from the selected layer: a copy of its animation with the
+ * current parameters, keyframes, seed and speed. Clicking a scene name loads a
+ * copy of the scene back into the selected layer for editing, and ⟳ replaces the
+ * scene with the selected layer's current settings. Under each scene but the last
+ * is the transition into the next one.
+ */
+
+import { TRANSITIONS } from './Sequence.js';
+import { showToast } from './Notifications.js';
+
+export class SequencePanel {
+    /**
+     * @param {CanvasManager} canvasManager - Owner of the sequence and the layers
+     * @param {AnimationRegistry} animationRegistry - Creates the scene copies
+     */
+    constructor(canvasManager, animationRegistry) {
+        this.canvasManager = canvasManager;
+        this.sequence = canvasManager.sequence;
+        this.animationRegistry = animationRegistry;
+
+        this.list = document.getElementById('scene-list');
+        this.durationDisplay = document.getElementById('sequence-duration');
+
+        this.setupEventListeners();
+        this.sequence.subscribe(() => this.render());
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('sequence-mode').addEventListener('change', (e) => {
+            this.canvasManager.setSequenceMode(e.target.checked);
+        });
+
+        document.getElementById('scene-add-btn').addEventListener('click', () => {
+            const copy = this.copySelectedLayer();
+            if (copy) {
+                this.sequence.add(copy.animation, { animationId: copy.animationId });
+            }
+        });
+    }
+
+    /**
+     * Copy the animation of the selected layer
+     * @returns {{animation: BaseAnimation, animationId: string}|null} Copy, or null if
+     *     no animation layer is selected
+     */
+    copySelectedLayer() {
+        const layer = this.canvasManager.layers.selected;
+        if (!layer || !this.animationRegistry.has(layer.animationId)) {
+            showToast('Select an animation layer first', { type: 'warning' });
+            return null;
+        }
+        const animation = this.animationRegistry.createCopy(layer.animationId, layer.animation);
+        return { animation, animationId: layer.animationId };
+    }
+
+    // Load a copy of a scene into the selected layer, or a new layer if the selection isn't an animation
+    editScene(scene) {
+        const layers = this.canvasManager.layers;
+        const layer = layers.selected;
+        const animation = this.animationRegistry.createCopy(scene.animationId, scene.animation);
+        if (layer && this.animationRegistry.has(layer.animationId)) {
+            layers.replaceAnimation(layer, animation, scene.animationId);
+        } else {
+            layers.add(animation, { animationId: scene.animationId });
+        }
+    }
+
+    /**
+     * Rebuild the scene list
+     */
+    render() {
+        this.list.innerHTML = '';
+        const scenes = this.sequence.scenes;
+        this.durationDisplay.textContent = scenes.length > 0 ? `${parseFloat(this.sequence.getDuration().toFixed(2))}s total` : '';
+
+        scenes.forEach((scene, index) => {
+            const item = document.createElement('div');
+            item.className = 'scene-item';
+
+            const header = document.createElement('div');
+            header.className = 'scene-row';
+            const name = this.createButton('scene-name', `${index + 1}. ${scene.name}`,
+                'Load into the selected layer for editing', () => this.editScene(scene));
+            const update = this.createButton('scene-update', '⟳', 'Replace with the selected layer\'s settings', () => {
+                const copy = this.copySelectedLayer();
+                if (copy) {
+                    this.sequence.replaceAnimation(scene, copy.animation, copy.animationId);
+                }
+            });
+            const up = this.createButton('scene-move', '▲', 'Move earlier', () => this.sequence.move(scene, -1));
+            up.disabled = index === 0;
+            const down = this.createButton('scene-move', '▼', 'Move later', () => this.sequence.move(scene, 1));
+            down.disabled = index === scenes.length - 1;
+            const remove = this.createButton('scene-remove', '×', 'Remove scene', () => this.sequence.remove(scene));
+            header.append(name, update, up, down, remove);
+
+            const settings = document.createElement('div');
+            settings.className = 'scene-row inline-input-row';
+            const duration = this.createNumberInput(scene.duration, 0.1, 'Scene length in seconds', (value) => {
+                this.sequence.update(scene, 'duration', Math.max(0.1, value));
+            });
+            const label = document.createElement('label');
+            label.textContent = 's';
+            settings.append(duration, label);
+
+            // The transition into the next scene
+            if (index < scenes.length - 1) {
+                settings.append(...this.createTransitionInputs(scene));
+            }
+
+            item.append(header, settings);
+            this.list.appendChild(item);
+        });
+    }
+
+    createTransitionInputs(scene) {
+        const { transition } = scene;
+        const type = document.createElement('select');
+        type.className = 'scene-transition';
+        type.title = 'Transition to the next scene';
+        Object.entries(TRANSITIONS).forEach(([value, label]) => {
+            type.add(new Option(label, value, false, value === transition.type));
+        });
+        type.addEventListener('change', (e) => this.sequence.updateTransition(scene, 'type', e.target.value));
+        if (transition.type === 'cut') return [type];
+
+        // Transitions are shortened to fit the scenes on either side
+        const shortened = scene.overlap < transition.duration;
+        const duration = this.createNumberInput(transition.duration, 0.1,
+            shortened ? `Shortened to ${parseFloat(scene.overlap.toFixed(3))}s to fit the scenes` : 'Transition length in seconds',
+            (value) => this.sequence.updateTransition(scene, 'duration', Math.max(0, value)));
+        duration.classList.toggle('is-shortened', shortened);
+        if (transition.type !== 'dip') return [type, duration];
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'color-picker';
+        color.value = transition.color;
+        color.title = 'Color to dip to';
+        color.addEventListener('change', (e) => this.sequence.updateTransition(scene, 'color', e.target.value));
+        return [type, duration, color];
+    }
+
+    createNumberInput(value, step, title, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = step;
+        input.value = value;
+        input.title = title;
+        input.addEventListener('change', (e) => onChange(parseFloat(e.target.value) || 0));
+        return input;
+    }
+
+    createButton(className, text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * Timeline - Scrubber bar under the canvas
+ *
+ * Shows the current time and frame, lets the playhead be dragged or stepped frame
+ * by frame, and holds in/out points. While playing, the preview loops between the
+ * in and out points, and the export dialog uses them as its default range.
+ */
+
+export class Timeline {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.length = 10;
+        this.frameRate = 30;
+        this.inPoint = null;
+        this.outPoint = null;
+        this.keyframeTimes = [];
+        this.isScrubbing = false;
+        this.resumeAfterScrub = false;
+        // Loop over the whole timeline even without in/out points (sequence mode)
+        this.loopWhole = false;
+
+        // Called when stepping or scrubbing pauses or resumes playback
+        this.onStateChange = null;
+
+        this.track = document.getElementById('timeline-track');
+        this.playhead = document.getElementById('timeline-playhead');
+        this.rangeBar = document.getElementById('timeline-range');
+        this.timeDisplay = document.getElementById('timeline-time');
+        this.frameDisplay = document.getElementById('timeline-frame');
+
+        this.setupEventListeners();
+        this.updateRange();
+    }
+
+    setupEventListeners() {
+        document.getElementById('timeline-prev-frame').addEventListener('click', () => this.stepFrames(-1));
+        document.getElementById('timeline-next-frame').addEventListener('click', () => this.stepFrames(1));
+        document.getElementById('timeline-set-in').addEventListener('click', () => this.setInPoint());
+        document.getElementById('timeline-set-out').addEventListener('click', () => this.setOutPoint());
+        document.getElementById('timeline-clear-range').addEventListener('click', () => this.clearRange());
+
+        document.getElementById('timeline-length').addEventListener('change', (e) => {
+            this.setLength(parseFloat(e.target.value) || 10);
+        });
+
+        document.getElementById('timeline-fps').addEventListener('change', (e) => {
+            this.frameRate = parseFloat(e.target.value);
+        });
+
+        // Dragging the playhead pauses playback until the pointer is released
+        this.track.addEventListener('pointerdown', (e) => {
+            const clock = this.canvasManager.clock;
+            this.isScrubbing = true;
+            this.resumeAfterScrub = clock.isPlaying;
+            clock.pause();
+            this.track.setPointerCapture(e.pointerId);
+            this.seek(this.timeAtPointer(e));
+            this.notifyStateChange();
+        });
+
+        this.track.addEventListener('pointermove', (e) => {
+            if (this.isScrubbing) {
+                this.seek(this.timeAtPointer(e));
+            }
+        });
+
+        const endScrub = () => {
+            if (!this.isScrubbing) return;
+            this.isScrubbing = false;
+            if (this.resumeAfterScrub) {
+                this.canvasManager.clock.play();
+                this.notifyStateChange();
+            }
+        };
+        this.track.addEventListener('pointerup', endScrub);
+        this.track.addEventListener('pointercancel', endScrub);
+
+        // Arrow keys step frames, I and O set the in and out points
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest('input, select, textarea, [contenteditable]')) return;
+            if (document.querySelector('.modal-overlay[style*="flex"]')) return;
+
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                const frames = e.shiftKey ? 10 : 1;
+                this.stepFrames(e.key === 'ArrowLeft' ? -frames : frames);
+            } else if (e.key === 'i' || e.key === 'I') {
+                this.setInPoint();
+            } else if (e.key === 'o' || e.key === 'O') {
+                this.setOutPoint();
+            }
+        });
+    }
+
+    /**
+     * Set the length of the timeline, keeping in/out points inside it
+     * @param {number} length - Length in seconds, at least 1
+     */
+    setLength(length) {
+        this.length = Math.max(1, length);
+        document.getElementById('timeline-length').value = parseFloat(this.length.toFixed(3));
+        if (this.inPoint !== null) this.inPoint = Math.min(this.inPoint, this.length);
+        if (this.outPoint !== null) this.outPoint = Math.min(this.outPoint, this.length);
+        this.updateRange();
+        this.renderKeyframeMarkers();
+    }
+
+    /**
+     * Called once per preview frame before rendering: loops playback between the
+     * in and out points and moves the playhead
+     */
+    update() {
+        const clock = this.canvasManager.clock;
+        let time = clock.getCurrentTime();
+        if (clock.isPlaying && !this.isScrubbing && (this.hasRange() || this.loopWhole)) {
+            const { start, end } = this.getLoopRange();
+            if (time >= end || time < start) {
+                time = start + Math.max(0, time - end) % Math.max(end - start, 1e-3);
+                clock.seek(time);
+            }
+        }
+
+        const position = Math.min(1, time / this.length);
+        this.playhead.style.left = `${position * 100}%`;
+        this.timeDisplay.textContent = formatTime(time);
+        this.frameDisplay.textContent = `Frame ${Math.floor(time * this.frameRate + 1e-6)}`;
+    }
+
+    seek(time) {
+        this.canvasManager.clock.seek(Math.min(this.length, Math.max(0, time)));
+    }
+
+    /**
+     * Move by whole frames, pausing playback first
+     * @param {number} frames - Frames to move; negative steps back
+     */
+    stepFrames(frames) {
+        const clock = this.canvasManager.clock;
+        if (clock.isPlaying) {
+            clock.pause();
+            this.notifyStateChange();
+        }
+
+        // Snap to the frame grid so repeated steps never drift
+        const frame = Math.round(clock.getCurrentTime() * this.frameRate) + frames;
+        this.seek(Math.max(0, frame) / this.frameRate);
+    }
+
+    setInPoint() {
+        this.inPoint = Math.min(this.canvasManager.clock.getCurrentTime(), this.length);
+        if (this.outPoint !== null && this.outPoint <= this.inPoint) {
+            this.outPoint = null;
+        }
+        this.updateRange();
+    }
+
+    setOutPoint() {
+        this.outPoint = Math.min(this.canvasManager.clock.getCurrentTime(), this.length);
+        if (this.inPoint !== null && this.inPoint >= this.outPoint) {
+            this.inPoint = null;
+        }
+        this.updateRange();
+    }
+
+    clearRange() {
+        this.inPoint = null;
+        this.outPoint = null;
+        this.updateRange();
+    }
+
+    hasRange() {
+        return this.inPoint !== null || this.outPoint !== null;
+    }
+
+    // Playback range; an unset point falls back to the start or end of the timeline
+    getLoopRange() {
+        return {
+            start: this.inPoint !== null ? this.inPoint : 0,
+            end: this.outPoint !== null ? this.outPoint : this.length
+        };
+    }
+
+    /**
+     * Export range from the in/out points
+     * @returns {{startTime: number, duration: number}|null} Range, or null when no points are set
+     */
+    getExportRange() {
+        if (!this.hasRange()) return null;
+        const { start, end } = this.getLoopRange();
+        return { startTime: start, duration: end - start };
+    }
+
+    updateRange() {
+        const { start, end } = this.getLoopRange();
+        this.rangeBar.style.display = this.hasRange() ? '' : 'none';
+        this.rangeBar.style.left = `${start / this.length * 100}%`;
+        this.rangeBar.style.width = `${(end - start) / this.length * 100}%`;
+        document.getElementById('timeline-clear-range').disabled = !this.hasRange();
+    }
+
+    /**
+     * Mark keyframe times on the track
+     * @param {Array<number>} times - Keyframe times in seconds
+     */
+    setKeyframeMarkers(times) {
+        this.keyframeTimes = [...new Set(times)];
+        this.renderKeyframeMarkers();
+    }
+
+    renderKeyframeMarkers() {
+        this.track.querySelectorAll('.timeline-keyframe').forEach(marker => marker.remove());
+        this.keyframeTimes.filter(time => time <= this.length).forEach(time => {
+            const marker = document.createElement('div');
+            marker.className = 'timeline-keyframe';
+            marker.style.left = `${time / this.length * 100}%`;
+            this.track.insertBefore(marker, this.playhead);
+        });
+    }
+
+    timeAtPointer(e) {
+        const rect = this.track.getBoundingClientRect();
+        const position = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        return position * this.length;
+    }
+
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+}
+
+// Seconds as m:ss.ss
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+}
@@ -0,0 +1,107 @@
+/**
+ * UndoHistory - Undo and redo of changes made in the side panel
+ *
+ * Each change is an entry with a label and functions that undo and redo it.
+ * Entries with the same merge key that follow each other within a second become
+ * one, so dragging a slider or typing a canvas size is a single step. Making a
+ * change after undoing drops the entries that were undone.
+ */
+
+const MAX_ENTRIES = 100;
+const MERGE_WINDOW = 1000;
+
+export class UndoHistory {
+    constructor() {
+        this.entries = [];
+        this.position = 0; // Number of entries that are applied
+        this.applying = false;
+        this.listeners = [];
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Record a change that was just made
+     * Changes made while undoing or redoing aren't recorded
+     *
+     * @param {Object} entry
+     * @param {string} entry.label - Shown in the history list
+     * @param {function()} entry.undo - Restores the state before the change
+     * @param {function()} entry.redo - Restores the state after the change
+     * @param {string} [entry.mergeKey] - Changes with the same key in quick succession are one step
+     */
+    push({ label, undo, redo, mergeKey = null }) {
+        if (this.applying) return;
+
+        const now = Date.now();
+        const last = this.entries[this.entries.length - 1];
+        if (mergeKey && last && this.position === this.entries.length &&
+            last.mergeKey === mergeKey && now - last.time < MERGE_WINDOW) {
+            last.redo = redo;
+            last.time = now;
+        } else {
+            this.entries.length = this.position;
+            this.entries.push({ label, undo, redo, mergeKey, time: now });
+            if (this.entries.length > MAX_ENTRIES) {
+                this.entries.shift();
+            }
+            this.position = this.entries.length;
+        }
+        this.notify();
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length;
+    }
+
+    undo() {
+        this.jumpTo(this.position - 1);
+    }
+
+    redo() {
+        this.jumpTo(this.position + 1);
+    }
+
+    /**
+     * Undo or redo until a number of entries is applied
+     * @param {number} position - 0 undoes everything
+     */
+    jumpTo(position) {
+        const target = Math.max(0, Math.min(this.entries.length, position));
+        if (target === this.position) return;
+
+        this.applying = true;
+        try {
+            while (this.position > target) {
+                this.position--;
+                this.entries[this.position].undo();
+            }
+            while (this.position < target) {
+                this.entries[this.position].redo();
+                this.position++;
+            }
+        } finally {
+            this.applying = false;
+        }
+        this.notify();
+    }
+
+    /**
+     * Forget every entry, e.g. when the workspace is replaced
+     */
+    clear() {
+        this.entries = [];
+        this.position = 0;
+        this.notify();
+    }
+}
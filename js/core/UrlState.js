@@ -0,0 +1,203 @@
+/**
+ * UrlState - The look of the selected layer kept in the URL hash
+ *
+ * The hash holds the selected layer's animation, seed and parameter values (speed
+ * included), and the canvas size and background, e.g.
+ * #animation=sample&seed=7&size=1080x1080&background=000000&p.size=120
+ * so copying the address shares the look. It is rewritten with replaceState as
+ * controls change, at most twice a second and without adding history entries.
+ *
+ * Keyframes, other layers, scenes and image values aren't part of it; a project
+ * file keeps those.
+ */
+
+import { MIN_CANVAS_SIZE, MAX_CANVAS_SIZE } from './CanvasManager.js';
+import { MAX_SEED } from '../animations/SeededRandom.js';
+import { serializeValue } from '../animations/ParameterSchema.js';
+import { showToast } from './Notifications.js';
+
+const UPDATE_INTERVAL = 500;
+const PARAMETER_PREFIX = 'p.';
+// Values of these parameter types are written as JSON, the others as plain text
+const JSON_TYPES = ['point', 'gradient', 'palette', 'curve'];
+// Images and files don't fit in a URL
+const SKIPPED_TYPES = ['image', 'file'];
+
+export class UrlState {
+    /**
+     * @param {CanvasManager} canvasManager - Owner of the canvas and layers
+     * @param {AnimationRegistry} animationRegistry - Animations a link can name
+     * @param {AnimationControlUI} animationControlUI - Loads and shows animations
+     * @param {string} defaultAnimationId - Animation shown when a link names an unknown one
+     */
+    constructor(canvasManager, animationRegistry, animationControlUI, defaultAnimationId) {
+        this.canvasManager = canvasManager;
+        this.animationRegistry = animationRegistry;
+        this.animationControlUI = animationControlUI;
+        this.defaultAnimationId = defaultAnimationId;
+        this.lastHash = null;
+        this.updateTimer = null;
+    }
+
+    /**
+     * Show the look in the URL, if it differs from what is shown
+     * It goes into the selected layer, like picking an animation in the side panel
+     * @returns {boolean} True if the URL has a look, which is now shown
+     */
+    restore() {
+        const hash = window.location.hash.slice(1);
+        const params = new URLSearchParams(hash);
+        if (!params.has('animation')) return false;
+
+        // After a reload the hash is this session's own; reloading it would drop keyframes
+        if (hash !== this.serialize()) {
+            this.apply(params);
+        }
+        return true;
+    }
+
+    /**
+     * Keep the hash up to date from now on, and show looks pasted into the address bar
+     */
+    startUpdating() {
+        const schedule = () => this.scheduleUpdate();
+        const sidePanel = document.querySelector('.side-panel');
+        ['input', 'change', 'click'].forEach(type => sidePanel.addEventListener(type, schedule));
+        // Point handles are dragged over the canvas
+        document.getElementById('canvas-wrapper').addEventListener('pointerup', schedule);
+        this.canvasManager.layers.subscribe(schedule);
+        this.canvasManager.history.subscribe(schedule);
+
+        window.addEventListener('hashchange', () => this.restore());
+        this.update();
+    }
+
+    scheduleUpdate() {
+        if (this.updateTimer) return;
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.update();
+        }, UPDATE_INTERVAL);
+    }
+
+    update() {
+        const hash = this.serialize();
+        if (hash === this.lastHash) return;
+
+        this.lastHash = hash;
+        const { pathname, search } = window.location;
+        history.replaceState(history.state, '', hash ? `${pathname}${search}#${hash}` : `${pathname}${search}`);
+    }
+
+    /**
+     * Describe the selected layer's look
+     * @returns {string} Hash without the '#', or '' when no animation is selected
+     */
+    serialize() {
+        const manager = this.canvasManager;
+        const layer = manager.layers.selected;
+        if (!layer || !this.animationRegistry.has(layer.animationId)) return '';
+
+        const { speed, seed, parameters } = layer.animation.getSerializableState();
+        const params = new URLSearchParams();
+        params.set('animation', layer.animationId);
+        params.set('seed', seed);
+        params.set('size', `${manager.width}x${manager.height}`);
+        params.set('background', manager.backgroundColor.slice(1));
+        if (manager.isTransparent) {
+            params.set('transparent', '1');
+        }
+
+        Object.entries(layer.animation.constructor.getParameterSchema()).forEach(([key, definition]) => {
+            if (SKIPPED_TYPES.includes(definition.type)) return;
+            const value = key === 'speed' ? speed : parameters[key];
+            if (value === undefined || value === null) return;
+            params.set(PARAMETER_PREFIX + key, JSON_TYPES.includes(definition.type) ?
+                JSON.stringify(serializeValue(definition, value)) :
+                String(value));
+        });
+        return params.toString();
+    }
+
+    /**
+     * Load the look of a link; values that can't be used are ignored
+     * @param {URLSearchParams} params - Parsed hash
+     */
+    apply(params) {
+        const manager = this.canvasManager;
+        const rejected = [];
+        const warnings = [];
+
+        const animationId = params.get('animation');
+        const known = this.animationRegistry.has(animationId);
+        if (!known) {
+            warnings.push(`The link's animation "${animationId}" doesn't exist; showing the default one`);
+        }
+        this.animationControlUI.loadAnimation(known ? animationId : this.defaultAnimationId);
+        const layer = manager.layers.selected;
+        const animation = layer.animation;
+
+        if (params.has('seed')) {
+            const seed = Number(params.get('seed'));
+            if (Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED) {
+                animation.setSeed(seed);
+            } else {
+                rejected.push('seed');
+            }
+        }
+
+        // Parameters only mean something to the animation they were written for
+        if (known) {
+            params.forEach((text, name) => {
+                if (!name.startsWith(PARAMETER_PREFIX)) return;
+                const key = name.slice(PARAMETER_PREFIX.length);
+                const definition = animation.getParameterDefinition(key);
+                if (!definition || SKIPPED_TYPES.includes(definition.type) ||
+                    !animation.setParameter(key, parseValue(definition, text))) {
+                    rejected.push(key);
+                }
+            });
+        }
+
+        if (params.has('size')) {
+            const match = params.get('size').match(/^(\d+)x(\d+)$/);
+            const [width, height] = match ? [Number(match[1]), Number(match[2])] : [];
+            const inRange = size => size >= MIN_CANVAS_SIZE && size <= MAX_CANVAS_SIZE;
+            if (match && inRange(width) && inRange(height)) {
+                manager.setCanvasSize(width, height);
+            } else {
+                rejected.push('size');
+            }
+        }
+
+        let color = manager.backgroundColor;
+        if (params.has('background')) {
+            const background = params.get('background');
+            if (/^[0-9a-f]{6}$/i.test(background)) {
+                color = `#${background.toLowerCase()}`;
+            } else {
+                rejected.push('background');
+            }
+        }
+        manager.setBackground(color, params.get('transparent') === '1');
+
+        this.animationControlUI.showLayer(layer, { force: true });
+
+        if (rejected.length > 0) {
+            warnings.push(`Invalid values in the link were ignored: ${rejected.join(', ')}`);
+        }
+        if (warnings.length > 0) {
+            showToast(warnings.join('\n'), { type: 'warning' });
+        }
+    }
+}
+
+// Value for setParameter(), which coerces it; JSON that doesn't parse is rejected there
+function parseValue(definition, text) {
+    if (!JSON_TYPES.includes(definition.type)) return text;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
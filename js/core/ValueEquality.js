@@ -0,0 +1,25 @@
+/**
+ * ValueEquality - Compares captured states to tell whether a change changed anything
+ *
+ * Plain objects and arrays are compared by content, whatever the key order;
+ * anything else, such as images and files, has to be the same value. NaN equals NaN.
+ */
+
+/**
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if both hold the same content
+ */
+export function isSameValue(a, b) {
+    if (Object.is(a, b) || a === b) return true;
+    if (Array.isArray(a) !== Array.isArray(b) || !isContainer(a) || !isContainer(b)) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isSameValue(a[key], b[key]));
+}
+
+function isContainer(value) {
+    return Array.isArray(value) ||
+        (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+}
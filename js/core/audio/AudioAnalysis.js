@@ -0,0 +1,326 @@
+/**
+ * AudioAnalysis - Audio features for audio-reactive animations
+ *
+ * The whole decoded track is analyzed once, in overlapping windows centred on
+ * evenly spaced times: overall level, energy in log-spaced frequency bands, and
+ * onsets found by spectral flux (beats are onsets in the bass range). Features for
+ * any time are looked up from these tables, so the preview and every export frame
+ * see the same values whatever the frame rate or the order frames are rendered in.
+ */
+
+export const BAND_COUNT = 8;
+
+const WINDOW_SIZE = 2048;
+const HOP_SIZE = 1024;
+const MIN_FREQUENCY = 40;
+const MAX_FREQUENCY = 16000;
+const BASS_CUTOFF = 150;
+const DYNAMIC_RANGE = 60; // dB below the loudest moment that still shows as more than 0
+const THRESHOLD_WINDOW = 0.15; // Seconds either side used for the adaptive onset threshold
+const ONSET_SENSITIVITY = 1.5;
+const MIN_ONSET_INTERVAL = 0.08;
+const MIN_BEAT_INTERVAL = 0.25;
+const WINDOWS_PER_YIELD = 250;
+
+export class AudioAnalysis {
+    /**
+     * @param {Object} data
+     * @param {number} data.rate - Analysis windows per second
+     * @param {number} data.duration - Track length in seconds
+     * @param {Float32Array} data.levels - Level of each window, 0-1
+     * @param {Float32Array} data.bands - BAND_COUNT values per window, 0-1
+     * @param {Array<number>} data.onsets - Onset times in seconds, ascending
+     * @param {Array<number>} data.beats - Beat times in seconds, ascending
+     */
+    constructor({ rate, duration, levels, bands, onsets, beats }) {
+        this.rate = rate;
+        this.duration = duration;
+        this.levels = levels;
+        this.bands = bands;
+        this.onsets = onsets;
+        this.beats = beats;
+    }
+
+    /**
+     * Audio features at a point in the track
+     * @param {number} time - Track time in seconds
+     * @param {number} [frameDuration=0] - Length of the frame ending at this time;
+     *     beat and onset flags are set when one falls inside it
+     * @returns {Object} Features, see silentFeatures()
+     */
+    getFeatures(time, frameDuration = 0) {
+        if (!(time >= 0 && time <= this.duration)) {
+            return silentFeatures();
+        }
+
+        // Blend the two windows either side of the time
+        const position = Math.min(time * this.rate, this.levels.length - 1);
+        const index = Math.min(Math.floor(position), this.levels.length - 2);
+        const fraction = position - index;
+        const blend = (values, stride, offset) =>
+            values[index * stride + offset] * (1 - fraction) + values[(index + 1) * stride + offset] * fraction;
+
+        const level = blend(this.levels, 1, 0);
+        const bands = Array.from({ length: BAND_COUNT }, (_, band) => blend(this.bands, BAND_COUNT, band));
+
+        const lastBeat = latestBefore(this.beats, time);
+        const lastOnset = latestBefore(this.onsets, time);
+
+        return {
+            level,
+            bands,
+            bass: average(bands, 0, 2),
+            mid: average(bands, 2, 6),
+            treble: average(bands, 6, BAND_COUNT),
+            beat: lastBeat !== null && time - lastBeat < frameDuration,
+            onset: lastOnset !== null && time - lastOnset < frameDuration,
+            sinceBeat: lastBeat !== null ? time - lastBeat : Infinity,
+            sinceOnset: lastOnset !== null ? time - lastOnset : Infinity
+        };
+    }
+}
+
+/**
+ * Features when there is no audio, or outside the track
+ * @returns {Object} level (0-1), bands (BAND_COUNT values 0-1, low to high), bass,
+ *     mid and treble (0-1), beat and onset flags, and seconds since the last beat
+ *     and onset (Infinity if there was none)
+ */
+export function silentFeatures() {
+    return {
+        level: 0,
+        bands: new Array(BAND_COUNT).fill(0),
+        bass: 0,
+        mid: 0,
+        treble: 0,
+        beat: false,
+        onset: false,
+        sinceBeat: Infinity,
+        sinceOnset: Infinity
+    };
+}
+
+/**
+ * Analyze a decoded track, yielding to the browser now and then
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the fraction done
+ * @returns {Promise<AudioAnalysis>} Analysis of the whole track
+ */
+export async function analyzeAudio(buffer, { onProgress } = {}) {
+    const samples = mixToMono(buffer);
+    const { sampleRate } = buffer;
+    const windowCount = Math.max(2, Math.ceil(samples.length / HOP_SIZE) + 1);
+    const binCount = WINDOW_SIZE / 2;
+    const bandEdges = createBandEdges(sampleRate);
+    const bassBins = Math.max(2, Math.round(BASS_CUTOFF * WINDOW_SIZE / sampleRate));
+    const hann = Float32Array.from({ length: WINDOW_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (WINDOW_SIZE - 1)));
+
+    const real = new Float32Array(WINDOW_SIZE);
+    const imag = new Float32Array(WINDOW_SIZE);
+    let magnitudes = new Float32Array(binCount);
+    let previous = new Float32Array(binCount);
+
+    const levels = new Float32Array(windowCount);
+    const bands = new Float32Array(windowCount * BAND_COUNT);
+    const bandFlux = new Float32Array(windowCount * BAND_COUNT);
+    const bassFlux = new Float32Array(windowCount);
+
+    for (let w = 0; w < windowCount; w++) {
+        // Window w is centred on time w * HOP_SIZE / sampleRate
+        const start = w * HOP_SIZE - WINDOW_SIZE / 2;
+        let sumSquares = 0;
+        for (let i = 0; i < WINDOW_SIZE; i++) {
+            const index = start + i;
+            const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+            sumSquares += sample * sample;
+            real[i] = sample * hann[i];
+            imag[i] = 0;
+        }
+        levels[w] = Math.sqrt(sumSquares / WINDOW_SIZE);
+
+        fft(real, imag);
+        for (let bin = 0; bin < binCount; bin++) {
+            magnitudes[bin] = Math.hypot(real[bin], imag[bin]);
+            if (bin < bassBins) {
+                bassFlux[w] += Math.max(0, magnitudes[bin] - previous[bin]);
+            }
+        }
+
+        for (let band = 0; band < BAND_COUNT; band++) {
+            const from = bandEdges[band];
+            const to = bandEdges[band + 1];
+            let sum = 0;
+            let rise = 0;
+            for (let bin = from; bin < to; bin++) {
+                sum += magnitudes[bin];
+                rise += Math.max(0, magnitudes[bin] - previous[bin]);
+            }
+            bands[w * BAND_COUNT + band] = sum / (to - from);
+            // Spectral flux: how much louder the band got since the last window
+            bandFlux[w * BAND_COUNT + band] = rise;
+        }
+
+        [magnitudes, previous] = [previous, magnitudes];
+
+        if (w % WINDOWS_PER_YIELD === WINDOWS_PER_YIELD - 1) {
+            if (onProgress) onProgress(w / windowCount);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    // Map to 0-1 on a decibel scale relative to the loudest window
+    toDecibelScale(levels, 0, 1);
+    for (let band = 0; band < BAND_COUNT; band++) {
+        toDecibelScale(bands, band, BAND_COUNT);
+    }
+
+    // Every band counts the same towards onsets, so hi-hats aren't drowned out by the bass
+    const flux = new Float32Array(windowCount);
+    for (let band = 0; band < BAND_COUNT; band++) {
+        let peak = 0;
+        for (let w = 0; w < windowCount; w++) {
+            peak = Math.max(peak, bandFlux[w * BAND_COUNT + band]);
+        }
+        for (let w = 0; peak > 0 && w < windowCount; w++) {
+            flux[w] += bandFlux[w * BAND_COUNT + band] / peak;
+        }
+    }
+
+    const rate = sampleRate / HOP_SIZE;
+    return new AudioAnalysis({
+        rate,
+        duration: buffer.duration,
+        levels,
+        bands,
+        onsets: pickPeaks(flux, rate, MIN_ONSET_INTERVAL),
+        beats: pickPeaks(bassFlux, rate, MIN_BEAT_INTERVAL)
+    });
+}
+
+// Average all channels into one
+function mixToMono(buffer) {
+    if (buffer.numberOfChannels === 1) {
+        return buffer.getChannelData(0);
+    }
+    const output = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            output[i] += data[i] / buffer.numberOfChannels;
+        }
+    }
+    return output;
+}
+
+// FFT bin boundaries of log-spaced bands between MIN_FREQUENCY and MAX_FREQUENCY
+function createBandEdges(sampleRate) {
+    const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2);
+    const edges = [];
+    let lastBin = 0;
+    for (let band = 0; band <= BAND_COUNT; band++) {
+        const frequency = MIN_FREQUENCY * Math.pow(maxFrequency / MIN_FREQUENCY, band / BAND_COUNT);
+        // Every band covers at least one bin
+        const bin = Math.min(WINDOW_SIZE / 2, Math.max(lastBin + 1, Math.round(frequency * WINDOW_SIZE / sampleRate)));
+        edges.push(bin);
+        lastBin = bin;
+    }
+    return edges;
+}
+
+function toDecibelScale(values, offset, stride) {
+    let peak = 0;
+    for (let i = offset; i < values.length; i += stride) {
+        peak = Math.max(peak, values[i]);
+    }
+    for (let i = offset; i < values.length; i += stride) {
+        const decibels = peak > 0 && values[i] > 0 ? 20 * Math.log10(values[i] / peak) : -Infinity;
+        values[i] = Math.max(0, 1 + decibels / DYNAMIC_RANGE);
+    }
+}
+
+// Times of local maxima that stand out from their neighbourhood
+function pickPeaks(values, rate, minInterval) {
+    const radius = Math.max(1, Math.round(THRESHOLD_WINDOW * rate));
+    const floor = values.reduce((max, value) => Math.max(max, value), 0) * 0.05;
+    const peaks = [];
+
+    for (let i = 1; i < values.length - 1; i++) {
+        const value = values[i];
+        if (value <= floor || value < values[i - 1] || value <= values[i + 1]) continue;
+
+        let sum = 0;
+        const from = Math.max(0, i - radius);
+        const to = Math.min(values.length - 1, i + radius);
+        for (let j = from; j <= to; j++) {
+            sum += values[j];
+        }
+        if (value < ONSET_SENSITIVITY * sum / (to - from + 1)) continue;
+
+        const time = i / rate;
+        if (peaks.length === 0 || time - peaks[peaks.length - 1] >= minInterval) {
+            peaks.push(time);
+        }
+    }
+    return peaks;
+}
+
+// Latest time in an ascending list that is at or before the given time
+function latestBefore(times, time) {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (times[middle] <= time) low = middle + 1;
+        else high = middle;
+    }
+    return low > 0 ? times[low - 1] : null;
+}
+
+function average(values, from, to) {
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+        sum += values[i];
+    }
+    return sum / (to - from);
+}
+
+// In-place iterative radix-2 FFT; the length must be a power of two
+function fft(real, imag) {
+    const n = real.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let twiddleReal = 1;
+            let twiddleImag = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const even = start + k;
+                const odd = even + size / 2;
+                const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+                const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+                real[odd] = real[even] - oddReal;
+                imag[odd] = imag[even] - oddImag;
+                real[even] += oddReal;
+                imag[even] += oddImag;
+                const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+                twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+                twiddleReal = nextReal;
+            }
+        }
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * AudioTrack - Uploaded audio file that plays along with the animation
+ *
+ * The file is decoded once and analyzed for audio-reactive animations, and plays
+ * through an audio element that follows the playback clock: it starts, pauses and
+ * seeks with the preview. The track starts at `offset` seconds of clock time
+ * (negative offsets skip into the file). Video exports mix the
+ * part under the export range with renderRange().
+ */
+
+import { analyzeAudio } from './AudioAnalysis.js';
+
+const DECODE_SAMPLE_RATE = 44100;
+const RESYNC_THRESHOLD = 0.15; // Seconds of drift before the audio jumps back to the clock
+
+export class AudioTrack {
+    /**
+     * Decode and analyze an audio file
+     * @param {File} file - Audio file
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with the fraction analyzed
+     * @returns {Promise<AudioTrack>} Track ready to play
+     */
+    static async fromFile(file, { onProgress } = {}) {
+        const data = await file.arrayBuffer();
+        // An offline context decodes without needing a user gesture to start audio
+        const context = new OfflineAudioContext(2, 1, DECODE_SAMPLE_RATE);
+        const buffer = await context.decodeAudioData(data);
+        const analysis = await analyzeAudio(buffer, { onProgress });
+        return new AudioTrack(file, buffer, analysis);
+    }
+
+    /**
+     * @param {File} file - Audio file
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {AudioAnalysis} analysis - Features of the whole track
+     */
+    constructor(file, buffer, analysis) {
+        this.file = file;
+        this.name = file.name;
+        this.buffer = buffer;
+        this.analysis = analysis;
+        this.duration = buffer.duration;
+        this.offset = 0;
+
+        this.url = URL.createObjectURL(file);
+        this.element = new Audio(this.url);
+        this.element.preload = 'auto';
+        this.startRequested = false;
+    }
+
+    /**
+     * Audio features at a clock time
+     * @param {number} time - Time in seconds
+     * @param {number} frameDuration - Length of the frame ending at this time
+     * @returns {Object} Features, see silentFeatures() in AudioAnalysis.js
+     */
+    getFeatures(time, frameDuration) {
+        return this.analysis.getFeatures(time - this.offset, frameDuration);
+    }
+
+    /**
+     * Mix the audio under a range of clock time, for muxing into a video
+     * @param {number} startTime - Clock time of the first sample
+     * @param {number} duration - Length in seconds
+     * @param {Object} options
+     * @param {number} options.sampleRate - Output sample rate
+     * @param {number} options.numberOfChannels - Output channels
+     * @param {number} [options.fadeIn=0] - Fade-in length in seconds from the start of the range
+     * @param {number} [options.fadeOut=0] - Fade-out length in seconds up to the end of the range
+     * @returns {Promise<AudioBuffer>} Trimmed and faded audio, silent where the track doesn't play
+     */
+    async renderRange(startTime, duration, { sampleRate, numberOfChannels, fadeIn = 0, fadeOut = 0 }) {
+        const length = Math.max(1, Math.round(duration * sampleRate));
+        const context = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+
+        const gain = context.createGain();
+        gain.connect(context.destination);
+        if (fadeIn > 0) {
+            gain.gain.setValueAtTime(0, 0);
+            gain.gain.linearRampToValueAtTime(1, Math.min(fadeIn, duration));
+        }
+        // When the fades overlap, the fade-out starts where the fade-in ends
+        const fadeOutStart = Math.max(Math.min(fadeIn, duration), duration - fadeOut);
+        if (fadeOut > 0 && fadeOutStart < duration) {
+            gain.gain.setValueAtTime(1, fadeOutStart);
+            gain.gain.linearRampToValueAtTime(0, duration);
+        }
+
+        // The track starts offset seconds into the clock, or later into the range
+        const trackStart = startTime - this.offset;
+        const source = context.createBufferSource();
+        source.buffer = this.buffer;
+        source.connect(gain);
+        if (trackStart < this.duration) {
+            source.start(Math.max(0, -trackStart), Math.max(0, trackStart));
+        }
+
+        return context.startRendering();
+    }
+
+    /**
+     * Called once per preview frame: matches playback to the clock
+     * @param {PlaybackClock} clock - Preview clock
+     */
+    sync(clock) {
+        const element = this.element;
+        const time = clock.getCurrentTime() - this.offset;
+
+        if (!clock.isPlaying || time < 0 || time >= this.duration) {
+            if (!element.paused) element.pause();
+            return;
+        }
+
+        if (!element.seeking && !this.startRequested && (element.paused || Math.abs(element.currentTime - time) > RESYNC_THRESHOLD)) {
+            element.currentTime = time;
+        }
+
+        if (element.paused && !this.startRequested) {
+            this.startRequested = true;
+            // Browsers may refuse to play before the user has interacted with the page;
+            // the next frame simply tries again
+            element.play()
+                .catch(() => {})
+                .finally(() => { this.startRequested = false; });
+        }
+    }
+
+    /**
+     * Stop playback and release the file
+     */
+    destroy() {
+        this.element.pause();
+        this.element.removeAttribute('src');
+        URL.revokeObjectURL(this.url);
+    }
+}
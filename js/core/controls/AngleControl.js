@@ -0,0 +1,90 @@
+/**
+ * AngleControl - Dial and number field for an angle in degrees
+ *
+ * 0° points right and angles grow clockwise, like ctx.rotate() on the canvas.
+ * Dragging the dial with Shift held snaps to 15° steps.
+ */
+
+const SNAP_DEGREES = 15;
+
+/**
+ * @param {HTMLElement} container - Row with the control's label
+ * @param {Object} control - Angle control definition
+ * @param {function(number)} change - Applies a new angle in degrees
+ * @returns {{element: HTMLElement, showValue: function(number)}}
+ */
+export function createAngleControl(container, control, change) {
+    let dragging = false;
+
+    const dial = document.createElement('div');
+    dial.className = 'angle-dial';
+    dial.title = 'Drag to turn; hold Shift to snap';
+    const needle = document.createElement('div');
+    needle.className = 'angle-needle';
+    dial.appendChild(needle);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'number-control';
+    input.step = control.step || 1;
+
+    const unit = document.createElement('span');
+    unit.textContent = '°';
+
+    container.append(dial, input, unit);
+
+    const show = (degrees) => {
+        input.value = parseFloat(degrees.toFixed(2));
+        needle.style.transform = `rotate(${degrees}deg)`;
+    };
+    const setAngle = (degrees) => {
+        const angle = normalize(degrees);
+        show(angle);
+        change(angle);
+    };
+
+    const turnTo = (e) => {
+        const rect = dial.getBoundingClientRect();
+        let degrees = Math.atan2(
+            e.clientY - (rect.top + rect.height / 2),
+            e.clientX - (rect.left + rect.width / 2)) * 180 / Math.PI;
+        if (e.shiftKey) {
+            degrees = Math.round(degrees / SNAP_DEGREES) * SNAP_DEGREES;
+        }
+        setAngle(degrees);
+    };
+    dial.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        dragging = true;
+        dial.setPointerCapture(e.pointerId);
+        turnTo(e);
+    });
+    dial.addEventListener('pointermove', (e) => {
+        if (dragging) turnTo(e);
+    });
+    dial.addEventListener('pointerup', () => { dragging = false; });
+    dial.addEventListener('pointercancel', () => { dragging = false; });
+
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!isNaN(value)) {
+            setAngle(value);
+        } else {
+            show(normalize(control.value || 0));
+        }
+    });
+
+    show(normalize(control.value || 0));
+    return {
+        element: container,
+        showValue: (value) => {
+            if (dragging || document.activeElement === input) return;
+            show(normalize(value));
+        }
+    };
+}
+
+// Same direction within 0-360°
+function normalize(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
@@ -0,0 +1,155 @@
+/**
+ * CurveControl - Editor for a curve through draggable points
+ *
+ * The value is [{ x, y }] sorted by x, with x and y in 0-1; the first point stays
+ * at x = 0 and the last at x = 1. Click to add a point, drag to move it and
+ * double-click to remove it. Animations read the curve with evaluateCurve().
+ */
+
+import { evaluateCurve } from '../../animations/ParameterValues.js';
+
+const WIDTH = 480;
+const HEIGHT = 200;
+const PADDING = 12;
+const HIT_RADIUS = 16;
+const DEFAULT_POINTS = [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+
+/**
+ * @param {HTMLElement} container - Row with the control's label
+ * @param {Object} control - Curve control definition
+ * @param {function(Array<Object>)} change - Applies new points
+ * @returns {{element: HTMLElement, showValue: function(Array<Object>)}}
+ */
+export function createCurveControl(container, control, change) {
+    let points = copyPoints(control.value);
+    let dragIndex = null;
+
+    container.classList.add('stacked-control');
+    const canvas = document.createElement('canvas');
+    canvas.className = 'control-editor curve-editor';
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    canvas.title = 'Click to add a point, drag to move, double-click to remove';
+    container.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    // Canvas pixels of a curve position and back; the canvas is scaled by CSS
+    const toCanvas = ({ x, y }) => ({
+        x: PADDING + x * (WIDTH - PADDING * 2),
+        y: HEIGHT - PADDING - y * (HEIGHT - PADDING * 2)
+    });
+    const fromEvent = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const px = (e.clientX - rect.left) * WIDTH / rect.width;
+        const py = (e.clientY - rect.top) * HEIGHT / rect.height;
+        return {
+            x: clamp((px - PADDING) / (WIDTH - PADDING * 2)),
+            y: clamp((HEIGHT - PADDING - py) / (HEIGHT - PADDING * 2)),
+            px,
+            py
+        };
+    };
+    const findPoint = ({ px, py }) => points.findIndex(point => {
+        const position = toCanvas(point);
+        return Math.hypot(position.x - px, position.y - py) <= HIT_RADIUS;
+    });
+    const commit = () => {
+        draw();
+        change(copyPoints(points));
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        const position = fromEvent(e);
+        dragIndex = findPoint(position);
+        if (dragIndex === -1) {
+            const index = points.findIndex(point => point.x > position.x);
+            if (index <= 0) {
+                dragIndex = null;
+                return;
+            }
+            points.splice(index, 0, { x: position.x, y: position.y });
+            dragIndex = index;
+            commit();
+        }
+        canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (dragIndex === null) return;
+        const position = fromEvent(e);
+        const point = points[dragIndex];
+        // The ends stay at the edges, and points can't pass their neighbours
+        if (dragIndex > 0 && dragIndex < points.length - 1) {
+            point.x = Math.min(points[dragIndex + 1].x, Math.max(points[dragIndex - 1].x, position.x));
+        }
+        point.y = position.y;
+        commit();
+    });
+    canvas.addEventListener('pointerup', () => { dragIndex = null; });
+    canvas.addEventListener('pointercancel', () => { dragIndex = null; });
+    canvas.addEventListener('dblclick', (e) => {
+        const index = findPoint(fromEvent(e));
+        if (index > 0 && index < points.length - 1) {
+            points.splice(index, 1);
+            commit();
+        }
+    });
+
+    function draw() {
+        ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i <= 4; i++) {
+            const { x, y } = toCanvas({ x: i / 4, y: i / 4 });
+            ctx.moveTo(x, PADDING);
+            ctx.lineTo(x, HEIGHT - PADDING);
+            ctx.moveTo(PADDING, y);
+            ctx.lineTo(WIDTH - PADDING, y);
+        }
+        ctx.stroke();
+
+        ctx.strokeStyle = '#e5e5e5';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        const steps = WIDTH - PADDING * 2;
+        for (let i = 0; i <= steps; i++) {
+            const x = i / steps;
+            const { x: cx, y: cy } = toCanvas({ x, y: clamp(evaluateCurve(points, x)) });
+            if (i === 0) {
+                ctx.moveTo(cx, cy);
+            } else {
+                ctx.lineTo(cx, cy);
+            }
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#d9a440';
+        points.forEach(point => {
+            const { x, y } = toCanvas(point);
+            ctx.beginPath();
+            ctx.arc(x, y, 6, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    draw();
+
+    return {
+        element: container,
+        showValue: (value) => {
+            if (dragIndex !== null) return;
+            points = copyPoints(value);
+            draw();
+        }
+    };
+}
+
+function copyPoints(points) {
+    const copy = (points && points.length >= 2 ? points : DEFAULT_POINTS).map(({ x, y }) => ({ x, y }));
+    return copy.sort((a, b) => a.x - b.x);
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,130 @@
+/**
+ * GradientControl - Editor for gradient stops
+ *
+ * The value is [{ offset, color }] sorted by offset, at least two stops. Click
+ * the bar to add a stop with the color already there, drag a stop to move it,
+ * and pick a stop to change its color or remove it.
+ */
+
+import { sampleGradient } from '../../animations/ParameterValues.js';
+
+const MIN_STOPS = 2;
+
+/**
+ * @param {HTMLElement} container - Row with the control's label
+ * @param {Object} control - Gradient control definition
+ * @param {function(Array<Object>)} change - Applies new stops
+ * @returns {{element: HTMLElement, showValue: function(Array<Object>)}}
+ */
+export function createGradientControl(container, control, change) {
+    let stops = copyStops(control.value);
+    let selected = stops[0];
+    let dragging = false;
+
+    container.classList.add('stacked-control');
+    const editor = document.createElement('div');
+    editor.className = 'control-editor gradient-editor';
+
+    const bar = document.createElement('div');
+    bar.className = 'gradient-bar';
+    bar.title = 'Click to add a stop';
+
+    const stopRow = document.createElement('div');
+    stopRow.className = 'gradient-stop-row';
+    const colorPicker = document.createElement('input');
+    colorPicker.type = 'color';
+    colorPicker.className = 'color-picker';
+    const offsetDisplay = document.createElement('span');
+    const remove = document.createElement('button');
+    remove.className = 'control-list-btn';
+    remove.textContent = '×';
+    remove.title = 'Remove stop';
+    stopRow.append(colorPicker, offsetDisplay, remove);
+
+    editor.append(bar, stopRow);
+    container.appendChild(editor);
+
+    const offsetAt = (e) => {
+        const rect = bar.getBoundingClientRect();
+        return Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    };
+    const commit = () => {
+        stops.sort((a, b) => a.offset - b.offset);
+        render();
+        change(copyStops(stops));
+    };
+
+    bar.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        const marker = e.target.closest('.gradient-stop');
+        if (marker) {
+            selected = stops[Number(marker.dataset.index)];
+        } else {
+            const offset = offsetAt(e);
+            selected = { offset, color: sampleGradient(stops, offset) };
+            stops.push(selected);
+            commit();
+        }
+        dragging = true;
+        bar.setPointerCapture(e.pointerId);
+        render();
+    });
+    bar.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        selected.offset = offsetAt(e);
+        commit();
+    });
+    bar.addEventListener('pointerup', () => { dragging = false; });
+    bar.addEventListener('pointercancel', () => { dragging = false; });
+
+    colorPicker.addEventListener('input', (e) => {
+        selected.color = e.target.value;
+        commit();
+    });
+    remove.addEventListener('click', () => {
+        if (stops.length <= MIN_STOPS) return;
+        const index = stops.indexOf(selected);
+        stops.splice(index, 1);
+        selected = stops[Math.min(index, stops.length - 1)];
+        commit();
+    });
+
+    function render() {
+        bar.style.background = `linear-gradient(to right, ${stops.map(stop =>
+            `${stop.color} ${(stop.offset * 100).toFixed(2)}%`).join(', ')})`;
+        bar.innerHTML = '';
+        stops.forEach((stop, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'gradient-stop';
+            marker.classList.toggle('selected', stop === selected);
+            marker.dataset.index = index;
+            marker.style.left = `${stop.offset * 100}%`;
+            marker.style.backgroundColor = stop.color;
+            bar.appendChild(marker);
+        });
+
+        colorPicker.value = selected.color;
+        offsetDisplay.textContent = `${Math.round(selected.offset * 100)}%`;
+        remove.disabled = stops.length <= MIN_STOPS;
+    }
+    render();
+
+    return {
+        element: container,
+        showValue: (value) => {
+            if (dragging || document.activeElement === colorPicker) return;
+            const index = stops.indexOf(selected);
+            stops = copyStops(value);
+            selected = stops[Math.min(index, stops.length - 1)];
+            render();
+        }
+    };
+}
+
+function copyStops(stops) {
+    const copy = (stops || []).map(({ offset, color }) => ({ offset, color }));
+    while (copy.length < MIN_STOPS) {
+        copy.push({ offset: copy.length, color: copy.length ? '#ffffff' : '#000000' });
+    }
+    return copy.sort((a, b) => a.offset - b.offset);
+}
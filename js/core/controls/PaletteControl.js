@@ -0,0 +1,82 @@
+/**
+ * PaletteControl - Editable list of colors
+ *
+ * The value is an array of hex colors. min and max on the control definition
+ * limit how many colors the list can have (1 to 16 by default).
+ */
+
+const DEFAULT_MAX_COLORS = 16;
+
+/**
+ * @param {HTMLElement} container - Row with the control's label
+ * @param {Object} control - Palette control definition
+ * @param {function(Array<string>)} change - Applies new colors
+ * @returns {{element: HTMLElement, showValue: function(Array<string>)}}
+ */
+export function createPaletteControl(container, control, change) {
+    const minColors = control.min || 1;
+    const maxColors = control.max || DEFAULT_MAX_COLORS;
+    let colors = [...(control.value || [])];
+
+    container.classList.add('stacked-control');
+    const editor = document.createElement('div');
+    editor.className = 'control-editor palette-editor';
+    container.appendChild(editor);
+
+    const commit = () => {
+        render();
+        change([...colors]);
+    };
+
+    function render() {
+        editor.innerHTML = '';
+        colors.forEach((color, index) => {
+            const swatch = document.createElement('div');
+            swatch.className = 'palette-swatch';
+
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.className = 'color-picker';
+            picker.value = color;
+            picker.addEventListener('input', (e) => {
+                colors[index] = e.target.value;
+                change([...colors]);
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'control-list-btn';
+            remove.textContent = '×';
+            remove.title = 'Remove color';
+            remove.disabled = colors.length <= minColors;
+            remove.addEventListener('click', () => {
+                colors.splice(index, 1);
+                commit();
+            });
+
+            swatch.append(picker, remove);
+            editor.appendChild(swatch);
+        });
+
+        if (colors.length < maxColors) {
+            const add = document.createElement('button');
+            add.className = 'control-list-btn palette-add';
+            add.textContent = '+';
+            add.title = 'Add color';
+            add.addEventListener('click', () => {
+                colors.push(colors[colors.length - 1] || '#ffffff');
+                commit();
+            });
+            editor.appendChild(add);
+        }
+    }
+    render();
+
+    return {
+        element: container,
+        showValue: (value) => {
+            if (editor.contains(document.activeElement)) return;
+            colors = [...value];
+            render();
+        }
+    };
+}
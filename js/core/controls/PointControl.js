@@ -0,0 +1,97 @@
+/**
+ * PointControl - 2D position picked with number fields or dragged on the canvas
+ *
+ * The value is { x, y } as fractions of the frame (0-1, top left is 0, 0), so it
+ * doesn't change with the canvas or export size. While the control is shown, a
+ * handle over the preview can be dragged to move the point.
+ */
+
+/**
+ * @param {HTMLElement} container - Row with the control's label
+ * @param {Object} control - Point control definition
+ * @param {function({x: number, y: number})} change - Applies a new point
+ * @returns {{element: HTMLElement, showValue: function(Object), destroy: function()}}
+ */
+export function createPointControl(container, control, change) {
+    let point = { x: 0.5, y: 0.5, ...control.value };
+    let dragging = false;
+
+    const inputs = ['x', 'y'].map(axis => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'number-control';
+        input.min = 0;
+        input.max = 1;
+        input.step = 0.01;
+        input.title = axis.toUpperCase();
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (!isNaN(value)) {
+                setPoint({ ...point, [axis]: clamp(value) });
+            } else {
+                show();
+            }
+        });
+        return input;
+    });
+    container.append(...inputs);
+
+    // The handle sits over the preview canvas, which always fills the wrapper
+    const wrapper = document.getElementById('canvas-wrapper');
+    const handle = document.createElement('div');
+    handle.className = 'point-handle';
+    handle.title = control.label;
+    wrapper.appendChild(handle);
+
+    const moveTo = (e) => {
+        const rect = wrapper.getBoundingClientRect();
+        setPoint({
+            ...point,
+            x: clamp((e.clientX - rect.left) / rect.width),
+            y: clamp((e.clientY - rect.top) / rect.height)
+        });
+    };
+    handle.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        dragging = true;
+        handle.setPointerCapture(e.pointerId);
+        handle.classList.add('dragging');
+    });
+    handle.addEventListener('pointermove', (e) => {
+        if (dragging) moveTo(e);
+    });
+    const endDrag = () => {
+        dragging = false;
+        handle.classList.remove('dragging');
+    };
+    handle.addEventListener('pointerup', endDrag);
+    handle.addEventListener('pointercancel', endDrag);
+
+    function setPoint(value) {
+        point = value;
+        show();
+        change({ ...point });
+    }
+
+    function show() {
+        inputs[0].value = point.x.toFixed(3);
+        inputs[1].value = point.y.toFixed(3);
+        handle.style.left = `${point.x * 100}%`;
+        handle.style.top = `${point.y * 100}%`;
+    }
+    show();
+
+    return {
+        element: container,
+        showValue: (value) => {
+            if (dragging || inputs.includes(document.activeElement)) return;
+            point = { ...point, ...value };
+            show();
+        },
+        destroy: () => handle.remove()
+    };
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
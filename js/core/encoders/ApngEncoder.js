@@ -0,0 +1,165 @@
+/**
+ * ApngEncoder - Animated PNG writer
+ *
+ * Encodes RGBA frames losslessly with full alpha. Each scanline gets the PNG
+ * filter that minimizes its sum of absolute differences, and the filtered image is
+ * compressed with the browser's CompressionStream (zlib), so no extra library is
+ * needed.
+ */
+
+import { crc32 } from './crc32.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const BYTES_PER_PIXEL = 4;
+
+export class ApngEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} [options]
+     * @param {number} [options.frameRate=30] - Frames per second
+     * @param {number} [options.loopCount=0] - Number of plays; 0 loops forever
+     */
+    constructor(width, height, { frameRate = 30, loopCount = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+        this.loopCount = loopCount;
+        this.frames = [];
+    }
+
+    /**
+     * Filter and compress a frame
+     * @param {ImageData} imageData - Frame pixels
+     */
+    async addFrame(imageData) {
+        const filtered = filterScanlines(imageData.data, this.width, this.height);
+        this.frames.push(await deflate(filtered));
+    }
+
+    /**
+     * Assemble the animation
+     * @returns {Blob} APNG image
+     */
+    finish() {
+        const parts = [new Uint8Array(PNG_SIGNATURE)];
+        let sequence = 0;
+
+        const header = new DataView(new ArrayBuffer(13));
+        header.setUint32(0, this.width);
+        header.setUint32(4, this.height);
+        header.setUint8(8, 8); // Bit depth
+        header.setUint8(9, 6); // Color type: RGBA
+        parts.push(chunk('IHDR', header));
+
+        const animationControl = new DataView(new ArrayBuffer(8));
+        animationControl.setUint32(0, this.frames.length);
+        animationControl.setUint32(4, this.loopCount);
+        parts.push(chunk('acTL', animationControl));
+
+        this.frames.forEach((data, index) => {
+            const frameControl = new DataView(new ArrayBuffer(26));
+            frameControl.setUint32(0, sequence++);
+            frameControl.setUint32(4, this.width);
+            frameControl.setUint32(8, this.height);
+            // Whole frame rates are exact; fractional ones (e.g. 29.97) use hundredths
+            const exact = Number.isInteger(this.frameRate);
+            frameControl.setUint16(20, exact ? 1 : 100); // Delay numerator
+            frameControl.setUint16(22, exact ? this.frameRate : Math.round(this.frameRate * 100)); // Delay denominator
+            // Dispose op 0 (none) and blend op 0 (source): every frame replaces the last
+            parts.push(chunk('fcTL', frameControl));
+
+            if (index === 0) {
+                // The first frame doubles as the default image for non-APNG viewers
+                parts.push(chunk('IDAT', data));
+            } else {
+                const frameData = new Uint8Array(data.length + 4);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(data, 4);
+                parts.push(chunk('fdAT', frameData));
+            }
+        });
+
+        parts.push(chunk('IEND', new Uint8Array(0)));
+        return new Blob(parts, { type: 'image/apng' });
+    }
+}
+
+// Prefix each row with the filter type (None, Sub, Up, Average, Paeth) that compresses best
+function filterScanlines(pixels, width, height) {
+    const rowLength = width * BYTES_PER_PIXEL;
+    const output = new Uint8Array((rowLength + 1) * height);
+    const candidates = Array.from({ length: 5 }, () => new Uint8Array(rowLength));
+
+    for (let y = 0; y < height; y++) {
+        const row = y * rowLength;
+        const previous = row - rowLength;
+        let bestFilter = 0;
+        let bestScore = Infinity;
+
+        for (let filter = 0; filter < 5; filter++) {
+            const target = candidates[filter];
+            let score = 0;
+
+            for (let i = 0; i < rowLength; i++) {
+                const value = pixels[row + i];
+                const left = i >= BYTES_PER_PIXEL ? pixels[row + i - BYTES_PER_PIXEL] : 0;
+                const up = y > 0 ? pixels[previous + i] : 0;
+                const upLeft = y > 0 && i >= BYTES_PER_PIXEL ? pixels[previous + i - BYTES_PER_PIXEL] : 0;
+
+                let predicted = 0;
+                if (filter === 1) predicted = left;
+                else if (filter === 2) predicted = up;
+                else if (filter === 3) predicted = (left + up) >> 1;
+                else if (filter === 4) predicted = paeth(left, up, upLeft);
+
+                const filtered = (value - predicted) & 0xff;
+                target[i] = filtered;
+                score += filtered < 128 ? filtered : 256 - filtered;
+            }
+
+            if (score < bestScore) {
+                bestScore = score;
+                bestFilter = filter;
+            }
+        }
+
+        const offset = y * (rowLength + 1);
+        output[offset] = bestFilter;
+        output.set(candidates[bestFilter], offset + 1);
+    }
+
+    return output;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+}
+
+async function deflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Length, type, data and CRC of a PNG chunk
+function chunk(type, data) {
+    const bytes = data instanceof DataView ?
+        new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+        data;
+    const output = new Uint8Array(bytes.length + 12);
+    const view = new DataView(output.buffer);
+
+    view.setUint32(0, bytes.length);
+    for (let i = 0; i < 4; i++) {
+        output[4 + i] = type.charCodeAt(i);
+    }
+    output.set(bytes, 8);
+    view.setUint32(8 + bytes.length, crc32(output.subarray(4, 8 + bytes.length)));
+    return output;
+}
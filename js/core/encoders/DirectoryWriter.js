@@ -0,0 +1,37 @@
+/**
+ * DirectoryWriter - Writes exported files straight into a folder on disk
+ *
+ * Wraps a directory handle from the File System Access API (showDirectoryPicker).
+ * Shares the addFile/addText/finish interface of ZipWriter so exporters can
+ * stream to either destination.
+ */
+
+export class DirectoryWriter {
+    /**
+     * @param {FileSystemDirectoryHandle} directory - Folder to write into
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Write a file, replacing any existing file with the same name
+     * @param {string} name - File name
+     * @param {Blob|Uint8Array} data - File contents
+     */
+    async addFile(name, data) {
+        const handle = await this.directory.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    async addText(name, text) {
+        await this.addFile(name, new Blob([text], { type: 'text/plain' }));
+    }
+
+    // Files are complete as soon as they are written
+    async finish() {}
+
+    async abort() {}
+}
@@ -0,0 +1,261 @@
+/**
+ * GifEncoder - Animated GIF (GIF89a) writer
+ *
+ * Takes frames that have already been reduced to palette indices (see
+ * PaletteQuantizer.js) and writes them with LZW compression. Supports a global or
+ * per-frame color table, a loop count and a transparent palette index.
+ */
+
+const MAX_CODE_SIZE = 12;
+const MAX_CODES = 1 << MAX_CODE_SIZE;
+
+export class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} [options]
+     * @param {number} [options.loopCount=0] - Number of plays; 0 loops forever
+     * @param {Uint8Array} [options.globalPalette] - Shared RGB palette for all frames
+     * @param {number} [options.transparentIndex=-1] - Palette index rendered as transparent
+     */
+    constructor(width, height, { loopCount = 0, globalPalette = null, transparentIndex = -1 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.transparentIndex = transparentIndex;
+        this.globalTableBits = globalPalette ? colorTableBits(globalPalette) : 0;
+        this.output = new ByteWriter();
+
+        this.writeHeader(globalPalette, loopCount);
+    }
+
+    writeHeader(globalPalette, loopCount) {
+        const out = this.output;
+        out.writeString('GIF89a');
+
+        // Logical screen descriptor
+        out.writeUint16(this.width);
+        out.writeUint16(this.height);
+        if (globalPalette) {
+            out.writeByte(0x80 | 0x70 | (this.globalTableBits - 1));
+        } else {
+            out.writeByte(0x70);
+        }
+        out.writeByte(0); // Background color index
+        out.writeByte(0); // Pixel aspect ratio
+
+        if (globalPalette) {
+            this.writeColorTable(globalPalette);
+        }
+
+        // NETSCAPE2.0 extension; a single play needs no extension at all
+        if (loopCount !== 1) {
+            out.writeByte(0x21);
+            out.writeByte(0xff);
+            out.writeByte(11);
+            out.writeString('NETSCAPE2.0');
+            out.writeByte(3);
+            out.writeByte(1);
+            out.writeUint16(loopCount === 0 ? 0 : loopCount - 1);
+            out.writeByte(0);
+        }
+    }
+
+    /**
+     * Append a frame
+     * @param {Uint8Array} indices - One palette index per pixel
+     * @param {number} delay - Frame delay in hundredths of a second
+     * @param {Uint8Array} [localPalette] - Per-frame RGB palette, overriding the global one
+     */
+    addFrame(indices, delay, localPalette = null) {
+        const out = this.output;
+        const hasTransparency = this.transparentIndex !== -1;
+
+        // Graphic control extension. Transparent frames restore to the background so
+        // earlier frames never show through the cleared pixels.
+        out.writeByte(0x21);
+        out.writeByte(0xf9);
+        out.writeByte(4);
+        out.writeByte(((hasTransparency ? 2 : 1) << 2) | (hasTransparency ? 1 : 0));
+        out.writeUint16(delay);
+        out.writeByte(hasTransparency ? this.transparentIndex : 0);
+        out.writeByte(0);
+
+        // Image descriptor
+        out.writeByte(0x2c);
+        out.writeUint16(0);
+        out.writeUint16(0);
+        out.writeUint16(this.width);
+        out.writeUint16(this.height);
+
+        let tableBits = this.globalTableBits;
+        if (localPalette) {
+            tableBits = colorTableBits(localPalette);
+            out.writeByte(0x80 | (tableBits - 1));
+            this.writeColorTable(localPalette);
+        } else {
+            out.writeByte(0);
+        }
+
+        this.writeImageData(indices, Math.max(2, tableBits));
+    }
+
+    // Color tables are padded with black to the next power of two
+    writeColorTable(palette) {
+        const size = 1 << colorTableBits(palette);
+        for (let i = 0; i < size * 3; i++) {
+            this.output.writeByte(i < palette.length ? palette[i] : 0);
+        }
+    }
+
+    // LZW-compress palette indices into data sub-blocks
+    writeImageData(indices, minCodeSize) {
+        const out = this.output;
+        out.writeByte(minCodeSize);
+
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const table = new Int16Array(MAX_CODES * 256);
+        const blocks = new SubBlockWriter(out);
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let prefix = indices[0];
+
+        blocks.writeCode(clearCode, codeSize);
+
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = prefix * 256 + pixel;
+            const existing = table[key];
+
+            if (existing > 0) {
+                prefix = existing;
+                continue;
+            }
+
+            blocks.writeCode(prefix, codeSize);
+
+            if (nextCode < MAX_CODES) {
+                table[key] = nextCode;
+                if (nextCode === 1 << codeSize) {
+                    codeSize++;
+                }
+                nextCode++;
+            } else {
+                // Table full: start over with a fresh dictionary
+                blocks.writeCode(clearCode, codeSize);
+                table.fill(0);
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = pixel;
+        }
+
+        blocks.writeCode(prefix, codeSize);
+        if (nextCode === 1 << codeSize && codeSize < MAX_CODE_SIZE) {
+            codeSize++;
+        }
+        blocks.writeCode(endCode, codeSize);
+        blocks.finish();
+    }
+
+    /**
+     * Write the trailer and return the finished file
+     * @returns {Blob} GIF image
+     */
+    finish() {
+        this.output.writeByte(0x3b);
+        return new Blob([this.output.toUint8Array()], { type: 'image/gif' });
+    }
+}
+
+// Number of bits needed to address a palette (at least 1)
+function colorTableBits(palette) {
+    const colors = palette.length / 3;
+    let bits = 1;
+    while ((1 << bits) < colors) bits++;
+    return bits;
+}
+
+/**
+ * Growable little-endian byte buffer
+ */
+class ByteWriter {
+    constructor(initialSize = 1 << 16) {
+        this.buffer = new Uint8Array(initialSize);
+        this.length = 0;
+    }
+
+    writeByte(value) {
+        if (this.length === this.buffer.length) {
+            const grown = new Uint8Array(this.buffer.length * 2);
+            grown.set(this.buffer);
+            this.buffer = grown;
+        }
+        this.buffer[this.length++] = value;
+    }
+
+    writeUint16(value) {
+        this.writeByte(value & 0xff);
+        this.writeByte((value >> 8) & 0xff);
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.writeByte(text.charCodeAt(i));
+        }
+    }
+
+    toUint8Array() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+/**
+ * Packs variable-length codes LSB-first into 255-byte GIF data sub-blocks
+ */
+class SubBlockWriter {
+    constructor(output) {
+        this.output = output;
+        this.block = new Uint8Array(255);
+        this.blockLength = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    writeCode(code, size) {
+        this.bitBuffer |= code << this.bitCount;
+        this.bitCount += size;
+        while (this.bitCount >= 8) {
+            this.pushByte(this.bitBuffer & 0xff);
+            this.bitBuffer >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    pushByte(value) {
+        this.block[this.blockLength++] = value;
+        if (this.blockLength === 255) {
+            this.flushBlock();
+        }
+    }
+
+    flushBlock() {
+        if (this.blockLength === 0) return;
+        this.output.writeByte(this.blockLength);
+        for (let i = 0; i < this.blockLength; i++) {
+            this.output.writeByte(this.block[i]);
+        }
+        this.blockLength = 0;
+    }
+
+    finish() {
+        if (this.bitCount > 0) {
+            this.pushByte(this.bitBuffer & 0xff);
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        }
+        this.flushBlock();
+        this.output.writeByte(0); // Block terminator
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * PaletteQuantizer - Reduces true-color frames to an indexed palette
+ *
+ * Colors are collected into a 5-bit-per-channel histogram, split with the median
+ * cut algorithm and mapped back to palette indices with optional Floyd–Steinberg
+ * dithering. Used by the GIF export, which is limited to 256 colors per frame.
+ */
+
+const HISTOGRAM_SIZE = 32 * 32 * 32;
+
+// Pixels with alpha below this are treated as fully transparent
+export const ALPHA_THRESHOLD = 128;
+
+export class PaletteQuantizer {
+    constructor() {
+        this.histogram = new Uint32Array(HISTOGRAM_SIZE);
+    }
+
+    /**
+     * Add the opaque pixels of a frame to the color histogram
+     * @param {ImageData} imageData - Frame pixels
+     * @param {number} [step=1] - Sample every Nth pixel to speed up large frames
+     */
+    addPixels(imageData, step = 1) {
+        const data = imageData.data;
+        const stride = step * 4;
+        for (let i = 0; i < data.length; i += stride) {
+            if (data[i + 3] < ALPHA_THRESHOLD) continue;
+            this.histogram[binIndex(data[i], data[i + 1], data[i + 2])]++;
+        }
+    }
+
+    /**
+     * Build a palette with the median cut algorithm
+     * @param {number} maxColors - Maximum number of palette entries (up to 256)
+     * @returns {Uint8Array} Palette as packed RGB triplets
+     */
+    buildPalette(maxColors) {
+        const bins = [];
+        for (let i = 0; i < HISTOGRAM_SIZE; i++) {
+            if (this.histogram[i] > 0) bins.push(i);
+        }
+
+        // Nothing opaque was drawn; a single black entry keeps the palette valid
+        if (bins.length === 0) {
+            return new Uint8Array(3);
+        }
+
+        const boxes = [this.createBox(bins)];
+        while (boxes.length < maxColors) {
+            // Split the box with the widest spread weighted by its population
+            let target = -1;
+            let bestScore = 0;
+            boxes.forEach((box, index) => {
+                const score = box.range * box.count;
+                if (box.bins.length > 1 && score > bestScore) {
+                    bestScore = score;
+                    target = index;
+                }
+            });
+            if (target === -1) break;
+
+            const [first, second] = this.splitBox(boxes[target]);
+            boxes.splice(target, 1, first, second);
+        }
+
+        const palette = new Uint8Array(boxes.length * 3);
+        boxes.forEach((box, index) => {
+            let r = 0, g = 0, b = 0;
+            box.bins.forEach(bin => {
+                const count = this.histogram[bin];
+                r += binChannel(bin, 0) * count;
+                g += binChannel(bin, 1) * count;
+                b += binChannel(bin, 2) * count;
+            });
+            palette[index * 3] = Math.round(r / box.count);
+            palette[index * 3 + 1] = Math.round(g / box.count);
+            palette[index * 3 + 2] = Math.round(b / box.count);
+        });
+        return palette;
+    }
+
+    createBox(bins) {
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        let count = 0;
+        bins.forEach(bin => {
+            count += this.histogram[bin];
+            for (let channel = 0; channel < 3; channel++) {
+                const value = binChannel(bin, channel) >> 3;
+                if (value < min[channel]) min[channel] = value;
+                if (value > max[channel]) max[channel] = value;
+            }
+        });
+
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { bins, count, channel, range: ranges[channel] };
+    }
+
+    // Split a box at the population median along its longest channel
+    splitBox(box) {
+        const sorted = box.bins.slice().sort((a, b) =>
+            binChannel(a, box.channel) - binChannel(b, box.channel)
+        );
+
+        let accumulated = 0;
+        let splitAt = sorted.length - 1;
+        for (let i = 0; i < sorted.length - 1; i++) {
+            accumulated += this.histogram[sorted[i]];
+            if (accumulated >= box.count / 2) {
+                splitAt = i + 1;
+                break;
+            }
+        }
+
+        return [this.createBox(sorted.slice(0, splitAt)), this.createBox(sorted.slice(splitAt))];
+    }
+}
+
+/**
+ * Maps true-color pixels to the nearest entries of a fixed palette
+ */
+export class PaletteMapper {
+    /**
+     * @param {Uint8Array} palette - Packed RGB triplets
+     * @param {Object} [options]
+     * @param {boolean} [options.dither=true] - Apply Floyd–Steinberg error diffusion
+     * @param {number} [options.transparentIndex=-1] - Index reserved for transparent pixels, or -1 for none
+     */
+    constructor(palette, { dither = true, transparentIndex = -1 } = {}) {
+        this.palette = palette;
+        this.colorCount = palette.length / 3;
+        this.dither = dither;
+        this.transparentIndex = transparentIndex;
+        this.cache = new Int16Array(HISTOGRAM_SIZE).fill(-1);
+    }
+
+    nearestIndex(r, g, b) {
+        const key = binIndex(r, g, b);
+        const cached = this.cache[key];
+        if (cached !== -1) return cached;
+
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < this.colorCount; i++) {
+            if (i === this.transparentIndex) continue;
+            const dr = this.palette[i * 3] - r;
+            const dg = this.palette[i * 3 + 1] - g;
+            const db = this.palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        this.cache[key] = best;
+        return best;
+    }
+
+    /**
+     * Convert a frame to palette indices
+     * @param {ImageData} imageData - Frame pixels
+     * @returns {Uint8Array} One palette index per pixel
+     */
+    map(imageData) {
+        const { width, height, data } = imageData;
+        const indices = new Uint8Array(width * height);
+        const useTransparency = this.transparentIndex !== -1;
+
+        if (!this.dither) {
+            for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+                indices[p] = useTransparency && data[i + 3] < ALPHA_THRESHOLD ?
+                    this.transparentIndex :
+                    this.nearestIndex(data[i], data[i + 1], data[i + 2]);
+            }
+            return indices;
+        }
+
+        // Error buffers for the current and next row, three channels per pixel
+        let current = new Float32Array((width + 2) * 3);
+        let next = new Float32Array((width + 2) * 3);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const i = p * 4;
+
+                if (useTransparency && data[i + 3] < ALPHA_THRESHOLD) {
+                    indices[p] = this.transparentIndex;
+                    continue;
+                }
+
+                const e = (x + 1) * 3;
+                const r = clamp(data[i] + current[e]);
+                const g = clamp(data[i + 1] + current[e + 1]);
+                const b = clamp(data[i + 2] + current[e + 2]);
+
+                const index = this.nearestIndex(r, g, b);
+                indices[p] = index;
+
+                const errors = [
+                    r - this.palette[index * 3],
+                    g - this.palette[index * 3 + 1],
+                    b - this.palette[index * 3 + 2]
+                ];
+                for (let c = 0; c < 3; c++) {
+                    const error = errors[c];
+                    current[e + 3 + c] += error * 7 / 16;
+                    next[e - 3 + c] += error * 3 / 16;
+                    next[e + c] += error * 5 / 16;
+                    next[e + 3 + c] += error * 1 / 16;
+                }
+            }
+
+            [current, next] = [next, current];
+            next.fill(0);
+        }
+
+        return indices;
+    }
+}
+
+function binIndex(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+// Center value (0-255) of a histogram bin for the given channel
+function binChannel(bin, channel) {
+    const shift = 10 - channel * 5;
+    return (((bin >> shift) & 31) << 3) | 4;
+}
+
+function clamp(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
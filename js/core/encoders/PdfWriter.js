@@ -0,0 +1,88 @@
+/**
+ * PdfWriter - Minimal PDF writer for image pages
+ *
+ * Each page shows one JPEG image filling the page. The JPEG data is embedded as
+ * is (DCTDecode), so no image re-encoding or PDF library is needed.
+ */
+
+export class PdfWriter {
+    constructor() {
+        this.pages = [];
+    }
+
+    /**
+     * Add a page showing a JPEG image
+     * @param {Uint8Array} jpeg - JPEG file contents
+     * @param {number} pixelWidth - Image width in pixels
+     * @param {number} pixelHeight - Image height in pixels
+     * @param {number} pageWidth - Page width in points; the height follows the image
+     */
+    addJpegPage(jpeg, pixelWidth, pixelHeight, pageWidth) {
+        const pageHeight = pageWidth * pixelHeight / pixelWidth;
+        this.pages.push({ jpeg, pixelWidth, pixelHeight, pageWidth, pageHeight });
+    }
+
+    /**
+     * Assemble the document
+     * @returns {Blob} PDF file
+     */
+    finish() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = (number) => {
+            offsets[number] = length;
+            write(`${number} 0 obj\n`);
+        };
+
+        // Objects 1 and 2 are the catalog and page tree; each page then takes three
+        const pageObject = (index) => 3 + index * 3;
+        const objectCount = 2 + this.pages.length * 3;
+
+        write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        startObject(2);
+        const kids = this.pages.map((page, index) => `${pageObject(index)} 0 R`).join(' ');
+        write(`<< /Type /Pages /Kids [${kids}] /Count ${this.pages.length} >>\nendobj\n`);
+
+        this.pages.forEach((page, index) => {
+            const number = pageObject(index);
+            const width = page.pageWidth.toFixed(2);
+            const height = page.pageHeight.toFixed(2);
+
+            startObject(number);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>\nendobj\n`);
+
+            const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+            startObject(number + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            startObject(number + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`;
+        for (let number = 1; number <= objectCount; number++) {
+            xref += `${String(offsets[number]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * PngEncoderWorker - Compresses frames to PNG off the main thread
+ *
+ * Receives an ImageBitmap per frame, encodes it with OffscreenCanvas and sends
+ * back the PNG Blob together with its CRC-32 for the ZIP writer.
+ */
+
+import { crc32 } from './crc32.js';
+
+let canvas = null;
+let ctx = null;
+
+self.onmessage = async ({ data }) => {
+    const { id, bitmap } = data;
+
+    try {
+        if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            ctx = canvas.getContext('2d');
+        }
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        self.postMessage({ id, blob, crc });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
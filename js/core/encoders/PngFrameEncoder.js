@@ -0,0 +1,115 @@
+/**
+ * PngFrameEncoder - Encodes canvas frames to PNG Blobs in a pool of Web Workers
+ *
+ * Each call snapshots the canvas immediately, so the caller can draw the next
+ * frame while earlier ones are still being compressed. Falls back to
+ * canvas.toBlob on the main thread where workers can't use OffscreenCanvas.
+ */
+
+import { crc32 } from './crc32.js';
+
+const MAX_WORKERS = 4;
+
+export class PngFrameEncoder {
+    /**
+     * Check whether frames can be encoded in workers
+     * @returns {boolean} True if OffscreenCanvas blobs and ImageBitmaps are available
+     */
+    static workersSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            'convertToBlob' in OffscreenCanvas.prototype;
+    }
+
+    constructor() {
+        this.workers = [];
+        this.pending = new Map();
+        this.nextId = 0;
+        this.nextWorker = 0;
+
+        if (PngFrameEncoder.workersSupported()) {
+            const count = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+            for (let i = 0; i < count; i++) {
+                const worker = new Worker(new URL('./PngEncoderWorker.js', import.meta.url), { type: 'module' });
+                worker.onmessage = ({ data }) => this.handleResult(data);
+                worker.onerror = (event) => this.failAll(new Error(event.message || 'PNG worker failed'));
+                this.workers.push(worker);
+            }
+        }
+    }
+
+    /**
+     * Number of frames worth keeping in flight before waiting on results
+     * @returns {number} Frames in flight
+     */
+    get capacity() {
+        return Math.max(2, this.workers.length * 2);
+    }
+
+    /**
+     * Encode the current contents of a canvas
+     * @param {HTMLCanvasElement} canvas - Canvas holding the rendered frame
+     * @returns {Promise<{blob: Blob, crc: number}>} PNG file and its CRC-32
+     */
+    encode(canvas) {
+        if (this.workers.length === 0) {
+            return this.encodeOnMainThread(canvas);
+        }
+
+        const id = this.nextId++;
+        const worker = this.workers[this.nextWorker];
+        this.nextWorker = (this.nextWorker + 1) % this.workers.length;
+
+        // createImageBitmap copies the pixels right away, before the next frame is drawn
+        const bitmapPromise = createImageBitmap(canvas);
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            bitmapPromise.then(bitmap => {
+                worker.postMessage({ id, bitmap }, [bitmap]);
+            }, error => {
+                this.pending.delete(id);
+                reject(error);
+            });
+        });
+    }
+
+    encodeOnMainThread(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(async blob => {
+                if (!blob) {
+                    reject(new Error('Could not encode frame as PNG'));
+                    return;
+                }
+                const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+                resolve({ blob, crc });
+            }, 'image/png');
+        });
+    }
+
+    handleResult({ id, blob, crc, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve({ blob, crc });
+        }
+    }
+
+    failAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * Stop all workers and reject frames that are still being encoded
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.failAll(new Error('PNG encoder was terminated'));
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * SpriteSheetPacker - Lays out animation frames on one or more sprite sheets
+ *
+ * Frames go either into a fixed grid or, for trimmed frames of different sizes,
+ * into rows ("shelves") of a packed atlas. When frames don't fit within the maximum
+ * sheet size the layout continues on another sheet. The JSON output follows the
+ * common hash layout (frame, spriteSourceSize, sourceSize, duration) that game
+ * engines and web animation libraries read.
+ */
+
+export class SpriteSheetPacker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSize=4096] - Largest sheet width or height
+     * @param {number} [options.padding=2] - Empty pixels around and between frames
+     */
+    constructor({ maxSize = 4096, padding = 2 } = {}) {
+        this.maxSize = maxSize;
+        this.padding = padding;
+    }
+
+    /**
+     * Place equally sized frames in a grid
+     * @param {number} count - Number of frames
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} [columns=0] - Frames per row; 0 picks a roughly square sheet
+     * @returns {Array<Object>} Sheets as { width, height, placements: [{ index, x, y }] }
+     */
+    packGrid(count, width, height, columns = 0) {
+        const { padding } = this;
+        const fitColumns = Math.floor((this.maxSize - padding) / (width + padding));
+        const fitRows = Math.floor((this.maxSize - padding) / (height + padding));
+        if (fitColumns < 1 || fitRows < 1) {
+            throw new Error(`A ${width} × ${height} frame does not fit on a ${this.maxSize}px sheet`);
+        }
+
+        const wanted = columns > 0 ? columns : Math.ceil(Math.sqrt(count));
+        const sheetColumns = Math.min(wanted, fitColumns, count);
+        const perSheet = sheetColumns * fitRows;
+        const sheets = [];
+
+        for (let first = 0; first < count; first += perSheet) {
+            const frames = Math.min(perSheet, count - first);
+            const rows = Math.ceil(frames / sheetColumns);
+            const placements = [];
+            for (let i = 0; i < frames; i++) {
+                placements.push({
+                    index: first + i,
+                    x: padding + (i % sheetColumns) * (width + padding),
+                    y: padding + Math.floor(i / sheetColumns) * (height + padding)
+                });
+            }
+            sheets.push({
+                width: padding + sheetColumns * (width + padding),
+                height: padding + rows * (height + padding),
+                placements
+            });
+        }
+        return sheets;
+    }
+
+    /**
+     * Pack frames of different sizes, tallest first, into shelves
+     * @param {Array<{width: number, height: number}>} sizes - Frame sizes in frame order
+     * @returns {Array<Object>} Sheets as { width, height, placements: [{ index, x, y }] }
+     */
+    packAtlas(sizes) {
+        const { padding, maxSize } = this;
+        const order = sizes.map((size, index) => index)
+            .sort((a, b) => sizes[b].height - sizes[a].height || sizes[b].width - sizes[a].width);
+
+        const sheets = [];
+        let sheet = null;
+        let shelfX = 0;
+        let shelfY = 0;
+        let shelfHeight = 0;
+
+        const startSheet = () => {
+            sheet = { width: 0, height: 0, placements: [] };
+            sheets.push(sheet);
+            shelfX = padding;
+            shelfY = padding;
+            shelfHeight = 0;
+        };
+
+        order.forEach(index => {
+            const { width, height } = sizes[index];
+            if (width + padding * 2 > maxSize || height + padding * 2 > maxSize) {
+                throw new Error(`A ${width} × ${height} frame does not fit on a ${maxSize}px sheet`);
+            }
+
+            if (!sheet) startSheet();
+
+            // Start a new shelf when the row is full, and a new sheet when the rows are
+            if (shelfX + width + padding > maxSize) {
+                shelfX = padding;
+                shelfY += shelfHeight + padding;
+                shelfHeight = 0;
+            }
+            if (shelfY + height + padding > maxSize) {
+                startSheet();
+            }
+
+            sheet.placements.push({ index, x: shelfX, y: shelfY });
+            sheet.width = Math.max(sheet.width, shelfX + width + padding);
+            sheet.height = Math.max(sheet.height, shelfY + height + padding);
+            shelfX += width + padding;
+            shelfHeight = Math.max(shelfHeight, height);
+        });
+
+        // Keep frame order within each sheet so the JSON reads in playback order
+        sheets.forEach(packed => packed.placements.sort((a, b) => a.index - b.index));
+        return sheets;
+    }
+}
+
+/**
+ * Find the smallest rectangle containing every non-transparent pixel
+ * @param {ImageData} imageData - Frame pixels
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds; a fully
+ *     transparent frame keeps a single pixel so it still has a place on the sheet
+ */
+export function findOpaqueBounds(imageData) {
+    const { data, width, height } = imageData;
+    let left = width;
+    let right = -1;
+    let top = height;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width * 4;
+        for (let x = 0; x < width; x++) {
+            if (data[row + x * 4 + 3] !== 0) {
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                bottom = y;
+            }
+        }
+    }
+
+    if (right < 0) {
+        return { x: 0, y: 0, width: 1, height: 1 };
+    }
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Build the JSON description of one sheet
+ * @param {Object} sheet - Sheet from packGrid or packAtlas
+ * @param {Array<Object>} frames - Per frame { name, bounds, sourceWidth, sourceHeight, duration }
+ * @param {Object} meta - { image, scale, relatedSheets }
+ * @returns {Object} Atlas data ready for JSON.stringify
+ */
+export function createAtlasData(sheet, frames, { image, scale = 1, relatedSheets = [] }) {
+    const data = { frames: {}, meta: {} };
+
+    sheet.placements.forEach(({ index, x, y }) => {
+        const { name, bounds, sourceWidth, sourceHeight, duration } = frames[index];
+        const trimmed = bounds.width !== sourceWidth || bounds.height !== sourceHeight;
+        data.frames[name] = {
+            frame: { x, y, w: bounds.width, h: bounds.height },
+            rotated: false,
+            trimmed,
+            spriteSourceSize: { x: bounds.x, y: bounds.y, w: bounds.width, h: bounds.height },
+            sourceSize: { w: sourceWidth, h: sourceHeight },
+            duration
+        };
+    });
+
+    data.meta = {
+        app: 'SV Tools',
+        version: '1.0',
+        image,
+        format: 'RGBA8888',
+        size: { w: sheet.width, h: sheet.height },
+        scale: String(scale)
+    };
+    if (relatedSheets.length > 0) {
+        data.meta.related_multi_packs = relatedSheets;
+    }
+    return data;
+}
@@ -0,0 +1,312 @@
+/**
+ * WebCodecsEncoder - Frame-accurate video encoding
+ *
+ * Encodes canvas frames one at a time with the WebCodecs VideoEncoder and muxes
+ * the resulting chunks into an MP4 or WebM file in memory. Every frame carries an
+ * explicit timestamp, so the output timing never depends on how long a frame took
+ * to render. An optional audio track is encoded with the AudioEncoder alongside
+ * the frames, so both tracks are interleaved in the file.
+ *
+ * Muxing relies on the `Mp4Muxer` and `WebMMuxer` globals loaded in index.html.
+ */
+
+// H.264 levels as [level_idc, max macroblocks per frame, max macroblocks per second]
+const AVC_LEVELS = [
+    [0x1f, 3600, 108000],
+    [0x20, 5120, 216000],
+    [0x28, 8192, 245760],
+    [0x2a, 8704, 522240],
+    [0x32, 22080, 589824],
+    [0x33, 36864, 983040],
+    [0x34, 36864, 2073600],
+    [0x3c, 139264, 4177920],
+    [0x3d, 139264, 8355840],
+    [0x3e, 139264, 16711680]
+];
+
+// Candidates in order of preference within each container
+const CODEC_CANDIDATES = [
+    { container: 'mp4', avcProfile: '64', muxerCodec: 'avc', label: 'H.264 High' },
+    { container: 'mp4', avcProfile: '4d', muxerCodec: 'avc', label: 'H.264 Main' },
+    { container: 'mp4', avcProfile: '42', muxerCodec: 'avc', label: 'H.264 Baseline' },
+    { container: 'mp4', codec: 'vp09.00.10.08', muxerCodec: 'vp9', label: 'VP9' },
+    { container: 'webm', codec: 'vp09.00.10.08', muxerCodec: 'V_VP9', label: 'VP9' },
+    { container: 'webm', codec: 'vp8', muxerCodec: 'V_VP8', label: 'VP8' }
+];
+
+// Audio codecs in order of preference within each container
+const AUDIO_CODEC_CANDIDATES = [
+    { container: 'mp4', codec: 'mp4a.40.2', muxerCodec: 'aac', label: 'AAC', bitrate: 192000 },
+    { container: 'mp4', codec: 'opus', muxerCodec: 'opus', label: 'Opus', bitrate: 160000 },
+    { container: 'webm', codec: 'opus', muxerCodec: 'A_OPUS', label: 'Opus', bitrate: 160000 }
+];
+
+// Opus only runs at 48 kHz, and AAC handles it as well
+export const AUDIO_SAMPLE_RATE = 48000;
+
+// Maximum number of frames waiting in the encoder before rendering pauses
+const MAX_ENCODE_QUEUE = 8;
+
+// Audio samples per channel passed to the encoder at a time
+const AUDIO_BLOCK_SIZE = 4096;
+
+export class WebCodecsEncoder {
+    /**
+     * Check whether this browser can encode video with WebCodecs
+     * @returns {boolean} True if VideoEncoder and VideoFrame are available
+     */
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    /**
+     * Round a dimension up to the next even number (required by H.264)
+     * @param {number} size - Width or height in pixels
+     * @returns {number} Even size in pixels
+     */
+    static evenSize(size) {
+        return size + (size % 2);
+    }
+
+    /**
+     * Build an H.264 codec string with the lowest level that fits the frame size and rate
+     * @param {string} profile - Profile byte as hex ('42', '4d' or '64')
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} frameRate - Frames per second
+     * @returns {string} Codec string, e.g. 'avc1.640028'
+     */
+    static avcCodecString(profile, width, height, frameRate) {
+        const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+        const level = AVC_LEVELS.find(([, maxFrame, maxRate]) =>
+            macroblocks <= maxFrame && macroblocks * frameRate <= maxRate
+        ) || AVC_LEVELS[AVC_LEVELS.length - 1];
+        return `avc1.${profile}00${level[0].toString(16).padStart(2, '0')}`;
+    }
+
+    /**
+     * Find the first codec/container combination this browser can encode
+     * @param {Object} options - Encoding options
+     * @param {number} options.width - Frame width (even)
+     * @param {number} options.height - Frame height (even)
+     * @param {number} options.frameRate - Frames per second
+     * @param {number} options.bitrate - Target bitrate in bits per second
+     * @param {string} [options.container='auto'] - 'mp4', 'webm' or 'auto' (MP4 preferred)
+     * @returns {Promise<Object|null>} Selected configuration or null if nothing is supported
+     */
+    static async selectConfig({ width, height, frameRate, bitrate, container = 'auto' }) {
+        if (!WebCodecsEncoder.isSupported()) return null;
+
+        const candidates = CODEC_CANDIDATES.filter(candidate =>
+            container === 'auto' || candidate.container === container
+        );
+
+        for (const candidate of candidates) {
+            const codec = candidate.avcProfile ?
+                WebCodecsEncoder.avcCodecString(candidate.avcProfile, width, height, frameRate) :
+                candidate.codec;
+            const encoderConfig = {
+                codec,
+                width,
+                height,
+                bitrate,
+                framerate: frameRate
+            };
+            if (candidate.muxerCodec === 'avc') {
+                encoderConfig.avc = { format: 'avc' };
+            }
+
+            try {
+                const support = await VideoEncoder.isConfigSupported(encoderConfig);
+                if (support.supported) {
+                    return {
+                        ...candidate,
+                        codec,
+                        encoderConfig,
+                        extension: candidate.container,
+                        mimeType: `video/${candidate.container}`
+                    };
+                }
+            } catch (error) {
+                // Malformed or unknown codec strings throw instead of reporting unsupported
+                console.warn(`Codec check failed for ${codec}:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find an audio codec this browser can encode for a container
+     * @param {string} container - 'mp4' or 'webm'
+     * @param {number} numberOfChannels - 1 or 2
+     * @returns {Promise<Object|null>} Selected audio configuration or null if nothing is supported
+     */
+    static async selectAudioConfig(container, numberOfChannels) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return null;
+
+        for (const candidate of AUDIO_CODEC_CANDIDATES.filter(c => c.container === container)) {
+            const encoderConfig = {
+                codec: candidate.codec,
+                sampleRate: AUDIO_SAMPLE_RATE,
+                numberOfChannels,
+                bitrate: candidate.bitrate
+            };
+            try {
+                const support = await AudioEncoder.isConfigSupported(encoderConfig);
+                if (support.supported) {
+                    return { ...candidate, encoderConfig };
+                }
+            } catch (error) {
+                console.warn(`Audio codec check failed for ${candidate.codec}:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Create an encoder for a configuration returned by selectConfig()
+     * @param {Object} config - Selected configuration
+     * @param {number} frameRate - Frames per second
+     * @param {Object} [audio] - Audio track to include
+     * @param {Object} audio.config - Configuration returned by selectAudioConfig()
+     * @param {AudioBuffer} audio.buffer - Audio at AUDIO_SAMPLE_RATE, starting with the first frame
+     */
+    constructor(config, frameRate, audio = null) {
+        this.config = config;
+        this.frameRate = frameRate;
+        this.error = null;
+        this.audio = audio;
+        this.audioPosition = 0;
+
+        const { width, height } = config.encoderConfig;
+        const Muxer = config.container === 'mp4' ? Mp4Muxer : WebMMuxer;
+
+        this.target = new Muxer.ArrayBufferTarget();
+        const muxerOptions = {
+            target: this.target,
+            video: {
+                codec: config.muxerCodec,
+                width,
+                height,
+                frameRate
+            }
+        };
+        if (audio) {
+            muxerOptions.audio = {
+                codec: audio.config.muxerCodec,
+                numberOfChannels: audio.config.encoderConfig.numberOfChannels,
+                sampleRate: audio.config.encoderConfig.sampleRate
+            };
+        }
+        if (config.container === 'mp4') {
+            muxerOptions.fastStart = 'in-memory';
+        }
+        this.muxer = new Muxer.Muxer(muxerOptions);
+
+        this.encoder = new VideoEncoder({
+            output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+            error: (error) => { this.error = error; }
+        });
+        this.encoder.configure(config.encoderConfig);
+
+        this.audioEncoder = null;
+        if (audio) {
+            this.audioEncoder = new AudioEncoder({
+                output: (chunk, meta) => this.muxer.addAudioChunk(chunk, meta),
+                error: (error) => { this.error = error; }
+            });
+            this.audioEncoder.configure(audio.config.encoderConfig);
+        }
+    }
+
+    /**
+     * Encode the current contents of a canvas as the given frame
+     * @param {HTMLCanvasElement} canvas - Canvas holding the rendered frame
+     * @param {number} frameIndex - Zero-based frame number
+     */
+    async addFrame(canvas, frameIndex) {
+        if (this.error) throw this.error;
+
+        // Let the encoder catch up so rendering never runs far ahead of it
+        while (this.encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            if (this.error) throw this.error;
+        }
+
+        const frameDuration = 1e6 / this.frameRate;
+        const frame = new VideoFrame(canvas, {
+            timestamp: Math.round(frameIndex * frameDuration),
+            duration: Math.round(frameDuration)
+        });
+
+        // A keyframe every two seconds keeps the file seekable
+        const keyFrame = frameIndex % Math.max(1, Math.round(this.frameRate * 2)) === 0;
+        this.encoder.encode(frame, { keyFrame });
+        frame.close();
+
+        // Keep the audio level with the video
+        this.encodeAudioUntil((frameIndex + 1) / this.frameRate);
+    }
+
+    /**
+     * Encode the audio track up to a point in time
+     * @param {number} time - End time in seconds
+     */
+    encodeAudioUntil(time) {
+        if (!this.audioEncoder) return;
+
+        const { buffer } = this.audio;
+        const end = Math.min(buffer.length, Math.round(time * buffer.sampleRate));
+
+        while (this.audioPosition < end) {
+            const frames = Math.min(AUDIO_BLOCK_SIZE, end - this.audioPosition);
+            const data = new Float32Array(frames * buffer.numberOfChannels);
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                data.set(buffer.getChannelData(channel).subarray(this.audioPosition, this.audioPosition + frames), channel * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: buffer.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: buffer.numberOfChannels,
+                timestamp: Math.round(this.audioPosition / buffer.sampleRate * 1e6),
+                data
+            });
+            this.audioEncoder.encode(audioData);
+            audioData.close();
+            this.audioPosition += frames;
+        }
+    }
+
+    /**
+     * Flush pending frames and build the output file
+     * @returns {Promise<Blob>} The muxed video file
+     */
+    async finalize() {
+        await this.encoder.flush();
+        if (this.audioEncoder) {
+            this.encodeAudioUntil(Infinity);
+            await this.audioEncoder.flush();
+        }
+        if (this.error) throw this.error;
+
+        this.muxer.finalize();
+        this.close();
+        return new Blob([this.target.buffer], { type: this.config.mimeType });
+    }
+
+    /**
+     * Release the encoder without producing a file
+     */
+    close() {
+        if (this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+        if (this.audioEncoder && this.audioEncoder.state !== 'closed') {
+            this.audioEncoder.close();
+        }
+    }
+}
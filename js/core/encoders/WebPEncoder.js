@@ -0,0 +1,132 @@
+/**
+ * WebPEncoder - Animated WebP writer
+ *
+ * Frames are encoded as still WebP images by the browser (canvas.toBlob) and then
+ * repackaged into a single animated RIFF container. The bitstream of each frame is
+ * copied unchanged, so lossless frames stay lossless and alpha is preserved.
+ */
+
+const VP8X_FLAG_ALPHA = 0x10;
+const VP8X_FLAG_ANIMATION = 0x02;
+const ANMF_FLAG_NO_BLEND = 0x02;
+
+export class WebPEncoder {
+    /**
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     * @param {Object} [options]
+     * @param {number} [options.loopCount=0] - Number of plays; 0 loops forever
+     * @param {boolean} [options.hasAlpha=false] - Whether frames contain transparency
+     */
+    constructor(width, height, { loopCount = 0, hasAlpha = false } = {}) {
+        this.width = width;
+        this.height = height;
+        this.loopCount = loopCount;
+        this.hasAlpha = hasAlpha;
+        this.frames = [];
+    }
+
+    /**
+     * Append a still WebP image as the next frame
+     * @param {Uint8Array} webp - Complete still WebP file
+     * @param {number} duration - Frame duration in milliseconds
+     */
+    addFrame(webp, duration) {
+        const frameData = extractFrameChunks(webp);
+
+        const header = new Uint8Array(16);
+        // X and Y offsets stay 0: every frame covers the full canvas
+        writeUint24(header, 6, this.width - 1);
+        writeUint24(header, 9, this.height - 1);
+        writeUint24(header, 12, Math.max(1, Math.round(duration)));
+        // Replace instead of blending so transparent pixels don't keep the previous frame
+        header[15] = ANMF_FLAG_NO_BLEND;
+
+        this.frames.push(chunk('ANMF', concat([header, ...frameData])));
+    }
+
+    /**
+     * Assemble the animation
+     * @returns {Blob} Animated WebP image
+     */
+    finish() {
+        const extended = new Uint8Array(10);
+        extended[0] = VP8X_FLAG_ANIMATION | (this.hasAlpha ? VP8X_FLAG_ALPHA : 0);
+        writeUint24(extended, 4, this.width - 1);
+        writeUint24(extended, 7, this.height - 1);
+
+        // Transparent background color (BGRA) followed by the loop count
+        const animation = new Uint8Array(6);
+        animation[4] = this.loopCount & 0xff;
+        animation[5] = (this.loopCount >> 8) & 0xff;
+
+        const body = concat([
+            ascii('WEBP'),
+            chunk('VP8X', extended),
+            chunk('ANIM', animation),
+            ...this.frames
+        ]);
+
+        const riffHeader = new Uint8Array(8);
+        riffHeader.set(ascii('RIFF'));
+        new DataView(riffHeader.buffer).setUint32(4, body.length, true);
+        return new Blob([riffHeader, body], { type: 'image/webp' });
+    }
+}
+
+// Pull the ALPH and VP8/VP8L chunks out of a still WebP file
+function extractFrameChunks(webp) {
+    const view = new DataView(webp.buffer, webp.byteOffset, webp.byteLength);
+    if (fourCC(webp, 0) !== 'RIFF' || fourCC(webp, 8) !== 'WEBP') {
+        throw new Error('Frame is not a WebP image');
+    }
+
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= webp.length) {
+        const type = fourCC(webp, offset);
+        const size = view.getUint32(offset + 4, true);
+        const end = offset + 8 + size + (size % 2);
+        if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+            chunks.push(webp.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    if (!chunks.some(data => fourCC(data, 0) !== 'ALPH')) {
+        throw new Error('WebP frame has no image data');
+    }
+    return chunks;
+}
+
+function chunk(type, payload) {
+    const output = new Uint8Array(8 + payload.length + (payload.length % 2));
+    output.set(ascii(type));
+    new DataView(output.buffer).setUint32(4, payload.length, true);
+    output.set(payload, 8);
+    return output;
+}
+
+function writeUint24(bytes, offset, value) {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >> 8) & 0xff;
+    bytes[offset + 2] = (value >> 16) & 0xff;
+}
+
+function fourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, character => character.charCodeAt(0));
+}
+
+function concat(arrays) {
+    const output = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+        output.set(array, offset);
+        offset += array.length;
+    });
+    return output;
+}
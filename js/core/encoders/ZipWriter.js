@@ -0,0 +1,186 @@
+/**
+ * ZipWriter - Streaming ZIP archive writer
+ *
+ * Writes entries one after another to a sink as soon as they are added, so only
+ * the small central directory is kept in memory. Entries are stored without
+ * recompression (PNG data is already deflated). ZIP64 records are added
+ * automatically once the archive grows past 4 GB.
+ *
+ * A sink is any object with async `write(data)` and `close()` methods, where data
+ * is a Uint8Array or Blob.
+ */
+
+import { crc32 } from './crc32.js';
+
+const ZIP64_LIMIT = 0xffffffff;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const UTF8_FLAG = 0x0800;
+
+export class ZipWriter {
+    /**
+     * @param {Object} sink - Destination with async write(data) and close()
+     * @param {Object} [options]
+     * @param {string} [options.folder=''] - Folder that every entry is placed in
+     */
+    constructor(sink, { folder = '' } = {}) {
+        this.sink = sink;
+        this.folder = folder ? `${folder}/` : '';
+        this.offset = 0;
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Append a stored entry
+     * @param {string} name - Path inside the archive
+     * @param {Blob|Uint8Array} data - File contents
+     * @param {number} crc - CRC-32 of the contents
+     */
+    async addFile(name, data, crc) {
+        const nameBytes = this.encoder.encode(this.folder + name);
+        const size = data instanceof Blob ? data.size : data.length;
+        const { time, date } = dosDateTime(new Date());
+
+        const header = new DataView(new ArrayBuffer(30 + nameBytes.length));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, VERSION_DEFAULT, true);
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, nameBytes.length, true);
+        new Uint8Array(header.buffer).set(nameBytes, 30);
+
+        this.entries.push({ nameBytes, size, crc, time, date, offset: this.offset });
+
+        await this.sink.write(new Uint8Array(header.buffer));
+        await this.sink.write(data);
+        this.offset += header.byteLength + size;
+    }
+
+    /**
+     * Add a UTF-8 text file
+     * @param {string} name - Path inside the archive
+     * @param {string} text - File contents
+     */
+    async addText(name, text) {
+        const bytes = this.encoder.encode(text);
+        await this.addFile(name, bytes, crc32(bytes));
+    }
+
+    /**
+     * Write the central directory and close the sink
+     */
+    async finish() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const needsZip64 = entry.offset > ZIP64_LIMIT;
+            const extraLength = needsZip64 ? 12 : 0;
+            const record = new DataView(new ArrayBuffer(46 + entry.nameBytes.length + extraLength));
+
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+            record.setUint16(6, needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+            record.setUint16(8, UTF8_FLAG, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint16(30, extraLength, true);
+            record.setUint32(42, needsZip64 ? ZIP64_LIMIT : entry.offset, true);
+            new Uint8Array(record.buffer).set(entry.nameBytes, 46);
+
+            if (needsZip64) {
+                const extra = 46 + entry.nameBytes.length;
+                record.setUint16(extra, 0x0001, true);
+                record.setUint16(extra + 2, 8, true);
+                record.setBigUint64(extra + 4, BigInt(entry.offset), true);
+            }
+
+            await this.sink.write(new Uint8Array(record.buffer));
+            directorySize += record.byteLength;
+        }
+
+        const needsZip64 = directoryOffset > ZIP64_LIMIT || this.entries.length > 0xffff;
+        if (needsZip64) {
+            await this.writeZip64End(directoryOffset, directorySize);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(this.entries.length, 0xffff), true);
+        end.setUint16(10, Math.min(this.entries.length, 0xffff), true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, needsZip64 ? ZIP64_LIMIT : directoryOffset, true);
+        await this.sink.write(new Uint8Array(end.buffer));
+
+        await this.sink.close();
+    }
+
+    /**
+     * Stop writing and discard the partial archive where the sink allows it
+     */
+    async abort() {
+        if (this.sink.abort) {
+            await this.sink.abort();
+        }
+    }
+
+    // ZIP64 end of central directory record and locator
+    async writeZip64End(directoryOffset, directorySize) {
+        const recordOffset = directoryOffset + directorySize;
+        const view = new DataView(new ArrayBuffer(76));
+
+        view.setUint32(0, 0x06064b50, true);
+        view.setBigUint64(4, 44n, true);
+        view.setUint16(12, VERSION_ZIP64, true);
+        view.setUint16(14, VERSION_ZIP64, true);
+        view.setBigUint64(24, BigInt(this.entries.length), true);
+        view.setBigUint64(32, BigInt(this.entries.length), true);
+        view.setBigUint64(40, BigInt(directorySize), true);
+        view.setBigUint64(48, BigInt(directoryOffset), true);
+
+        view.setUint32(56, 0x07064b50, true);
+        view.setBigUint64(64, BigInt(recordOffset), true);
+        view.setUint32(72, 1, true);
+
+        await this.sink.write(new Uint8Array(view.buffer));
+    }
+}
+
+/**
+ * Sink that collects parts into a Blob. Blob parts can be paged to disk by the
+ * browser, so this still avoids holding frames as strings or ArrayBuffers.
+ */
+export class BlobSink {
+    constructor(type = 'application/zip') {
+        this.type = type;
+        this.parts = [];
+        this.blob = null;
+    }
+
+    async write(data) {
+        this.parts.push(data);
+    }
+
+    async close() {
+        this.blob = new Blob(this.parts, { type: this.type });
+        this.parts = [];
+    }
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
@@ -0,0 +1,34 @@
+/**
+ * CRC-32 (IEEE 802.3) checksum, as used by PNG chunks and ZIP entries
+ */
+
+let crcTable = null;
+
+function getTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * Compute the CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {number} [previous=0] - CRC of the preceding data, to checksum in pieces
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes, previous = 0) {
+    const table = getTable();
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,54 @@
+/**
+ * BaseEffect - Base class for post-processing effects
+ *
+ * Effects run on the composited frame, after every layer has been drawn, in the
+ * order of the effects chain. They work on the CPU or with plain Canvas2D drawing,
+ * so the preview and every export produce the same pixels on any machine.
+ * Extend this class, implement apply() and describe the settings in getControls()
+ * with the same control definitions animations use.
+ */
+export class BaseEffect {
+    constructor(name = 'Untitled Effect') {
+        this.name = name;
+        this.enabled = true;
+        this.parameters = {};
+    }
+
+    /**
+     * Process a frame in place
+     * Override this method to implement the effect
+     *
+     * @param {CanvasRenderingContext2D} ctx - Context holding the composited frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} time - Time of the frame in seconds
+     * @param {number} scale - Output pixels per canvas pixel; multiply sizes in pixels by this
+     */
+    apply(ctx, width, height, time, scale = 1) {
+        console.warn(`Effect '${this.name}' should implement apply method`);
+    }
+
+    /**
+     * Whether the current settings change the frame at all, so the chain can skip it
+     * @returns {boolean} True if apply() would leave the frame as it is
+     */
+    isNeutral() {
+        return false;
+    }
+
+    setParameter(key, value) {
+        this.parameters[key] = value;
+    }
+
+    getParameter(key, defaultValue = null) {
+        return this.parameters.hasOwnProperty(key) ? this.parameters[key] : defaultValue;
+    }
+
+    /**
+     * Get effect controls for the UI, in the format of BaseAnimation.getControls()
+     * @returns {Array} Array of control objects
+     */
+    getControls() {
+        return [];
+    }
+}
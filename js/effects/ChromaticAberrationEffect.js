@@ -0,0 +1,96 @@
+import { BaseEffect } from './BaseEffect.js';
+
+/**
+ * ChromaticAberrationEffect - Red and blue pulled apart towards the edges, like a cheap lens
+ *
+ * Red is sampled further from the center and blue closer to it; the shift grows
+ * from nothing at the center to the set amount at the corners.
+ */
+export class ChromaticAberrationEffect extends BaseEffect {
+    constructor() {
+        super('Chromatic Aberration');
+        this.setParameter('amount', 4);
+    }
+
+    isNeutral() {
+        return this.getParameter('amount') === 0;
+    }
+
+    apply(ctx, width, height, time, scale = 1) {
+        const image = ctx.getImageData(0, 0, width, height);
+        const source = new Uint8ClampedArray(image.data);
+        const data = image.data;
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const shift = this.getParameter('amount') * scale / Math.hypot(centerX, centerY);
+        const result = new Float64Array(2);
+
+        for (let y = 0; y < height; y++) {
+            const dy = y + 0.5 - centerY;
+            for (let x = 0; x < width; x++) {
+                const dx = x + 0.5 - centerX;
+                const i = (y * width + x) * 4;
+
+                sample(source, width, height, centerX + dx * (1 + shift), centerY + dy * (1 + shift), 0, result);
+                const red = result[0];
+                const redAlpha = result[1];
+                sample(source, width, height, centerX + dx * (1 - shift), centerY + dy * (1 - shift), 2, result);
+                const blue = result[0];
+                const blueAlpha = result[1];
+                const greenAlpha = source[i + 3];
+                const green = source[i + 1] * greenAlpha / 255;
+
+                // Channels are mixed premultiplied; the result is as opaque as the most opaque sample
+                const alpha = Math.max(redAlpha, greenAlpha, blueAlpha);
+                const unpremultiply = alpha > 0 ? 255 / alpha : 0;
+                data[i] = red * unpremultiply;
+                data[i + 1] = green * unpremultiply;
+                data[i + 2] = blue * unpremultiply;
+                data[i + 3] = alpha;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    getControls() {
+        return [
+            {
+                type: 'range',
+                key: 'amount',
+                label: 'Amount (px)',
+                min: 0,
+                max: 20,
+                step: 0.5,
+                default: 4,
+                value: this.getParameter('amount', 4),
+                callback: (value) => this.setParameter('amount', parseFloat(value))
+            }
+        ];
+    }
+}
+
+/**
+ * Bilinear sample of one channel at a pixel position, clamped to the edges
+ * @param {Float64Array} result - Receives the premultiplied channel value and the alpha
+ */
+function sample(data, width, height, x, y, channel, result) {
+    const fx = Math.min(width - 1, Math.max(0, x - 0.5));
+    const fy = Math.min(height - 1, Math.max(0, y - 0.5));
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const i00 = (y0 * width + x0) * 4;
+    const i10 = i00 + (x0 < width - 1 ? 4 : 0);
+    const i01 = i00 + (y0 < height - 1 ? width * 4 : 0);
+    const i11 = i01 + (i10 - i00);
+
+    const a00 = data[i00 + 3] * (1 - tx) * (1 - ty);
+    const a10 = data[i10 + 3] * tx * (1 - ty);
+    const a01 = data[i01 + 3] * (1 - tx) * ty;
+    const a11 = data[i11 + 3] * tx * ty;
+
+    result[0] = (data[i00 + channel] * a00 + data[i10 + channel] * a10 + data[i01 + channel] * a01 + data[i11 + channel] * a11) / 255;
+    result[1] = a00 + a10 + a01 + a11;
+}
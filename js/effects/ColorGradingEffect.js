@@ -0,0 +1,118 @@
+import { BaseEffect } from './BaseEffect.js';
+
+const DEFAULTS = { exposure: 0, contrast: 1, saturation: 1, temperature: 0, tint: 0 };
+const BALANCE_RANGE = 0.2; // Channel gain change at full temperature or tint
+
+/**
+ * ColorGradingEffect - Exposure, white balance, contrast and saturation
+ *
+ * Exposure, temperature, tint and contrast work on each channel separately and
+ * are baked into lookup tables; saturation then mixes each pixel with its luma.
+ */
+export class ColorGradingEffect extends BaseEffect {
+    constructor() {
+        super('Color Grading');
+        Object.entries(DEFAULTS).forEach(([key, value]) => this.setParameter(key, value));
+    }
+
+    isNeutral() {
+        return Object.entries(DEFAULTS).every(([key, value]) => this.getParameter(key) === value);
+    }
+
+    apply(ctx, width, height) {
+        const exposure = Math.pow(2, this.getParameter('exposure'));
+        const contrast = this.getParameter('contrast');
+        const saturation = this.getParameter('saturation');
+        const temperature = this.getParameter('temperature') * BALANCE_RANGE;
+        const tint = this.getParameter('tint') * BALANCE_RANGE;
+
+        // Warmer adds red and removes blue; positive tint leans to magenta
+        const gains = [
+            exposure * (1 + temperature) * (1 + tint / 2),
+            exposure * (1 - tint),
+            exposure * (1 - temperature) * (1 + tint / 2)
+        ];
+        const tables = gains.map(gain => {
+            const table = new Float32Array(256);
+            for (let value = 0; value < 256; value++) {
+                const graded = (value / 255 * gain - 0.5) * contrast + 0.5;
+                table[value] = Math.min(1, Math.max(0, graded)) * 255;
+            }
+            return table;
+        });
+        const [red, green, blue] = tables;
+
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const r = red[data[i]];
+            const g = green[data[i + 1]];
+            const b = blue[data[i + 2]];
+            const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            data[i] = luma + (r - luma) * saturation;
+            data[i + 1] = luma + (g - luma) * saturation;
+            data[i + 2] = luma + (b - luma) * saturation;
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    getControls() {
+        return [
+            {
+                type: 'range',
+                key: 'exposure',
+                label: 'Exposure',
+                min: -2,
+                max: 2,
+                step: 0.1,
+                default: 0,
+                value: this.getParameter('exposure', 0),
+                callback: (value) => this.setParameter('exposure', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'contrast',
+                label: 'Contrast',
+                min: 0,
+                max: 2,
+                step: 0.05,
+                default: 1,
+                value: this.getParameter('contrast', 1),
+                callback: (value) => this.setParameter('contrast', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'saturation',
+                label: 'Saturation',
+                min: 0,
+                max: 2,
+                step: 0.05,
+                default: 1,
+                value: this.getParameter('saturation', 1),
+                callback: (value) => this.setParameter('saturation', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'temperature',
+                label: 'Temperature',
+                min: -1,
+                max: 1,
+                step: 0.05,
+                default: 0,
+                value: this.getParameter('temperature', 0),
+                callback: (value) => this.setParameter('temperature', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'tint',
+                label: 'Tint',
+                min: -1,
+                max: 1,
+                step: 0.05,
+                default: 0,
+                value: this.getParameter('tint', 0),
+                callback: (value) => this.setParameter('tint', parseFloat(value))
+            }
+        ];
+    }
+}
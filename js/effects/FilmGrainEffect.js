@@ -0,0 +1,77 @@
+import { BaseEffect } from './BaseEffect.js';
+
+const GRAIN_RATE = 24; // New grain pattern this many times a second
+
+/**
+ * FilmGrainEffect - Monochrome noise added to every pixel
+ *
+ * The pattern comes from a hash of the grain cell and the time, so a frame always
+ * gets the same grain however often and in whatever order it is rendered.
+ */
+export class FilmGrainEffect extends BaseEffect {
+    constructor() {
+        super('Film Grain');
+        this.setParameter('amount', 0.15);
+        this.setParameter('size', 1);
+    }
+
+    isNeutral() {
+        return this.getParameter('amount') === 0;
+    }
+
+    apply(ctx, width, height, time, scale = 1) {
+        const strength = this.getParameter('amount') * 255;
+        const size = Math.max(1, Math.round(this.getParameter('size') * scale));
+        const frame = Math.floor(time * GRAIN_RATE);
+
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+        for (let y = 0; y < height; y++) {
+            const cellY = Math.floor(y / size);
+            for (let x = 0; x < width; x++) {
+                const offset = (hash(Math.floor(x / size), cellY, frame) - 0.5) * strength;
+                const i = (y * width + x) * 4;
+                // The clamped array keeps values within 0-255
+                data[i] += offset;
+                data[i + 1] += offset;
+                data[i + 2] += offset;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    getControls() {
+        return [
+            {
+                type: 'range',
+                key: 'amount',
+                label: 'Amount',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                default: 0.15,
+                value: this.getParameter('amount', 0.15),
+                callback: (value) => this.setParameter('amount', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'size',
+                label: 'Size (px)',
+                min: 1,
+                max: 8,
+                step: 1,
+                default: 1,
+                value: this.getParameter('size', 1),
+                callback: (value) => this.setParameter('size', parseInt(value))
+            }
+        ];
+    }
+}
+
+// Well-mixed value in [0, 1) for a grain cell and frame
+function hash(x, y, frame) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(frame, 2246822519);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
@@ -0,0 +1,84 @@
+import { BaseEffect } from './BaseEffect.js';
+
+/**
+ * PixelateEffect - Replaces blocks of pixels with their average color
+ *
+ * The grid is centered on the frame and the block size scales with the export,
+ * so @2x exports show the same blocks as the preview. Colors are averaged
+ * weighted by alpha, so transparent pixels don't darken the blocks.
+ */
+export class PixelateEffect extends BaseEffect {
+    constructor() {
+        super('Pixelate');
+        this.setParameter('size', 8);
+    }
+
+    isNeutral() {
+        return this.getParameter('size') <= 1;
+    }
+
+    apply(ctx, width, height, time, scale = 1) {
+        const size = Math.max(1, Math.round(this.getParameter('size') * scale));
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+
+        // Blocks cut by the frame edges are split evenly between both sides
+        const originX = -Math.round((size - width % size) % size / 2);
+        const originY = -Math.round((size - height % size) % size / 2);
+
+        for (let top = originY; top < height; top += size) {
+            const y0 = Math.max(0, top);
+            const y1 = Math.min(height, top + size);
+            for (let left = originX; left < width; left += size) {
+                const x0 = Math.max(0, left);
+                const x1 = Math.min(width, left + size);
+
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        const i = (y * width + x) * 4;
+                        const alpha = data[i + 3];
+                        r += data[i] * alpha;
+                        g += data[i + 1] * alpha;
+                        b += data[i + 2] * alpha;
+                        a += alpha;
+                    }
+                }
+
+                const count = (y1 - y0) * (x1 - x0);
+                const alpha = a / count;
+                if (a > 0) {
+                    r /= a;
+                    g /= a;
+                    b /= a;
+                }
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        const i = (y * width + x) * 4;
+                        data[i] = r;
+                        data[i + 1] = g;
+                        data[i + 2] = b;
+                        data[i + 3] = alpha;
+                    }
+                }
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    getControls() {
+        return [
+            {
+                type: 'range',
+                key: 'size',
+                label: 'Block Size (px)',
+                min: 1,
+                max: 64,
+                step: 1,
+                default: 8,
+                value: this.getParameter('size', 8),
+                callback: (value) => this.setParameter('size', parseInt(value))
+            }
+        ];
+    }
+}
@@ -0,0 +1,94 @@
+import { BaseEffect } from './BaseEffect.js';
+
+/**
+ * VignetteEffect - Darkens (or tints) the frame towards the corners
+ *
+ * Sizes are fractions of the distance from the center to a corner, so the
+ * vignette looks the same at every export resolution. Only drawn pixels are
+ * tinted; transparent areas stay transparent.
+ */
+export class VignetteEffect extends BaseEffect {
+    constructor() {
+        super('Vignette');
+        this.setParameter('amount', 0.5);
+        this.setParameter('radius', 0.75);
+        this.setParameter('softness', 0.5);
+        this.setParameter('color', '#000000');
+    }
+
+    isNeutral() {
+        return this.getParameter('amount') === 0;
+    }
+
+    apply(ctx, width, height) {
+        const radius = this.getParameter('radius');
+        const softness = this.getParameter('softness');
+        const [r, g, b] = hexToRgb(this.getParameter('color'));
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const corner = Math.hypot(centerX, centerY);
+        const inner = Math.max(0, radius - softness / 2) * corner;
+        const outer = Math.max(inner + 1, (radius + softness / 2) * corner);
+
+        const gradient = ctx.createRadialGradient(centerX, centerY, inner, centerX, centerY, outer);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0)`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${this.getParameter('amount')})`);
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-atop';
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+    }
+
+    getControls() {
+        return [
+            {
+                type: 'range',
+                key: 'amount',
+                label: 'Amount',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                default: 0.5,
+                value: this.getParameter('amount', 0.5),
+                callback: (value) => this.setParameter('amount', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'radius',
+                label: 'Radius',
+                min: 0.2,
+                max: 1.5,
+                step: 0.05,
+                default: 0.75,
+                value: this.getParameter('radius', 0.75),
+                callback: (value) => this.setParameter('radius', parseFloat(value))
+            },
+            {
+                type: 'range',
+                key: 'softness',
+                label: 'Softness',
+                min: 0.05,
+                max: 1,
+                step: 0.05,
+                default: 0.5,
+                value: this.getParameter('softness', 0.5),
+                callback: (value) => this.setParameter('softness', parseFloat(value))
+            },
+            {
+                type: 'color',
+                key: 'color',
+                label: 'Color',
+                value: this.getParameter('color', '#000000'),
+                callback: (value) => this.setParameter('color', value)
+            }
+        ];
+    }
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
@@ -1,5 +1,25 @@
-import { CanvasManager } from './core/CanvasManager.js';
+import { CanvasManager, clampCanvasSize } from './core/CanvasManager.js';
+import { LayerPanel } from './core/LayerPanel.js';
+import { SequencePanel } from './core/SequencePanel.js';
 import { SampleAnimation } from './animations/SampleAnimation.js';
+import { EASING_LABELS } from './animations/Keyframes.js';
+import { MAX_SEED } from './animations/SeededRandom.js';
+import { createControl } from './core/ControlFactory.js';
+import { EffectPanel } from './core/EffectPanel.js';
+import { PresetStore } from './core/PresetStore.js';
+import { ProjectManager } from './core/ProjectManager.js';
+import { HistoryPanel } from './core/HistoryPanel.js';
+import { UrlState } from './core/UrlState.js';
+import { isSameValue } from './core/ValueEquality.js';
+import { showToast } from './core/Notifications.js';
+import { FilmGrainEffect } from './effects/FilmGrainEffect.js';
+import { VignetteEffect } from './effects/VignetteEffect.js';
+import { BlurEffect } from './effects/BlurEffect.js';
+import { ChromaticAberrationEffect } from './effects/ChromaticAberrationEffect.js';
+import { ColorGradingEffect } from './effects/ColorGradingEffect.js';
+import { PixelateEffect } from './effects/PixelateEffect.js';
+
+const DEFAULT_ANIMATION_ID = 'sample';
 
 /**
  * Animation Registry
@@ -59,6 +79,20 @@ class AnimationRegistry {
         return null;
     }
 
+    /**
+     * Create an instance with the speed, seed, parameters and keyframes of another
+     * @param {string} id - Animation ID
+     * @param {BaseAnimation} animation - Instance to copy
+     * @returns {BaseAnimation|null} Independent copy or null if not found
+     */
+    createCopy(id, animation) {
+        const copy = this.create(id);
+        if (copy) {
+            copy.setState(animation.getState());
+        }
+        return copy;
+    }
+
     /**
      * Check if an animation is registered
      * @param {string} id - Animation ID
@@ -69,6 +103,67 @@ class AnimationRegistry {
     }
 }
 
+/**
+ * Effect Registry
+ * 
+ * Post-processing effects that can be added to the effects chain, registered
+ * the same way as animations.
+ */
+class EffectRegistry {
+    constructor() {
+        this.effects = new Map();
+        this.registerBuiltInEffects();
+    }
+
+    /**
+     * Register built-in effects
+     */
+    registerBuiltInEffects() {
+        this.register('grain', FilmGrainEffect, 'Film Grain');
+        this.register('vignette', VignetteEffect, 'Vignette');
+        this.register('blur', BlurEffect, 'Blur');
+        this.register('chromatic-aberration', ChromaticAberrationEffect, 'Chromatic Aberration');
+        this.register('color-grading', ColorGradingEffect, 'Color Grading');
+        this.register('pixelate', PixelateEffect, 'Pixelate');
+    }
+
+    /**
+     * Register a new effect
+     * @param {string} id - Unique identifier for the effect
+     * @param {class} EffectClass - The effect class
+     * @param {string} displayName - Human-readable name for the effect
+     */
+    register(id, EffectClass, displayName) {
+        this.effects.set(id, {
+            id,
+            class: EffectClass,
+            displayName: displayName || EffectClass.name
+        });
+    }
+
+    /**
+     * Get all registered effects
+     * @returns {Array} Array of effect info objects
+     */
+    getAll() {
+        return Array.from(this.effects.values());
+    }
+
+    /**
+     * Create an instance of an effect
+     * @param {string} id - Effect ID
+     * @returns {BaseEffect|null} Effect instance or null if not found
+     */
+    create(id) {
+        const effectInfo = this.effects.get(id);
+        if (effectInfo) {
+            return new effectInfo.class();
+        }
+        console.error(`Effect '${id}' not found in registry`);
+        return null;
+    }
+}
+
 /**
  * Animation Control UI Manager
  * 
@@ -79,10 +174,23 @@ class AnimationControlUI {
     constructor(canvasManager, animationRegistry) {
         this.canvasManager = canvasManager;
         this.animationRegistry = animationRegistry;
+        this.currentLayer = null;
         this.currentAnimation = null;
         this.controlsContainer = null;
+        this.keyframeControls = [];
+        this.builtControls = [];
+        this.presetStore = new PresetStore();
         
         this.createUI();
+        this.syncKeyframedControls();
+        
+        this.updatePlayPauseButton();
+        
+        // The controls always edit the selected layer; markers follow its time offset
+        this.canvasManager.layers.subscribe(layers => {
+            this.showLayer(layers.selected);
+            this.updateKeyframeMarkers();
+        });
     }
 
     /**
@@ -107,6 +215,29 @@ class AnimationControlUI {
                 <button id="play-pause-btn" class="control-btn">Play</button>
                 <button id="reset-btn" class="control-btn">Reset</button>
             </div>
+            <div class="frame-control-row inline-input-row">
+                <label for="seed-input">Seed:</label>
+                <input type="number" id="seed-input" min="0" max="4294967295" step="1" value="1">
+                <button id="reroll-seed-btn" class="control-btn" title="Pick a new random seed">Re-roll</button>
+            </div>
+            <div class="frame-control-row inline-input-row preset-row">
+                <label for="preset-select">Preset:</label>
+                <select id="preset-select"></select>
+                <button id="preset-delete-btn" class="control-btn" title="Delete the selected preset">Delete</button>
+            </div>
+            <div class="frame-control-row inline-input-row">
+                <input type="text" id="preset-name" placeholder="Preset name" maxlength="60">
+                <button id="preset-save-btn" class="control-btn" title="Save speed and parameters under this name">Save</button>
+            </div>
+            <div class="frame-control-row">
+                <label for="preset-include-canvas">Include canvas size and background:</label>
+                <input type="checkbox" id="preset-include-canvas">
+            </div>
+            <div class="animation-controls">
+                <button id="preset-export-btn" class="control-btn" title="Download all saved presets as a JSON file">Export Presets</button>
+                <button id="preset-import-btn" class="control-btn" title="Add presets from a JSON file">Import Presets</button>
+            </div>
+            <input type="file" id="preset-import-input" accept=".json,application/json" style="display: none;">
             <div id="animation-parameters"></div>
         `;
         
@@ -143,9 +274,16 @@ class AnimationControlUI {
         document.getElementById('animation-select').addEventListener('change', (e) => {
             const animationId = e.target.value;
             if (animationId) {
-                this.loadAnimation(animationId);
+                const layer = this.currentLayer;
+                const name = e.target.selectedOptions[0].textContent;
+                // Switching is an undo step; loading into a new layer isn't
+                if (layer && this.animationRegistry.has(layer.animationId)) {
+                    this.editLayer(`Switch to ${name}`, () => this.loadAnimation(animationId));
+                } else {
+                    this.loadAnimation(animationId);
+                }
             } else {
-                this.clearAnimation();
+                this.showLayer(this.currentLayer, { force: true });
             }
         });
 
@@ -158,30 +296,316 @@ class AnimationControlUI {
         document.getElementById('reset-btn').addEventListener('click', () => {
             this.resetAnimation();
         });
+
+        // Seed for the animation's random numbers and noise
+        document.getElementById('seed-input').addEventListener('change', (e) => {
+            this.editLayer('Seed', () => this.setSeed(parseInt(e.target.value) || 0));
+        });
+
+        document.getElementById('reroll-seed-btn').addEventListener('click', () => {
+            this.editLayer('Re-roll seed', () => this.setSeed(Math.floor(Math.random() * MAX_SEED)));
+        });
+
+        // Presets
+        document.getElementById('preset-select').addEventListener('change', (e) => {
+            const preset = this.getPreset(e.target.value);
+            if (preset) {
+                this.editLayer(`Preset ${preset.name}`, () => this.applyPreset(preset, e.target.value));
+            }
+            this.updatePresetButtons();
+        });
+
+        document.getElementById('preset-save-btn').addEventListener('click', () => this.savePreset());
+
+        document.getElementById('preset-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.savePreset();
+        });
+
+        document.getElementById('preset-delete-btn').addEventListener('click', () => this.deletePreset());
+
+        document.getElementById('preset-export-btn').addEventListener('click', () => this.exportPresets());
+
+        document.getElementById('preset-import-btn').addEventListener('click', () => {
+            document.getElementById('preset-import-input').click();
+        });
+
+        document.getElementById('preset-import-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importPresets(file);
+            }
+        });
     }
 
     /**
-     * Load and activate an animation
+     * Load an animation into the selected layer, or into a new layer when nothing
+     * is selected or the selection is an image layer
      * @param {string} animationId - ID of the animation to load
      */
     loadAnimation(animationId) {
         const animation = this.animationRegistry.create(animationId);
-        if (animation) {
-            this.currentAnimation = animation;
-            this.canvasManager.setAnimation(animation);
-            this.createParameterControls();
-            this.updatePlayPauseButton();
+        if (!animation) return;
+        
+        const layers = this.canvasManager.layers;
+        if (this.currentLayer && this.animationRegistry.has(this.currentLayer.animationId)) {
+            layers.replaceAnimation(this.currentLayer, animation, animationId);
+        } else {
+            layers.add(animation, { animationId });
         }
     }
 
     /**
-     * Clear the current animation
+     * Show the animation, seed and parameters of a layer
+     * @param {Layer|null} layer - Layer to edit
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Rebuild even if the layer is already shown
      */
-    clearAnimation() {
-        this.currentAnimation = null;
-        this.canvasManager.setAnimation(null);
-        this.clearParameterControls();
-        this.updatePlayPauseButton();
+    showLayer(layer, { force = false } = {}) {
+        const animation = layer ? layer.animation : null;
+        if (!force && layer === this.currentLayer && animation === this.currentAnimation) return;
+        
+        this.currentLayer = layer;
+        this.currentAnimation = animation;
+        
+        const known = layer && this.animationRegistry.has(layer.animationId);
+        document.getElementById('animation-select').value = known ? layer.animationId : '';
+        document.getElementById('seed-input').value = animation ? animation.seed : 1;
+        this.createParameterControls();
+        this.updatePresetSelect();
+    }
+
+    // Presets belong to a registered animation; image layers have none
+    getPresetAnimationId() {
+        const layer = this.currentLayer;
+        return layer && this.animationRegistry.has(layer.animationId) ? layer.animationId : null;
+    }
+
+    /**
+     * Fill the preset list with the animation's built-in presets and the saved ones
+     * @param {string} [selected=''] - Value of the option to select
+     */
+    updatePresetSelect(selected = '') {
+        const select = document.getElementById('preset-select');
+        const animationId = this.getPresetAnimationId();
+        select.innerHTML = '';
+        select.add(new Option(animationId ? 'Choose preset...' : 'No presets', ''));
+        
+        if (animationId) {
+            const builtIn = this.currentAnimation.constructor.presets || [];
+            const saved = this.presetStore.getAll(animationId);
+            [['Built-in', builtIn.map((preset, index) => [preset.name, `builtin:${index}`])],
+                ['Saved', saved.map(preset => [preset.name, `saved:${preset.name}`])]]
+                .filter(([, options]) => options.length > 0)
+                .forEach(([label, options]) => {
+                    const group = document.createElement('optgroup');
+                    group.label = label;
+                    options.forEach(([name, value]) => group.appendChild(new Option(name, value)));
+                    select.appendChild(group);
+                });
+        }
+        
+        select.value = selected;
+        ['preset-select', 'preset-name', 'preset-save-btn'].forEach(id => {
+            document.getElementById(id).disabled = !animationId;
+        });
+        this.updatePresetButtons();
+    }
+
+    updatePresetButtons() {
+        // Built-in presets can't be deleted
+        const value = document.getElementById('preset-select').value;
+        document.getElementById('preset-delete-btn').disabled = !value.startsWith('saved:');
+    }
+
+    /**
+     * Look up a preset by the value of its option
+     * @param {string} value - 'builtin:<index>' or 'saved:<name>'
+     * @returns {Object|null} Preset or null if there is none
+     */
+    getPreset(value) {
+        const animationId = this.getPresetAnimationId();
+        if (!animationId) return null;
+        
+        if (value.startsWith('builtin:')) {
+            const builtIn = this.currentAnimation.constructor.presets || [];
+            return builtIn[Number(value.slice('builtin:'.length))] || null;
+        }
+        if (value.startsWith('saved:')) {
+            return this.presetStore.get(animationId, value.slice('saved:'.length));
+        }
+        return null;
+    }
+
+    /**
+     * Restore the values of a preset into the current animation and rebuild its controls
+     * Parameters of the preset lose their keyframes, so the preset looks as it was saved
+     * 
+     * @param {Object} preset - { name, speed?, parameters, canvas?, background? }
+     * @param {string} value - Value of the preset's option, kept selected
+     */
+    applyPreset(preset, value) {
+        const animation = this.currentAnimation;
+        if (preset.speed !== undefined) {
+            animation.setParameter('speed', preset.speed);
+        }
+        const rejected = Object.entries(preset.parameters).filter(([key, parameterValue]) => {
+            animation.clearKeyframes(key);
+            return !animation.setParameter(key, parameterValue);
+        });
+        
+        const { canvas, background } = preset;
+        if (canvas && Number.isFinite(canvas.width) && Number.isFinite(canvas.height)) {
+            this.canvasManager.setCanvasSize(clampCanvasSize(canvas.width), clampCanvasSize(canvas.height));
+        }
+        if (background && /^#[0-9a-f]{6}$/i.test(background.color)) {
+            this.canvasManager.setBackground(background.color, Boolean(background.transparent));
+        }
+        
+        this.showLayer(this.currentLayer, { force: true });
+        this.updatePresetSelect(value);
+        if (value.startsWith('saved:')) {
+            document.getElementById('preset-name').value = preset.name;
+        }
+        if (rejected.length > 0) {
+            showToast(`Preset "${preset.name}" kept the current value of: ${rejected.map(([key]) => key).join(', ')}`,
+                { type: 'warning' });
+        }
+    }
+
+    /**
+     * Save the current speed and parameter values under the typed name
+     */
+    savePreset() {
+        const animationId = this.getPresetAnimationId();
+        const name = document.getElementById('preset-name').value.trim();
+        if (!animationId) return;
+        if (!name) {
+            showToast('Enter a name for the preset', { type: 'warning' });
+            return;
+        }
+        
+        const { speed, parameters } = this.currentAnimation.getSerializableState();
+        const preset = { name, speed, parameters };
+        if (document.getElementById('preset-include-canvas').checked) {
+            const { width, height, backgroundColor, isTransparent } = this.canvasManager;
+            preset.canvas = { width, height };
+            preset.background = { color: backgroundColor, transparent: isTransparent };
+        }
+        
+        const replaced = Boolean(this.presetStore.get(animationId, name));
+        try {
+            this.presetStore.save(animationId, preset);
+        } catch (error) {
+            showToast(error.message, { type: 'error' });
+            return;
+        }
+        this.updatePresetSelect(`saved:${name}`);
+        showToast(replaced ? `Updated preset "${name}"` : `Saved preset "${name}"`, { type: 'success' });
+    }
+
+    deletePreset() {
+        const value = document.getElementById('preset-select').value;
+        const animationId = this.getPresetAnimationId();
+        if (!animationId || !value.startsWith('saved:')) return;
+        
+        const name = value.slice('saved:'.length);
+        try {
+            this.presetStore.remove(animationId, name);
+        } catch (error) {
+            showToast(error.message, { type: 'error' });
+            return;
+        }
+        this.updatePresetSelect();
+        showToast(`Deleted preset "${name}"`);
+    }
+
+    /**
+     * Download every saved preset, of all animations, as one JSON file
+     */
+    exportPresets() {
+        if (Object.keys(this.presetStore.presets).length === 0) {
+            showToast('There are no saved presets to export');
+            return;
+        }
+        this.canvasManager.exportManager.downloadBlob(this.presetStore.export(), `sv-tools-presets-${Date.now()}.json`);
+    }
+
+    /**
+     * Add the presets of a JSON file written by Export Presets
+     * @param {File} file - Presets file
+     */
+    async importPresets(file) {
+        try {
+            const count = this.presetStore.import(await file.text());
+            this.updatePresetSelect();
+            showToast(`Imported ${count} preset${count === 1 ? '' : 's'}`, { type: 'success' });
+        } catch (error) {
+            showToast(`Could not import ${file.name}: ${error.message}`, { type: 'error' });
+        }
+    }
+
+    /**
+     * Make a change to the selected layer's animation as one undo step
+     * The step restores the animation's state and the canvas settings, so it covers
+     * parameters, keyframes, seed, switching animations and presets alike
+     * 
+     * @param {string} label - Name of the step in the history list
+     * @param {function()} change - Makes the change
+     * @param {string} [mergeKey] - Merges quick successive changes, e.g. a slider drag
+     */
+    editLayer(label, change, mergeKey) {
+        const layer = this.currentLayer;
+        if (!layer) {
+            change();
+            return;
+        }
+        
+        const capture = () => ({
+            animationId: layer.animationId,
+            state: layer.animation.getState(),
+            frame: this.canvasManager.getFrameSettings()
+        });
+        const before = capture();
+        change();
+        const after = capture();
+        if (isSameValue(before, after)) return;
+        this.canvasManager.history.push({
+            label,
+            mergeKey: mergeKey && `${layer.id}:${mergeKey}`,
+            undo: () => this.restoreLayer(layer, before),
+            redo: () => this.restoreLayer(layer, after)
+        });
+    }
+
+    // Bring back a state captured by editLayer() and show the layer
+    restoreLayer(layer, saved) {
+        const layers = this.canvasManager.layers;
+        // Layers removed since then are left alone
+        if (!layers.layers.includes(layer)) return;
+        
+        if (layer.animationId !== saved.animationId) {
+            const animation = this.animationRegistry.create(saved.animationId);
+            animation.setState(saved.state);
+            layers.replaceAnimation(layer, animation, saved.animationId);
+        } else {
+            layer.animation.setState(saved.state);
+        }
+        this.canvasManager.setFrameSettings(saved.frame);
+        layers.select(layer);
+        this.showLayer(layer, { force: true });
+    }
+
+    /**
+     * Set the seed of the current animation
+     * @param {number} seed - New seed
+     */
+    setSeed(seed) {
+        const value = Math.min(MAX_SEED, Math.max(0, Math.floor(seed)));
+        document.getElementById('seed-input').value = value;
+        if (this.currentAnimation) {
+            this.currentAnimation.setSeed(value);
+        }
     }
 
     /**
@@ -189,95 +613,185 @@ class AnimationControlUI {
      */
     createParameterControls() {
         this.clearParameterControls();
+        this.keyframeControls = [];
+        this.updateKeyframeMarkers();
         
         if (!this.currentAnimation) return;
         
         const controls = this.currentAnimation.getControls();
         
         controls.forEach(control => {
-            if (control.type === 'divider') {
-                this.createDivider(control.label);
-            } else if (control.type === 'range') {
-                this.createRangeControl(control);
-            } else if (control.type === 'color') {
-                this.createColorControl(control);
+            // Every edit is an undo step; slider drags and typing merge into one
+            const edited = control.callback ? {
+                ...control,
+                callback: (value) => this.editLayer(control.label, () => {
+                    control.callback(value);
+                    this.recordKeyframe(control.key);
+                }, `control:${control.key || control.label}`)
+            } : control;
+            const built = createControl(edited);
+            if (!built) return;
+            
+            this.builtControls.push(built);
+            this.controlsContainer.appendChild(built.element);
+            if (built.showValue) {
+                this.addKeyframeToggle(built.element, control, built.showValue);
             }
         });
     }
 
     /**
-     * Create a divider with label
+     * Add a keyframe toggle to a control row, with the list of its keyframes below
+     * @param {HTMLElement} row - Control row, already in the panel
+     * @param {Object} control - Control definition from getControls()
+     * @param {function(any)} showValue - Shows an animated value in the control
      */
-    createDivider(label) {
-        const divider = document.createElement('div');
-        divider.className = 'controls-section';
-        divider.style.marginBottom = '16px';
-        divider.style.marginTop = '16px';
-        divider.innerHTML = `<h4>${label}</h4>`;
-        this.controlsContainer.appendChild(divider);
-    }
-
-    /**
-     * Create a range slider control
-     */
-    createRangeControl(control) {
-        const container = document.createElement('div');
-        container.className = 'frame-control-row';
+    addKeyframeToggle(row, control, showValue) {
+        const animation = this.currentAnimation;
+        const { key } = control;
         
-        const label = document.createElement('label');
-        label.textContent = control.label + ':';
+        // Only parameters can be keyframed; speed is a playback setting
+        if (!key || !animation.isAnimatable(key)) return;
         
-        const slider = document.createElement('input');
-        slider.type = 'range';
-        slider.min = control.min;
-        slider.max = control.max;
-        slider.step = control.step;
-        slider.value = control.value;
-        slider.style.flex = '1';
+        const toggle = document.createElement('button');
+        toggle.className = 'keyframe-toggle';
+        toggle.textContent = '◆';
+        row.appendChild(toggle);
         
-        const valueDisplay = document.createElement('span');
-        valueDisplay.textContent = control.value;
+        const list = document.createElement('div');
+        list.className = 'keyframe-list';
+        row.after(list);
         
-        slider.addEventListener('input', (e) => {
-            const value = e.target.value;
-            valueDisplay.textContent = value;
-            control.callback(value);
+        const entry = { key, label: control.label, showValue, toggle, list };
+        this.keyframeControls.push(entry);
+        
+        toggle.addEventListener('click', () => {
+            if (animation.hasKeyframes(key)) {
+                this.editLayer(`Remove keyframes of ${control.label}`, () => animation.clearKeyframes(key));
+            } else {
+                this.editLayer(`Animate ${control.label}`,
+                    () => animation.setKeyframe(key, this.getPlayheadTime(), animation.getParameter(key)));
+            }
+            this.updateKeyframeList(entry);
         });
         
-        container.appendChild(label);
-        container.appendChild(slider);
-        container.appendChild(valueDisplay);
-        this.controlsContainer.appendChild(container);
+        this.updateKeyframeList(entry);
     }
 
     /**
-     * Create a color picker control
+     * With keyframes on, an edit sets a keyframe at the playhead
+     * @param {string} key - Parameter that was edited
      */
-    createColorControl(control) {
-        const container = document.createElement('div');
-        container.className = 'frame-control-row';
+    recordKeyframe(key) {
+        const animation = this.currentAnimation;
+        if (!animation || !animation.hasKeyframes(key)) return;
         
-        const label = document.createElement('label');
-        label.textContent = control.label + ':';
+        animation.setKeyframe(key, this.getPlayheadTime(), animation.parameters[key]);
+        this.updateKeyframeList(this.keyframeControls.find(entry => entry.key === key));
+    }
+
+    // Playhead position in the selected layer's animation time, where keyframes live
+    getPlayheadTime() {
+        return this.currentLayer.getLocalTime(this.canvasManager.clock.getCurrentTime());
+    }
+
+    /**
+     * Rebuild the keyframe list under a control: jump to a keyframe, pick the easing
+     * of the segment it starts, or delete it
+     */
+    updateKeyframeList(entry) {
+        const animation = this.currentAnimation;
+        const { key, label, toggle, list } = entry;
+        const keyframes = animation.getKeyframes(key);
         
-        const colorPicker = document.createElement('input');
-        colorPicker.type = 'color';
-        colorPicker.value = control.value;
-        colorPicker.className = 'color-picker';
+        toggle.classList.toggle('active', keyframes.length > 0);
+        toggle.title = keyframes.length > 0 ? 'Remove all keyframes' : 'Animate with keyframes';
+        list.innerHTML = '';
+        list.style.display = keyframes.length > 0 ? '' : 'none';
+        this.updateKeyframeMarkers();
+        if (keyframes.length === 0) return;
         
-        colorPicker.addEventListener('input', (e) => {
-            control.callback(e.target.value);
+        keyframes.forEach((keyframe, index) => {
+            const item = document.createElement('div');
+            item.className = 'keyframe-item';
+            
+            const time = document.createElement('button');
+            time.className = 'keyframe-time';
+            time.textContent = `◆ ${keyframe.time.toFixed(2)}s`;
+            time.title = 'Go to keyframe';
+            time.addEventListener('click', () => {
+                this.canvasManager.clock.seek(this.currentLayer.getGlobalTime(keyframe.time));
+            });
+            
+            const easing = document.createElement('select');
+            easing.className = 'keyframe-easing';
+            Object.entries(EASING_LABELS).forEach(([value, label]) => {
+                easing.add(new Option(label, value, false, value === keyframe.easing));
+            });
+            // The last keyframe starts no segment
+            easing.disabled = index === keyframes.length - 1;
+            easing.title = 'Easing to the next keyframe';
+            easing.addEventListener('change', (e) => {
+                this.editLayer(`Easing of ${label}`, () => { keyframe.easing = e.target.value; });
+            });
+            
+            const remove = document.createElement('button');
+            remove.className = 'keyframe-remove';
+            remove.textContent = '×';
+            remove.title = 'Delete keyframe';
+            remove.addEventListener('click', () => {
+                this.editLayer(`Delete keyframe of ${label}`, () => animation.removeKeyframe(key, keyframe.time));
+                this.updateKeyframeList(entry);
+            });
+            
+            item.append(time, easing, remove);
+            list.appendChild(item);
         });
         
-        container.appendChild(label);
-        container.appendChild(colorPicker);
-        this.controlsContainer.appendChild(container);
+        const add = document.createElement('button');
+        add.className = 'keyframe-add';
+        add.textContent = '+ Keyframe at playhead';
+        add.addEventListener('click', () => {
+            this.editLayer(`Add keyframe to ${label}`,
+                () => animation.setKeyframe(key, this.getPlayheadTime(), animation.getParameter(key)));
+            this.updateKeyframeList(entry);
+        });
+        list.appendChild(add);
+    }
+
+    // Show every keyframe of the selected layer on the timeline, in clock time
+    updateKeyframeMarkers() {
+        const layer = this.currentLayer;
+        const animation = this.currentAnimation;
+        const times = animation ?
+            Object.keys(animation.keyframes).flatMap(key =>
+                animation.getKeyframes(key).map(keyframe => layer.getGlobalTime(keyframe.time))) :
+            [];
+        this.canvasManager.timeline.setKeyframeMarkers(times);
+    }
+
+    /**
+     * Keep keyframed controls showing their value at the current time
+     */
+    syncKeyframedControls() {
+        const animation = this.currentAnimation;
+        if (animation) {
+            this.keyframeControls.forEach(({ key, showValue }) => {
+                if (animation.hasKeyframes(key)) {
+                    showValue(animation.getParameter(key));
+                }
+            });
+        }
+        requestAnimationFrame(() => this.syncKeyframedControls());
     }
 
     /**
      * Clear all parameter controls
      */
     clearParameterControls() {
+        // Point handles live over the canvas, outside the panel
+        this.builtControls.forEach(built => built.destroy && built.destroy());
+        this.builtControls = [];
         if (this.controlsContainer) {
             this.controlsContainer.innerHTML = '';
         }
@@ -287,24 +801,21 @@ class AnimationControlUI {
      * Toggle play/pause state
      */
     togglePlayPause() {
-        if (this.currentAnimation) {
-            if (this.currentAnimation.isPlaying) {
-                this.currentAnimation.pause();
-            } else {
-                this.currentAnimation.play();
-            }
-            this.updatePlayPauseButton();
+        const clock = this.canvasManager.clock;
+        if (clock.isPlaying) {
+            clock.pause();
+        } else {
+            clock.play();
         }
+        this.updatePlayPauseButton();
     }
 
     /**
-     * Reset the current animation
+     * Rewind every layer to the start and play
      */
     resetAnimation() {
-        if (this.currentAnimation) {
-            this.currentAnimation.reset();
-            this.updatePlayPauseButton();
-        }
+        this.canvasManager.clock.reset();
+        this.updatePlayPauseButton();
     }
 
     /**
@@ -312,7 +823,7 @@ class AnimationControlUI {
      */
     updatePlayPauseButton() {
         const button = document.getElementById('play-pause-btn');
-        if (this.currentAnimation && this.currentAnimation.isPlaying) {
+        if (this.canvasManager.clock.isPlaying) {
             button.textContent = 'Pause';
             button.classList.add('playing');
             button.classList.remove('paused');
@@ -332,6 +843,13 @@ class App {
         this.canvasManager = null;
         this.animationRegistry = null;
         this.animationControlUI = null;
+        this.layerPanel = null;
+        this.sequencePanel = null;
+        this.effectRegistry = null;
+        this.effectPanel = null;
+        this.projectManager = null;
+        this.urlState = null;
+        this.historyPanel = null;
     }
 
     /**
@@ -342,9 +860,27 @@ class App {
         this.canvasManager = new CanvasManager();
         this.animationRegistry = new AnimationRegistry();
         this.animationControlUI = new AnimationControlUI(this.canvasManager, this.animationRegistry);
+        this.layerPanel = new LayerPanel(this.canvasManager.layers, this.animationRegistry);
+        this.sequencePanel = new SequencePanel(this.canvasManager, this.animationRegistry);
+        this.effectRegistry = new EffectRegistry();
+        this.effectPanel = new EffectPanel(this.canvasManager.effects, this.effectRegistry);
+        this.projectManager = new ProjectManager(this.canvasManager, this.animationRegistry, this.effectRegistry);
+        this.historyPanel = new HistoryPanel(this.canvasManager.history);
+        this.urlState = new UrlState(this.canvasManager, this.animationRegistry, this.animationControlUI, DEFAULT_ANIMATION_ID);
         
-        // Load default animation
-        this.loadDefaultAnimation();
+        // Keep the Play/Pause button in sync when the timeline pauses playback
+        this.canvasManager.timeline.onStateChange = () => this.animationControlUI.updatePlayPauseButton();
+        
+        // Restore the last session, then show the look of a shared link; start with
+        // the default animation when there is neither
+        this.projectManager.restoreAutosave().then(restored => {
+            const linked = this.urlState.restore();
+            if (!restored && !linked) {
+                this.loadDefaultAnimation();
+            }
+            this.projectManager.startAutosave();
+            this.urlState.startUpdating();
+        });
         
         console.log('SV Tools Animation Framework initialized');
         console.log('Available animations:', this.animationRegistry.getAll().map(a => a.displayName));
@@ -354,10 +890,8 @@ class App {
      * Load the default animation
      */
     loadDefaultAnimation() {
-        // Auto-load the sample animation as default
-        const select = document.getElementById('animation-select');
-        select.value = 'sample';
-        this.animationControlUI.loadAnimation('sample');
+        // Start with the sample animation as the only layer
+        this.animationControlUI.loadAnimation(DEFAULT_ANIMATION_ID);
     }
 }
 
@@ -0,0 +1,77 @@
+/**
+ * Checks of BaseAnimation.seek() on its own clock and in a layer, and of states
+ * restored with setState()
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseAnimation } from '../js/animations/BaseAnimation.js';
+import { PlaybackClock } from '../js/core/PlaybackClock.js';
+import { LayerStack } from '../js/core/LayerStack.js';
+
+function createLayer({ speed = 1, timeOffset = 0 } = {}) {
+    const clock = new PlaybackClock();
+    clock.pause();
+    const animation = new BaseAnimation();
+    animation.setSpeed(speed);
+    const layer = new LayerStack(clock).add(animation, { animationId: 'test' });
+    layer.timeOffset = timeOffset;
+    return { clock, animation, layer };
+}
+
+test('seek() on an animation of its own keeps it paused at that time', () => {
+    const animation = new BaseAnimation();
+    animation.setSpeed(2);
+    animation.pause();
+    animation.seek(3.2);
+    assert.equal(animation.isPlaying, false);
+    assert.equal(animation.getCurrentTime(), 3.2);
+});
+
+test('seek() in a layer moves the shared clock through speed and time offset', () => {
+    const { clock, animation } = createLayer({ speed: 2, timeOffset: 1 });
+    animation.seek(3);
+    assert.equal(clock.getCurrentTime(), 2.5);
+    assert.equal(animation.getCurrentTime(), 3);
+});
+
+test('seek() keeps the clock playing if it was', () => {
+    const { clock, animation } = createLayer();
+    clock.play();
+    animation.seek(4);
+    assert.equal(clock.isPlaying, true);
+    assert.ok(Math.abs(animation.getCurrentTime() - 4) < 0.1);
+});
+
+test('seek() before the start goes to the start', () => {
+    const { clock, animation } = createLayer({ timeOffset: 2 });
+    animation.seek(-1);
+    assert.equal(clock.getCurrentTime(), 2);
+    assert.equal(animation.getCurrentTime(), 0);
+});
+
+class SizeAnimation extends BaseAnimation {
+    static parameters = {
+        size: { type: 'range', default: 50, min: 10, max: 200, step: 1 }
+    };
+}
+
+test('setState() skips keyframes without an object and a finite time', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const animation = new SizeAnimation();
+    animation.setState({
+        keyframes: { size: [null, 7, { value: 20 }, { time: NaN, value: 30 }, { time: 1, value: 40 }] }
+    });
+    assert.deepEqual(animation.getKeyframes('size'), [{ time: 1, value: 40, easing: 'linear' }]);
+    assert.equal(console.warn.mock.callCount(), 4);
+});
+
+test('setState() replaces unknown easings with the default one', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const animation = new SizeAnimation();
+    animation.setState({
+        keyframes: { size: [{ time: 0, value: 20, easing: 'bounce' }, { time: 1, value: 40, easing: 'ease-in' }] }
+    });
+    assert.deepEqual(animation.getKeyframes('size').map(keyframe => keyframe.easing), ['linear', 'ease-in']);
+});
@@ -0,0 +1,116 @@
+/**
+ * Checks of project files that are truncated or malformed
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateProject, PROJECT_VERSION } from '../js/core/ProjectManager.js';
+
+function createProject() {
+    return {
+        format: 'sv-tools-project',
+        version: PROJECT_VERSION,
+        canvas: { width: 800, height: 600 },
+        background: { color: '#ffffff', transparent: false },
+        layers: [
+            { animationId: 'image', name: 'bg.png', image: 'data:image/png;base64,', imageRole: 'bg' },
+            {
+                animationId: 'sample',
+                name: 'Sample',
+                state: { speed: 1, seed: 1, parameters: { squareSize: 60 }, keyframes: { squareSize: [{ time: 0, value: 60 }] } },
+                opacity: 1,
+                blendMode: 'screen',
+                visible: true,
+                solo: false,
+                timeOffset: 0
+            }
+        ],
+        selectedLayer: 1,
+        sequence: {
+            enabled: false,
+            scenes: [{ animationId: 'sample', name: 'Scene', state: { speed: 1, seed: 1 }, duration: 5, transition: { type: 'cut', duration: 1, color: '#000000' } }]
+        },
+        effects: [{ effectId: 'vignette', enabled: true, parameters: { amount: 0.5 } }],
+        timeline: { length: 10, frameRate: 30, inPoint: null, outPoint: 4 },
+        audio: null
+    };
+}
+
+function assertDamaged(change) {
+    const project = createProject();
+    change(project);
+    assert.throws(() => migrateProject(project), /damaged/);
+}
+
+test('accepts a complete project', () => {
+    const project = migrateProject(createProject());
+    assert.deepEqual(project.canvas, { width: 800, height: 600 });
+    assert.equal(project.layers.length, 2);
+});
+
+test('rejects data that is not a project or is from a newer version', () => {
+    assert.throws(() => migrateProject(null), /not a project/);
+    assert.throws(() => migrateProject({ format: 'sv-tools-presets', version: 1 }), /not a project/);
+    assert.throws(() => migrateProject({ ...createProject(), version: PROJECT_VERSION + 1 }), /newer version/);
+});
+
+test('rejects truncated projects', () => {
+    ['canvas', 'background', 'layers', 'sequence', 'effects', 'timeline'].forEach(section => {
+        assertDamaged(project => { delete project[section]; });
+    });
+    assertDamaged(project => { project.layers = project.layers.slice(0, 1).concat([undefined]); });
+});
+
+test('rejects layers and scenes setState() could not read', () => {
+    assertDamaged(project => { delete project.layers[1].state; });
+    assertDamaged(project => { project.layers[1].state.parameters = 'big'; });
+    assertDamaged(project => { project.layers[1].state.keyframes.squareSize = { time: 0 }; });
+    assertDamaged(project => { project.layers[1].state.keyframes.squareSize = [{ value: 1 }]; });
+    assertDamaged(project => { project.layers[1].animationId = 42; });
+    assertDamaged(project => { project.layers[0].image = {}; });
+    assertDamaged(project => { project.layers[1].opacity = 'half'; });
+    assertDamaged(project => { project.sequence.scenes[0].duration = 0; });
+    assertDamaged(project => { delete project.sequence.scenes[0].transition; });
+});
+
+test('rejects layer settings the layer panel does not offer', () => {
+    assertDamaged(project => { project.layers[1].blendMode = 'glow'; });
+    assertDamaged(project => { project.layers[1].blendMode = 'toString'; });
+    assertDamaged(project => { project.layers[1].visible = 'yes'; });
+    assertDamaged(project => { project.layers[1].solo = 1; });
+});
+
+test('rejects transitions the sequence could not render', () => {
+    assertDamaged(project => { delete project.sequence.scenes[0].transition.type; });
+    assertDamaged(project => { project.sequence.scenes[0].transition.type = 'spin'; });
+    assertDamaged(project => { project.sequence.scenes[0].transition.duration = '1s'; });
+    assertDamaged(project => { project.sequence.scenes[0].transition.duration = -1; });
+    assertDamaged(project => { delete project.sequence.scenes[0].transition.color; });
+    assertDamaged(project => { project.sequence.scenes[0].transition.color = 'black'; });
+});
+
+test('rejects effects without parameters', () => {
+    assertDamaged(project => { delete project.effects[0].parameters; });
+    assertDamaged(project => { project.effects[0].effectId = null; });
+});
+
+test('rejects timelines without a positive length and frame rate', () => {
+    assertDamaged(project => { project.timeline.frameRate = NaN; });
+    assertDamaged(project => { project.timeline.frameRate = 0; });
+    assertDamaged(project => { project.timeline.length = -5; });
+    assertDamaged(project => { project.timeline.inPoint = -1; });
+    assertDamaged(project => { project.timeline.outPoint = 'end'; });
+});
+
+test('rejects backgrounds that are not a hex color and a transparency flag', () => {
+    assertDamaged(project => { project.background.color = 'red'; });
+    assertDamaged(project => { project.background.transparent = 'false'; });
+});
+
+test('clamps the canvas size to the limits of the size inputs', () => {
+    const project = createProject();
+    project.canvas = { width: 20000, height: 12.4 };
+    assert.deepEqual(migrateProject(project).canvas, { width: 5000, height: 100 });
+    assertDamaged(damaged => { damaged.canvas.width = Infinity; });
+});
@@ -0,0 +1,27 @@
+/**
+ * Checks of the comparison used to skip undo steps that change nothing
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSameValue } from '../js/core/ValueEquality.js';
+
+test('compares plain objects and arrays by content, whatever the key order', () => {
+    assert.ok(isSameValue({ width: 800, height: 600 }, { height: 600, width: 800 }));
+    assert.ok(isSameValue({ keyframes: { size: [{ time: 0, value: 1 }] } }, { keyframes: { size: [{ time: 0, value: 1 }] } }));
+    assert.ok(!isSameValue({ width: 800 }, { width: 801 }));
+    assert.ok(!isSameValue({ width: 800 }, { width: 800, height: undefined }));
+    assert.ok(!isSameValue([1], { 0: 1 }));
+});
+
+test('tells NaN apart from null', () => {
+    assert.ok(isSameValue({ width: NaN }, { width: NaN }));
+    assert.ok(!isSameValue({ width: NaN }, { width: null }));
+});
+
+test('compares other objects, like images, by identity', () => {
+    const image = new Map();
+    assert.ok(isSameValue({ image }, { image }));
+    assert.ok(!isSameValue({ image }, { image: new Map() }));
+});